@@ -1,4 +1,3 @@
-
 // age-gate.js
 
 /**
@@ -6,46 +5,45 @@
  * Works with da.live label/value rows like:
  *   <div><div><p>data-min-age</p></div><div><p>18</p></div></div>
  * Also supports data-* attributes if you use UE later.
+ *
+ * Modes (data-mode):
+ *   yes-no   – asks the shopper to confirm the minimum age
+ *   dob      – asks for the date of birth (default)
+ *   country  – asks for the country and date of birth, the minimum age comes
+ *              from data-country-min-ages, e.g. "US: 21, GB: 18, JP: 20"
+ *
+ * Other blocks can open the gate through requestAgeVerification()
+ * in scripts/age-verification.js.
  */
 
-const DECISION_KEY = 'age_gate_decision';
+import { loadCSS } from '../../scripts/aem.js';
+import {
+  DEFAULT_MIN_AGE,
+  DEFAULT_STORAGE_DURATION,
+  calculateAge,
+  getAgeVerification,
+  isCrawler,
+  setAgeVerification,
+} from '../../scripts/age-verification.js';
+
+export const MODES = {
+  YES_NO: 'yes-no',
+  DOB: 'dob',
+  COUNTRY: 'country',
+};
 
 /* ---------- utilities ---------- */
 
-function calculateAge(dob) {
-  const diff = Date.now() - dob.getTime();
-  const ageDate = new Date(diff);
-  return Math.abs(ageDate.getUTCFullYear() - 1970);
-}
-
-function setCookie(name, value, days) {
-  let expires = '';
-  if (days) {
-    const date = new Date();
-    date.setTime(date.getTime() + (days * 24 * 60 * 60 * 1000));
-    expires = `; expires=${date.toUTCString()}`;
-  }
-  document.cookie = `${name}=${value || ''}${expires}; path=/; SameSite=Lax`;
-}
-
-function getCookie(name) {
-  const nameEQ = `${name}=`;
-  const ca = document.cookie.split(';');
-  for (let i = 0; i < ca.length; i += 1) {
-    let c = ca[i];
-    while (c.charAt(0) === ' ') c = c.substring(1);
-    if (c.indexOf(nameEQ) === 0) return c.substring(nameEQ.length);
-  }
-  return null;
-}
+const FOCUSABLE = 'button, input, select, a[href]';
 
 /* trap focus inside the dialog */
-function trapFocus(container, focusables) {
-  const first = focusables[0];
-  const last = focusables[focusables.length - 1];
-
+function trapFocus(container) {
   container.addEventListener('keydown', (e) => {
     if (e.key !== 'Tab') return;
+    const focusables = [...container.querySelectorAll(FOCUSABLE)]
+      .filter((el) => !el.disabled && el.offsetParent !== null);
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
     const back = e.shiftKey;
     const active = document.activeElement;
 
@@ -59,8 +57,75 @@ function trapFocus(container, focusables) {
   });
 }
 
+function createElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text) el.textContent = text;
+  return el;
+}
+
+/**
+ * Parses a country/age table like "US: 21, GB: 18".
+ * @param {string} value - The authored table
+ * @returns {Object<string, number>} Map of country code to minimum age
+ */
+function parseCountryMinAges(value) {
+  return Object.fromEntries((value || '')
+    .split(/[,\n]/)
+    .map((entry) => entry.split(':').map((part) => part.trim()))
+    .filter(([country, age]) => country && Number.isInteger(parseInt(age, 10)))
+    .map(([country, age]) => [country.toUpperCase(), parseInt(age, 10)]));
+}
+
+/**
+ * Guesses the shopper's country from the page or browser language.
+ * @returns {string|undefined} The country code
+ */
+function detectCountry() {
+  const [, region] = (document.documentElement.lang || navigator.language || '').split('-');
+  return region?.toUpperCase();
+}
+
+function getCountryName(country) {
+  try {
+    return new Intl.DisplayNames([document.documentElement.lang || 'en'], { type: 'region' }).of(country);
+  } catch (e) {
+    return country;
+  }
+}
+
+/**
+ * Returns the minimum age that applies to a country.
+ * @param {Object} config - The gate configuration
+ * @param {string} [country] - The country code
+ * @returns {number} The minimum age
+ */
+function getRequiredAge(config, country) {
+  return config.countryMinAges?.[country] ?? config.minAge;
+}
+
 /* ---------- config readers ---------- */
 
+/** Maps authored row labels to config properties. */
+const CONFIG_KEYS = {
+  'data-mode': 'mode',
+  'data-min-age': 'minAge',
+  'data-country-min-ages': 'countryMinAges',
+  'data-storage-duration': 'storageDuration',
+  'data-title': 'title',
+  'data-message': 'message',
+  'data-month-placeholder': 'monthPlaceholder',
+  'data-day-placeholder': 'dayPlaceholder',
+  'data-year-placeholder': 'yearPlaceholder',
+  'data-country-label': 'countryLabel',
+  'data-button-text': 'buttonText',
+  'data-yes-text': 'yesText',
+  'data-no-text': 'noText',
+  'data-close-text': 'closeText',
+  'data-error-message': 'errorMessage',
+  'data-denied-url': 'deniedUrl',
+};
+
 /** Returns the row <div> elements directly under the block
  *  (your DOM: multiple rows, not a single wrapper). */
 function getRows(block) {
@@ -70,145 +135,129 @@ function getRows(block) {
 
 /** Reads text content from a cell that may wrap content in <p> tags. */
 function cellText(cell) {
-  // Prefer the first <p>, fallback to whole cell text
+  // Prefer a link, then the first <p>, fallback to whole cell text
+  const a = cell.querySelector('a');
+  if (a) return a.href;
   const p = cell.querySelector('p');
   return (p ? p.textContent : cell.textContent || '').trim();
 }
 
-/** Reads config from dataset and/or label/value rows. */
-function readConfig(block) {
-  const cfg = {
-    minAge: block.dataset.minAge,
-    storageDuration: block.dataset.storageDuration,
-    title: block.dataset.title,
-    message: block.dataset.message,
-    monthPlaceholder: block.dataset.monthPlaceholder,
-    dayPlaceholder: block.dataset.dayPlaceholder,
-    yearPlaceholder: block.dataset.yearPlaceholder,
-    buttonText: block.dataset.buttonText,
-    errorMessage: block.dataset.errorMessage,
-  };
-
-  // Parse label/value rows (as in your snippet)
-  const rows = getRows(block);
-  rows.forEach((row) => {
-    const cells = Array.from(row.children);
-    if (cells.length >= 2) {
-      const key = cellText(cells[0]).toLowerCase();
-      const val = cellText(cells[1]);
-      switch (key) {
-        case 'data-min-age': cfg.minAge ??= val; break;
-        case 'data-storage-duration': cfg.storageDuration ??= val; break;
-        case 'data-title': cfg.title ??= val; break;
-        case 'data-message': cfg.message ??= val; break;
-        case 'data-month-placeholder': cfg.monthPlaceholder ??= val; break;
-        case 'data-day-placeholder': cfg.dayPlaceholder ??= val; break;
-        case 'data-year-placeholder': cfg.yearPlaceholder ??= val; break;
-        case 'data-button-text': cfg.buttonText ??= val; break;
-        case 'data-error-message': cfg.errorMessage ??= val; break;
-        default: break;
-      }
-    }
-  });
+/**
+ * Applies defaults to a (partial) gate configuration.
+ * @param {Object} cfg - The authored configuration
+ * @returns {Object} The complete configuration
+ */
+export function resolveConfig(cfg = {}) {
+  const mode = Object.values(MODES).includes(cfg.mode) ? cfg.mode : MODES.DOB;
+  const minAge = parseInt(cfg.minAge || DEFAULT_MIN_AGE, 10);
+  const countryMinAges = typeof cfg.countryMinAges === 'string'
+    ? parseCountryMinAges(cfg.countryMinAges)
+    : cfg.countryMinAges || {};
 
-  const minAge = parseInt(cfg.minAge || '18', 10);
   return {
+    mode,
     minAge,
-    storageDuration: parseInt(cfg.storageDuration || '30', 10),
+    countryMinAges,
+    storageDuration: parseInt(cfg.storageDuration || DEFAULT_STORAGE_DURATION, 10),
     title: cfg.title || 'Age Verification',
-    message: cfg.message || 'Please enter your date of birth to continue.',
+    message: cfg.message ?? (mode === MODES.YES_NO
+      ? `Are you over ${minAge}?`
+      : 'Please enter your date of birth to continue.'),
     monthPlaceholder: cfg.monthPlaceholder || 'MM',
     dayPlaceholder: cfg.dayPlaceholder || 'DD',
     yearPlaceholder: cfg.yearPlaceholder || 'YYYY',
+    countryLabel: cfg.countryLabel || 'Country',
     buttonText: cfg.buttonText || 'Submit',
-    errorMessage: cfg.errorMessage || `You must be at least ${minAge} years old to view this content.`,
+    yesText: cfg.yesText || 'Yes',
+    noText: cfg.noText || 'No',
+    closeText: cfg.closeText || 'Close',
+    errorMessage: cfg.errorMessage || 'You are not old enough to view this content.',
+    deniedUrl: cfg.deniedUrl || '',
+    dismissible: !!cfg.dismissible,
   };
 }
 
-/* ---------- main ---------- */
+/** Reads config from dataset and/or label/value rows. */
+function readConfig(block) {
+  const cfg = {};
+  Object.values(CONFIG_KEYS).forEach((prop) => {
+    if (block.dataset[prop] !== undefined) cfg[prop] = block.dataset[prop];
+  });
 
-export default async function decorate(block) {
-  const decision = localStorage.getItem(DECISION_KEY) || getCookie(DECISION_KEY);
+  // Parse label/value rows (as in your snippet)
+  getRows(block).forEach((row) => {
+    const cells = Array.from(row.children);
+    if (cells.length >= 2) {
+      const prop = CONFIG_KEYS[cellText(cells[0]).toLowerCase()];
+      if (prop) cfg[prop] ??= cellText(cells[1]);
+    }
+  });
 
-  // If already verified, remove block (no overlay)
-  if (decision === 'true') {
-    block.remove();
-    return;
-  }
+  return resolveConfig(cfg);
+}
 
-  // Read config from dataset or rows (matches your DOM)
-  const {
-    minAge,
-    storageDuration,
-    title,
-    message,
-    monthPlaceholder,
-    dayPlaceholder,
-    yearPlaceholder,
-    buttonText,
-    errorMessage,
-  } = readConfig(block);
+/* ---------- form builders ---------- */
 
-  // Fully remove authored content to ensure nothing is visible underneath
-  block.innerHTML = '';
-
-  // Build overlay UI attached to BODY (so we don't depend on block visibility)
-  const overlay = document.createElement('div');
-  overlay.className = 'age-gate-overlay';
-  overlay.setAttribute('role', 'dialog');
-  overlay.setAttribute('aria-modal', 'true');
-  overlay.setAttribute('aria-labelledby', 'age-gate-title');
-
-  const modal = document.createElement('div');
-  modal.className = 'age-gate-modal';
-  modal.innerHTML = `
-    <h2 id="age-gate-title">${title}</h2>
-    <p>${message}</p>
-    <div class="age-gate-form">
-      <input type="number" placeholder="${monthPlaceholder}" id="age-gate-month" aria-label="Month" min="1" max="12" inputmode="numeric">
-      <input type="number" placeholder="${dayPlaceholder}" id="age-gate-day" aria-label="Day" min="1" max="31" inputmode="numeric">
-      <input type="number" placeholder="${yearPlaceholder}" id="age-gate-year" aria-label="Year" min="1900" max="${new Date().getFullYear()}" inputmode="numeric">
-    </div>
-    <button class="age-gate-button" type="button">${buttonText}</button>
-    <p class="age-gate-error" style="display: none;"></p>
-  `;
-  overlay.appendChild(modal);
-
-  // Append to BODY (not inside the block)
-  document.body.appendChild(overlay);
-
-  // Lock page scroll while overlay is open
-  const previousOverflow = document.body.style.overflow;
-  document.body.style.overflow = 'hidden';
-
-  // Accessibility wiring
-  const monthInput = modal.querySelector('#age-gate-month');
-  const dayInput = modal.querySelector('#age-gate-day');
-  const yearInput = modal.querySelector('#age-gate-year');
-  const submitButton = modal.querySelector('.age-gate-button');
-  const errorElement = modal.querySelector('.age-gate-error');
-
-  const focusables = [monthInput, dayInput, yearInput, submitButton];
-  trapFocus(overlay, focusables);
-  setTimeout(() => monthInput.focus(), 0);
-
-  // Keep overlay until decision; ESC does not close
-  overlay.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') e.preventDefault();
-  });
+function buildYesNoForm(config, { onVerify, onDeny }) {
+  const group = createElement('div', 'age-gate-actions');
+  const yesButton = createElement('button', 'age-gate-button', config.yesText);
+  const noButton = createElement('button', 'age-gate-button age-gate-button--secondary', config.noText);
+  yesButton.type = 'button';
+  noButton.type = 'button';
 
-  function showError(text) {
-    errorElement.textContent = text;
-    errorElement.style.display = 'block';
-  }
+  yesButton.addEventListener('click', () => onVerify(config.minAge));
+  noButton.addEventListener('click', () => onDeny());
 
-  function clearError() {
-    errorElement.textContent = '';
-    errorElement.style.display = 'none';
+  group.append(yesButton, noButton);
+  return group;
+}
+
+function buildDobForm(config, { onVerify, onDeny, showError }) {
+  const form = createElement('form', 'age-gate-form');
+  form.noValidate = true;
+
+  let countrySelect = null;
+  if (config.mode === MODES.COUNTRY) {
+    const countryField = createElement('label', 'age-gate-country', config.countryLabel);
+    countrySelect = createElement('select');
+    const detected = detectCountry();
+
+    Object.keys(config.countryMinAges)
+      .map((country) => [country, getCountryName(country)])
+      .sort(([, a], [, b]) => a.localeCompare(b))
+      .forEach(([country, name]) => {
+        const option = createElement('option', '', name);
+        option.value = country;
+        option.selected = country === detected;
+        countrySelect.append(option);
+      });
+
+    countryField.append(countrySelect);
+    form.append(countryField);
   }
 
-  submitButton.addEventListener('click', () => {
-    clearError();
+  const fields = createElement('div', 'age-gate-fields');
+  const input = (placeholder, label, min, max) => {
+    const el = createElement('input');
+    Object.assign(el, {
+      type: 'number', placeholder, min, max, inputMode: 'numeric',
+    });
+    el.setAttribute('aria-label', label);
+    fields.append(el);
+    return el;
+  };
+
+  const currentYear = new Date().getFullYear();
+  const monthInput = input(config.monthPlaceholder, 'Month', 1, 12);
+  const dayInput = input(config.dayPlaceholder, 'Day', 1, 31);
+  const yearInput = input(config.yearPlaceholder, 'Year', 1900, currentYear);
+
+  const submitButton = createElement('button', 'age-gate-button', config.buttonText);
+  submitButton.type = 'submit';
+  form.append(fields, submitButton);
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
 
     const month = parseInt(monthInput.value, 10);
     const day = parseInt(dayInput.value, 10);
@@ -216,34 +265,164 @@ export default async function decorate(block) {
 
     // Basic validation
     if (
-      Number.isInteger(month) && Number.isInteger(day) && Number.isInteger(year) &&
-      month >= 1 && month <= 12 &&
-      day >= 1 && day <= 31 &&
-      year > 1900 && year <= new Date().getFullYear()
+      !Number.isInteger(month) || !Number.isInteger(day) || !Number.isInteger(year)
+      || month < 1 || month > 12
+      || day < 1 || day > 31
+      || year <= 1900 || year > currentYear
     ) {
-      const dob = new Date(year, month - 1, day);
-
-      // Guard invalid dates (e.g., 31 Feb)
-      if (dob.getMonth() !== (month - 1) || dob.getDate() !== day || dob.getFullYear() !== year) {
-        showError('Please enter a valid date.');
-        return;
-      }
-
-      if (calculateAge(dob) >= minAge) {
-        // Persist decision (localStorage + cookie)
-        localStorage.setItem(DECISION_KEY, 'true');
-        setCookie(DECISION_KEY, 'true', storageDuration);
-
-        // Remove block and overlay, restore scroll
-        block.remove();
-        overlay.remove();
-        document.body.style.overflow = previousOverflow || '';
-      } else {
-        showError(errorMessage);
-      }
-    } else {
       showError('Please enter a valid date.');
+      return;
+    }
+
+    const dob = new Date(year, month - 1, day);
+
+    // Guard invalid dates (e.g., 31 Feb)
+    if (dob.getMonth() !== (month - 1) || dob.getDate() !== day || dob.getFullYear() !== year) {
+      showError('Please enter a valid date.');
+      return;
+    }
+
+    const country = countrySelect?.value;
+    const age = calculateAge(dob);
+
+    if (age >= getRequiredAge(config, country)) {
+      onVerify(age, country);
+    } else {
+      onDeny();
+    }
+  });
+
+  return form;
+}
+
+/* ---------- main ---------- */
+
+/**
+ * Opens the age gate overlay.
+ * @param {Object} [options] - Gate configuration (see resolveConfig)
+ * @returns {Promise<boolean>} Resolves true once verified, false if dismissed
+ */
+export async function openAgeGate(options = {}) {
+  await loadCSS(`${window.hlx.codeBasePath}/blocks/age-gate/age-gate.css`);
+  const config = resolveConfig(options);
+
+  return new Promise((resolve) => {
+    const previousFocus = document.activeElement;
+
+    // Build overlay UI attached to BODY (so we don't depend on block visibility), as a
+    // modal dialog in the top layer, above any other open dialog such as a quick view
+    const overlay = createElement('dialog', 'age-gate-overlay');
+    overlay.setAttribute('aria-labelledby', 'age-gate-title');
+    // keep the gate out of search result snippets
+    overlay.setAttribute('data-nosnippet', '');
+
+    const modal = createElement('div', 'age-gate-modal');
+    const title = createElement('h2', '', config.title);
+    title.id = 'age-gate-title';
+    const message = createElement('p', '', config.message);
+    const errorElement = createElement('p', 'age-gate-error');
+    errorElement.setAttribute('role', 'alert');
+    errorElement.hidden = true;
+
+    // Lock page scroll while overlay is open
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+
+    const close = (verified) => {
+      overlay.close();
+      overlay.remove();
+      document.body.style.overflow = previousOverflow || '';
+      previousFocus?.focus?.();
+      resolve(verified);
+    };
+
+    const showError = (text) => {
+      errorElement.textContent = text;
+      errorElement.hidden = false;
+    };
+
+    const handlers = {
+      showError,
+      onVerify: (age, country) => {
+        setAgeVerification({ age, country, storageDuration: config.storageDuration });
+        close(true);
+      },
+      onDeny: () => {
+        if (config.deniedUrl) {
+          window.location.href = config.deniedUrl;
+          return;
+        }
+        // a dismissible gate only guards an action, which is cancelled
+        if (config.dismissible) {
+          close(false);
+          return;
+        }
+        showError(config.errorMessage);
+      },
+    };
+
+    const form = config.mode === MODES.YES_NO
+      ? buildYesNoForm(config, handlers)
+      : buildDobForm(config, handlers);
+
+    if (config.dismissible) {
+      const closeButton = createElement('button', 'age-gate-close');
+      closeButton.type = 'button';
+      closeButton.setAttribute('aria-label', config.closeText);
+      closeButton.innerHTML = '<span class="icon icon-close"></span>';
+      closeButton.addEventListener('click', () => close(false));
+      modal.append(closeButton);
+
+      // clicks on the backdrop around the modal panel
+      overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close(false);
+      });
     }
+
+    modal.append(title);
+    if (config.message) modal.append(message);
+    modal.append(form, errorElement);
+    overlay.append(modal);
+
+    // Append to BODY (not inside the block)
+    document.body.append(overlay);
+    overlay.showModal();
+
+    // Accessibility wiring
+    trapFocus(overlay);
+    setTimeout(() => form.querySelector(FOCUSABLE)?.focus(), 0);
+
+    // Keep overlay until decision; ESC only closes dismissible gates
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') return;
+      e.preventDefault();
+      if (config.dismissible) close(false);
+    });
+    // the dialog must not close itself
+    overlay.addEventListener('cancel', (e) => e.preventDefault());
   });
 }
-``
\ No newline at end of file
+
+export default async function decorate(block) {
+  // Read config from dataset or rows (matches your DOM)
+  const config = readConfig(block);
+
+  // Fully remove authored content to ensure nothing is visible underneath
+  block.textContent = '';
+
+  // Crawlers must be able to index the content behind the gate
+  if (isCrawler()) {
+    block.remove();
+    return;
+  }
+
+  // If already verified for the required age, remove block (no overlay)
+  const verification = getAgeVerification();
+  if (verification && verification.age >= getRequiredAge(config, verification.country)) {
+    block.remove();
+    return;
+  }
+
+  // Do not block the section from loading while waiting for the decision
+  openAgeGate(config).then(() => block.remove());
+}
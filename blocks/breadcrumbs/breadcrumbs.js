@@ -0,0 +1,154 @@
+/*
+ * Breadcrumbs Block
+ * Shows the path to the current page:
+ * - on product pages, the categories of the product (from `pdp/data`)
+ * - on category pages, the category path of the product list page (`urlpath`)
+ * - on content pages, the parent pages found in the sitemap index
+ * The matching BreadcrumbList JSON-LD is added to the page.
+ */
+
+import { events } from '@dropins/tools/event-bus.js';
+import { getRootPath } from '@dropins/tools/lib/aem/configs.js';
+import { getMetadata, readBlockConfig } from '../../scripts/aem.js';
+import { fetchPlaceholders, rootLink, setJsonLd } from '../../scripts/commerce.js';
+import { fetchProductCategories, getCategoryTrail, getCategoryUrl } from '../../scripts/categories.js';
+import { buildBreadcrumbSchema } from '../../scripts/product-schema.js';
+import { loadIndex } from '../../scripts/query-index.js';
+
+const SITEMAP_INDEX = 'sitemap';
+
+function humanize(segment) {
+  const text = decodeURIComponent(segment).replace(/[-_]+/g, ' ').trim();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function getPageTitle() {
+  return getMetadata('og:title') || document.querySelector('main h1')?.textContent.trim() || document.title;
+}
+
+/**
+ * Loads the titles of the pages of the sitemap index, by path.
+ * @returns {Promise<Map<string, string>>} The titles
+ */
+async function getPageTitles() {
+  try {
+    const entries = await loadIndex(SITEMAP_INDEX);
+    return new Map(entries.map(({ path, title }) => [path.replace(/\/$/, ''), title]));
+  } catch (error) {
+    console.warn('Could not load the sitemap index', error);
+    return new Map();
+  }
+}
+
+/**
+ * Returns the category path of the product list page, if it is a category page.
+ */
+function getCategoryPath() {
+  const plp = document.querySelector('main .product-list-page');
+  if (!plp) return null;
+  // the block keeps its category once decorated
+  if (plp.dataset.category) return plp.dataset.category;
+  return plp.dataset.blockStatus === 'loaded' ? null : readBlockConfig(plp).urlpath;
+}
+
+/**
+ * Crumbs of a content page: the parent pages of the sitemap index, up to the root path.
+ */
+async function getContentCrumbs() {
+  const rootPath = getRootPath().replace(/\/$/, '');
+  const segments = window.location.pathname.slice(rootPath.length).split('/').filter(Boolean);
+  const titles = await getPageTitles();
+
+  return segments.slice(0, -1)
+    .map((_, i) => `${rootPath}/${segments.slice(0, i + 1).join('/')}`)
+    .filter((path) => titles.has(path))
+    .map((path) => ({ name: titles.get(path), url: path }));
+}
+
+/**
+ * Crumbs of a category page: the parent categories of its category path.
+ */
+async function getCategoryCrumbs(categoryPath) {
+  const segments = categoryPath.split('/').filter(Boolean);
+  const titles = await getPageTitles();
+
+  return segments.slice(0, -1).map((segment, i) => {
+    const url = getCategoryUrl(segments.slice(0, i + 1).join('/'));
+    return { name: titles.get(url) || humanize(segment), url };
+  });
+}
+
+/**
+ * Crumbs of a product page: the categories of the product.
+ */
+async function getProductCrumbs(product) {
+  try {
+    const trail = getCategoryTrail(await fetchProductCategories(product.sku));
+    return trail.map(({ name, urlPath }) => ({ name, url: getCategoryUrl(urlPath) }));
+  } catch (error) {
+    console.warn('Could not load the product categories', error);
+    return [];
+  }
+}
+
+function renderCrumbs(block, crumbs, label) {
+  const nav = document.createElement('nav');
+  nav.setAttribute('aria-label', label);
+
+  const ol = document.createElement('ol');
+  ol.className = 'breadcrumbs-list';
+
+  crumbs.forEach(({ name, url }, i) => {
+    const li = document.createElement('li');
+    li.className = 'breadcrumbs-item';
+
+    if (i === crumbs.length - 1) {
+      const span = document.createElement('span');
+      span.setAttribute('aria-current', 'page');
+      span.textContent = name;
+      li.append(span);
+    } else {
+      const a = document.createElement('a');
+      a.href = url;
+      a.textContent = name;
+      li.append(a);
+    }
+    ol.append(li);
+  });
+
+  nav.append(ol);
+  block.replaceChildren(nav);
+
+  setJsonLd(buildBreadcrumbSchema(crumbs.map(({ name, url }) => ({
+    name,
+    url: new URL(url || window.location.pathname, window.location).href,
+  }))), 'breadcrumb');
+}
+
+export default async function decorate(block) {
+  const labels = await fetchPlaceholders();
+  const home = { name: labels.Global?.BreadcrumbsHome || 'Home', url: rootLink('/') };
+  const label = labels.Global?.Breadcrumbs || 'Breadcrumb';
+
+  block.replaceChildren();
+
+  if (document.querySelector('main .product-details')) {
+    // the crumbs are rendered once the product is loaded
+    events.on('pdp/data', async (product) => {
+      if (!product?.sku) return;
+      const crumbs = await getProductCrumbs(product);
+      renderCrumbs(block, [home, ...crumbs, { name: product.name }], label);
+    }, { eager: true });
+    return;
+  }
+
+  // the home page has no crumbs
+  if (window.location.pathname.replace(/\/$/, '') === home.url.replace(/\/$/, '')) return;
+
+  const categoryPath = getCategoryPath();
+  const crumbs = categoryPath
+    ? await getCategoryCrumbs(categoryPath)
+    : await getContentCrumbs();
+
+  renderCrumbs(block, [home, ...crumbs, { name: getPageTitle() }], label);
+}
@@ -0,0 +1,356 @@
+import * as Cart from '@dropins/storefront-cart/api.js';
+import { getConfigValue } from '@dropins/tools/lib/aem/configs.js';
+import { ensureAgeVerified } from '../../scripts/age-restriction.js';
+import { checkIsAuthenticated, rootLink } from '../../scripts/commerce.js';
+import { formatMessage } from '../../scripts/i18n.js';
+import { getUserTokenCookie } from '../../scripts/initializers/index.js';
+
+/**
+ * Sharing of the cart by link, e.g. for sales associates building a cart for a client.
+ *
+ * The link carries the items (SKU, option UIDs as in the `optionsUIDs` product URL
+ * parameter, quantity, gift options) and the gift options of the order in a `restore`
+ * token: base64url encoded JSON, followed by a signature. The cart block adds them to the
+ * cart of whoever opens the link.
+ *
+ * The links are signed and verified by the `cart-sharing` endpoint of config.json, and
+ * sharing is disabled without it:
+ * { "endpoint": "https://example.com/cart-sharing" }
+ * which receives a JSON POST { action: "sign", payload } answered with { signature },
+ * { action: "verify", payload, signature } answered with { valid }, and
+ * { action: "eligibility" } answered with { eligible }. The sign and eligibility requests
+ * carry the token of the signed in customer as `Authorization: Bearer <token>`; the
+ * endpoint only signs for the sales associates it knows, and answers 403 otherwise.
+ */
+
+export const RESTORE_PARAM = 'restore';
+
+function toBase64Url(string) {
+  const binary = String.fromCharCode(...new TextEncoder().encode(string));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(string) {
+  const binary = atob(string.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+}
+
+function getSharingEndpoint() {
+  try {
+    return getConfigValue('cart-sharing')?.endpoint;
+  } catch (e) {
+    // config not initialized yet
+    return undefined;
+  }
+}
+
+/**
+ * Checks if carts can be shared and restored, which needs the `cart-sharing` endpoint.
+ * @returns {boolean} True if they can
+ */
+export function isCartSharingEnabled() {
+  return !!getSharingEndpoint();
+}
+
+async function callEndpoint(body, headers = {}) {
+  const endpoint = getSharingEndpoint();
+  if (!endpoint) {
+    throw new Error('Cart sharing is not enabled');
+  }
+
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    const error = new Error(`Cart sharing request failed: HTTP ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+function getAuthorizationHeaders() {
+  return { Authorization: `Bearer ${getUserTokenCookie()}` };
+}
+
+async function sign(payload) {
+  if (!checkIsAuthenticated()) {
+    throw new Error('Only signed in sales associates can share carts');
+  }
+
+  const { signature } = await callEndpoint({ action: 'sign', payload }, getAuthorizationHeaders());
+  if (!signature) {
+    throw new Error('The cart could not be signed');
+  }
+  return signature;
+}
+
+async function verify(payload, signature) {
+  const { valid } = await callEndpoint({ action: 'verify', payload, signature });
+  return !!valid;
+}
+
+/**
+ * Checks with the endpoint if the signed in customer is a sales associate, who can share carts.
+ * @returns {Promise<boolean>} True if they can
+ */
+export async function canShareCart() {
+  if (!isCartSharingEnabled() || !checkIsAuthenticated()) return false;
+
+  try {
+    const { eligible } = await callEndpoint({ action: 'eligibility' }, getAuthorizationHeaders());
+    return !!eligible;
+  } catch (error) {
+    if (error.status !== 401 && error.status !== 403) {
+      console.error('Could not check if the cart can be shared', error);
+    }
+    return false;
+  }
+}
+
+function sameOptions(a = [], b = []) {
+  return JSON.stringify([...a].sort()) === JSON.stringify([...b].sort());
+}
+
+/**
+ * Serializes a cart to share.
+ * @param {Object} cart - The cart (`cart/data`)
+ * @returns {Object} The shared cart ({ items, giftOptions })
+ */
+function serializeCart(cart) {
+  const items = (cart?.items ?? []).map((item) => {
+    const wrapping = item.productGiftWrapping?.find(({ selected }) => selected);
+    const message = item.giftMessage;
+    const hasGiftOptions = wrapping || message?.message;
+    return {
+      sku: item.topLevelSku ?? item.sku,
+      name: item.name,
+      quantity: item.quantity,
+      optionsUIDs: Object.values(item.selectedOptionsUIDs ?? {}),
+      ...(hasGiftOptions && {
+        giftOptions: {
+          giftWrappingId: wrapping?.uid ?? null,
+          to: message?.recipientName ?? '',
+          from: message?.senderName ?? '',
+          message: message?.message ?? '',
+        },
+      }),
+    };
+  });
+
+  const wrapping = cart?.cartGiftWrapping?.find(({ selected }) => selected);
+  const hasGiftOptions = wrapping || cart?.giftReceiptIncluded || cart?.printedCardIncluded
+    || cart?.giftMessage?.message;
+
+  return {
+    items,
+    ...(hasGiftOptions && {
+      giftOptions: {
+        giftReceiptIncluded: !!cart.giftReceiptIncluded,
+        printedCardIncluded: !!cart.printedCardIncluded,
+        isGiftWrappingSelected: !!wrapping,
+        giftWrappingId: wrapping?.uid,
+        recipientName: cart.giftMessage?.recipientName ?? '',
+        senderName: cart.giftMessage?.senderName ?? '',
+        message: cart.giftMessage?.message ?? '',
+      },
+    }),
+  };
+}
+
+/**
+ * Creates the link restoring a cart.
+ * @param {Object} cart - The cart (`cart/data`)
+ * @returns {Promise<string>} The URL
+ */
+export async function createCartShareUrl(cart) {
+  const payload = toBase64Url(JSON.stringify(serializeCart(cart)));
+  const signature = await sign(payload);
+
+  const url = new URL(rootLink('/cart'), window.location.origin);
+  url.searchParams.set(RESTORE_PARAM, `${payload}.${signature}`);
+  return url.toString();
+}
+
+/**
+ * Reads the shared cart of a restore token, once its signature is verified.
+ * @param {string} token - The token
+ * @returns {Promise<Object>} The shared cart ({ items, giftOptions })
+ */
+export async function readCartShareToken(token) {
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature || !(await verify(payload, signature))) {
+    throw new Error('Invalid cart link');
+  }
+
+  const cart = JSON.parse(fromBase64Url(payload));
+  return {
+    items: (cart.items ?? []).filter((item) => typeof item?.sku === 'string' && item.sku),
+    giftOptions: cart.giftOptions,
+  };
+}
+
+/**
+ * Adds the items of a shared cart to the cart, one by one, with their gift options.
+ * @param {Object} sharedCart - The shared cart ({ items, giftOptions })
+ * @returns {Promise<{ restored: Object[], failed: Object[] }>} The restored items, and
+ * the items which could not be restored with the reason ({ item, message })
+ */
+export async function restoreCart({ items, giftOptions }) {
+  const restored = [];
+  const failed = [];
+
+  // one by one, to know which products could not be added
+  // eslint-disable-next-line no-restricted-syntax
+  for (const item of items) {
+    const optionsUIDs = (item.optionsUIDs ?? []).filter(Boolean);
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      if (!(await ensureAgeVerified([item.sku]))) {
+        throw new Error('Age verification required');
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      const cart = await Cart.addProductsToCart([{
+        sku: item.sku,
+        quantity: Math.max(Number(item.quantity) || 1, 1),
+        ...(optionsUIDs.length && { optionsUIDs }),
+      }]);
+
+      if (item.giftOptions) {
+        const cartItem = cart?.items?.find((line) => (line.topLevelSku ?? line.sku) === item.sku
+          && sameOptions(Object.values(line.selectedOptionsUIDs ?? {}), optionsUIDs));
+        if (cartItem) {
+          // eslint-disable-next-line no-await-in-loop
+          await Cart.updateProductsFromCart([{
+            uid: cartItem.uid,
+            quantity: cartItem.quantity,
+            giftOptions: {
+              gift_wrapping_id: item.giftOptions.giftWrappingId ?? null,
+              gift_message: {
+                to: item.giftOptions.to ?? '',
+                from: item.giftOptions.from ?? '',
+                message: item.giftOptions.message ?? '',
+              },
+            },
+          }]);
+        }
+      }
+      restored.push(item);
+    } catch (error) {
+      failed.push({ item, message: error.message });
+    }
+  }
+
+  if (giftOptions && restored.length) {
+    try {
+      await Cart.setGiftOptionsOnCart(giftOptions);
+    } catch (error) {
+      console.warn('Could not restore the gift options of the order', error);
+    }
+  }
+
+  return { restored, failed };
+}
+
+/**
+ * Returns the texts reporting the outcome of restoreCart().
+ * @param {{ restored: Object[], failed: Object[] }} result - The outcome
+ * @param {Object} labels - The placeholders
+ * @returns {{ heading: string, description: string }} The alert texts
+ */
+export function getRestoreMessage({ restored, failed }, labels) {
+  return {
+    heading: formatMessage(
+      labels.Global?.CartRestored || '{count, plural, =0 {No product could be added to your cart.} one {# product was added to your cart.} other {# products were added to your cart.}}',
+      { count: restored.length },
+    ),
+    description: failed.length
+      ? formatMessage(
+        labels.Global?.CartRestoreFailed || 'Could not be added: {products}',
+        { products: failed.map(({ item }) => item.name || item.sku).join(', ') },
+      )
+      : '',
+  };
+}
+
+/**
+ * Returns the texts asking the shopper to confirm the restore of a shared cart.
+ * @param {Object} sharedCart - The shared cart ({ items, giftOptions })
+ * @param {Object} labels - The placeholders
+ * @returns {{ heading: string, description: string }} The alert texts
+ */
+export function getRestoreConfirmation({ items }, labels) {
+  return {
+    heading: formatMessage(
+      labels.Global?.CartRestoreConfirm || '{count, plural, one {Add # shared product to your cart?} other {Add # shared products to your cart?}}',
+      { count: items.length },
+    ),
+    description: items.map((item) => formatMessage(
+      labels.Global?.CartRestoreItem || '{product} ({quantity})',
+      { product: item.name || item.sku, quantity: item.quantity || 1 },
+    )).join(', '),
+  };
+}
+
+/**
+ * Renders the "share cart" action for sales associates, see canShareCart(): the link is
+ * created and copied on click.
+ * @param {Element} container - The element to render in
+ * @param {Function} getCart - Returns the cart to share
+ * @param {Object} labels - The placeholders
+ * @returns {Promise<void>}
+ */
+export async function renderCartSharing(container, getCart, labels) {
+  if (!(await canShareCart())) {
+    container.replaceChildren();
+    return;
+  }
+
+  const fragment = document.createRange().createContextualFragment(`
+    <div class="cart__share">
+      <button type="button" class="button secondary cart__share-button"></button>
+      <input type="text" class="cart__share-url" readonly hidden>
+      <p class="cart__share-message" role="status" aria-live="polite"></p>
+    </div>
+  `);
+
+  const $button = fragment.querySelector('button');
+  const $url = fragment.querySelector('input');
+  const $message = fragment.querySelector('.cart__share-message');
+
+  $button.textContent = labels.Global?.CartShare || 'Share cart';
+  $url.setAttribute('aria-label', labels.Global?.CartShareLink || 'Cart link');
+
+  const showMessage = (message, error = false) => {
+    $message.textContent = message;
+    $message.classList.toggle('cart__share-message--error', error);
+  };
+
+  $button.addEventListener('click', async () => {
+    showMessage('');
+    $button.disabled = true;
+    try {
+      $url.value = await createCartShareUrl(getCart());
+      $url.hidden = false;
+      try {
+        await navigator.clipboard.writeText($url.value);
+        showMessage(labels.Global?.CartShareCopied || 'Link copied.');
+      } catch (e) {
+        // clipboard not available, let the shopper copy it
+        $url.select();
+      }
+    } catch (error) {
+      console.error('Could not share the cart', error);
+      showMessage(error.status === 401 || error.status === 403
+        ? labels.Global?.CartShareForbidden || 'Only sales associates can share carts.'
+        : labels.Global?.CartShareError || 'The cart could not be shared. Please try again later.', true);
+    } finally {
+      $button.disabled = false;
+    }
+  });
+
+  container.replaceChildren(fragment);
+}
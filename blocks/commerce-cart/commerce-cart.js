@@ -28,12 +28,28 @@ import { publishShoppingCartViewEvent } from '@dropins/storefront-cart/api.js';
 import createModal from '../modal/modal.js';
 import createMiniPDP from '../commerce-mini-pdp/commerce-mini-pdp.js';
 
+// Save for later
+import { renderSavedForLater, saveCartItemForLater } from './saved-for-later.js';
+import { isSavedForLaterAvailable } from '../../scripts/saved-for-later.js';
+
+// Cart Sharing
+import {
+  RESTORE_PARAM,
+  getRestoreConfirmation,
+  getRestoreMessage,
+  isCartSharingEnabled,
+  readCartShareToken,
+  renderCartSharing,
+  restoreCart,
+} from './cart-sharing.js';
+
 // Initializers
 import '../../scripts/initializers/cart.js';
 import '../../scripts/initializers/wishlist.js';
 
 import { readBlockConfig } from '../../scripts/aem.js';
 import { rootLink, fetchPlaceholders } from '../../scripts/commerce.js';
+import { formatMessage } from '../../scripts/i18n.js';
 
 export default async function decorate(block) {
   // Configuration
@@ -48,6 +64,8 @@ export default async function decorate(block) {
     'checkout-url': checkoutURL = '',
     'enable-updating-product': enableUpdatingProduct = 'false',
     'undo-remove-item': undo = 'false',
+    'enable-save-for-later': enableSaveForLater = 'false',
+    'enable-cart-sharing': enableCartSharing = 'false',
   } = readBlockConfig(block);
 
   const placeholders = await fetchPlaceholders();
@@ -64,10 +82,12 @@ export default async function decorate(block) {
     <div class="cart__wrapper">
       <div class="cart__left-column">
         <div class="cart__list"></div>
+        <section class="cart__saved-for-later"></section>
       </div>
       <div class="cart__right-column">
         <div class="cart__order-summary"></div>
         <div class="cart__gift-options"></div>
+        <div class="cart__sharing"></div>
       </div>
     </div>
 
@@ -77,9 +97,11 @@ export default async function decorate(block) {
   const $wrapper = fragment.querySelector('.cart__wrapper');
   const $notification = fragment.querySelector('.cart__notification');
   const $list = fragment.querySelector('.cart__list');
+  const $savedForLater = fragment.querySelector('.cart__saved-for-later');
   const $summary = fragment.querySelector('.cart__order-summary');
   const $emptyCart = fragment.querySelector('.cart__empty-cart');
   const $giftOptions = fragment.querySelector('.cart__gift-options');
+  const $sharing = fragment.querySelector('.cart__sharing');
   const $rightColumn = fragment.querySelector('.cart__right-column');
 
   block.innerHTML = '';
@@ -105,9 +127,9 @@ export default async function decorate(block) {
           const productName = cartItem.name
             || cartItem.product?.name
             || placeholders?.Global?.CartUpdatedProductName;
-          const message = placeholders?.Global?.CartUpdatedProductMessage?.replace(
-            '{product}',
-            productName,
+          const message = formatMessage(
+            placeholders?.Global?.CartUpdatedProductMessage,
+            { product: productName },
           );
 
           // Clear any existing notifications
@@ -167,6 +189,110 @@ export default async function decorate(block) {
     }
   }
 
+  // Handle Save For Later Button Click
+  async function handleSaveForLaterClick(cartItem) {
+    try {
+      await saveCartItemForLater(cartItem);
+    } catch (error) {
+      console.error('Error saving the item for later:', error);
+
+      // Clear any existing notifications
+      currentNotification?.remove();
+
+      currentNotification = await UI.render(InLineAlert, {
+        heading: placeholders?.Global?.SavedForLaterError || 'Something went wrong. Please try again later.',
+        type: 'error',
+        variant: 'primary',
+        icon: h(Icon, { source: 'AlertWithCircle' }),
+        'aria-live': 'assertive',
+        role: 'alert',
+        onDismiss: () => {
+          currentNotification?.remove();
+        },
+      })($notification);
+    }
+  }
+
+  async function showRestoreAlert({
+    heading,
+    description,
+    type,
+    icon,
+    additionalActions,
+  }) {
+    // Clear any existing notifications
+    currentNotification?.remove();
+
+    currentNotification = await UI.render(InLineAlert, {
+      heading,
+      description,
+      type,
+      variant: 'primary',
+      icon: h(Icon, { source: icon }),
+      additionalActions,
+      'aria-live': 'assertive',
+      role: 'alert',
+      onDismiss: () => {
+        currentNotification?.remove();
+      },
+    })($notification);
+  }
+
+  // Restore a shared cart (see cart-sharing.js), once the shopper confirms it
+  async function restoreSharedCart(token) {
+    // the link is only restored once
+    const url = new URL(window.location.href);
+    url.searchParams.delete(RESTORE_PARAM);
+    window.history.replaceState(window.history.state, '', url);
+
+    const showError = () => showRestoreAlert({
+      heading: placeholders?.Global?.CartRestoreError || 'This cart link is invalid.',
+      type: 'error',
+      icon: 'WarningWithCircle',
+    });
+
+    let sharedCart;
+    try {
+      sharedCart = await readCartShareToken(token);
+    } catch (error) {
+      console.error('Error reading the shared cart:', error);
+      showError();
+      return;
+    }
+    if (!sharedCart.items.length) {
+      showError();
+      return;
+    }
+
+    const restore = async () => {
+      currentNotification?.remove();
+      try {
+        const result = await restoreCart(sharedCart);
+        const partial = result.failed.length > 0;
+        showRestoreAlert({
+          ...getRestoreMessage(result, placeholders),
+          type: partial ? 'warning' : 'success',
+          icon: partial ? 'WarningWithCircle' : 'CheckWithCircle',
+        });
+      } catch (error) {
+        console.error('Error restoring the shared cart:', error);
+        showError();
+      }
+    };
+
+    showRestoreAlert({
+      ...getRestoreConfirmation(sharedCart, placeholders),
+      type: 'warning',
+      icon: 'Cart',
+      additionalActions: [
+        {
+          label: placeholders?.Global?.CartRestoreAdd || 'Add to cart',
+          onClick: restore,
+        },
+      ],
+    });
+  }
+
   // Render Containers
   const getProductLink = (product) => rootLink(`/products/${product.url.urlKey}/${product.topLevelSku}`);
   await Promise.all([
@@ -217,6 +343,21 @@ export default async function decorate(block) {
             ctx.appendChild(editLink);
           }
 
+          // Save For Later Button, not for customers without a list on the server
+          if (enableSaveForLater === 'true' && isSavedForLaterAvailable()) {
+            const saveForLater = document.createElement('div');
+            saveForLater.className = 'cart__action--save-for-later';
+
+            UI.render(Button, {
+              children: placeholders?.Global?.CartSaveForLater || 'Save for later',
+              variant: 'tertiary',
+              size: 'medium',
+              onClick: () => handleSaveForLaterClick(ctx.item),
+            })(saveForLater);
+
+            ctx.appendChild(saveForLater);
+          }
+
           // Wishlist Button (if product is not configurable)
           const $wishlistToggle = document.createElement('div');
           $wishlistToggle.classList.add('cart__action--wishlist-toggle');
@@ -290,6 +431,19 @@ export default async function decorate(block) {
     })($giftOptions),
   ]);
 
+  // Save For Later list, below the cart items
+  if (enableSaveForLater === 'true') {
+    renderSavedForLater($savedForLater, placeholders);
+  }
+
+  // Cart Sharing
+  if (enableCartSharing === 'true' && isCartSharingEnabled()) {
+    renderCartSharing($sharing, () => events.lastPayload('cart/data'), placeholders);
+
+    const restoreToken = new URLSearchParams(window.location.search).get(RESTORE_PARAM);
+    if (restoreToken) restoreSharedCart(restoreToken);
+  }
+
   let cartViewEventPublished = false;
   // Events
   events.on(
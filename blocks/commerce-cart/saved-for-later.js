@@ -0,0 +1,293 @@
+import { events } from '@dropins/tools/event-bus.js';
+import { getHeaders } from '@dropins/tools/lib/aem/configs.js';
+import * as Cart from '@dropins/storefront-cart/api.js';
+import * as pdpApi from '@dropins/storefront-pdp/api.js';
+import { ensureAgeVerified } from '../../scripts/age-restriction.js';
+import { commerceEndpointWithQueryParams, rootLink } from '../../scripts/commerce.js';
+import { formatMessage, getLocale } from '../../scripts/i18n.js';
+import {
+  SAVED_FOR_LATER_EVENT,
+  getSavedForLater,
+  isSavedForLaterAvailable,
+  removeSavedForLater,
+  saveForLater,
+  undoSaveForLater,
+} from '../../scripts/saved-for-later.js';
+
+/**
+ * "Save for later" list of the cart page, below the cart items. The price and stock of the
+ * saved products are refreshed from Catalog Service whenever the list is rendered.
+ */
+
+const PRODUCT_FRAGMENT = `
+  fragment SAVED_FOR_LATER_PRODUCT on ProductView {
+    __typename
+    sku
+    name
+    urlKey
+    inStock
+    images(roles: ["thumbnail"]) {
+      url
+      label
+    }
+    ...on SimpleProductView {
+      price {
+        final { amount { currency value } }
+      }
+    }
+    ...on ComplexProductView {
+      priceRange {
+        minimum {
+          final { amount { currency value } }
+        }
+      }
+    }
+  }
+`;
+
+const PRODUCTS_QUERY = `
+  query GET_SAVED_FOR_LATER_PRODUCTS($skus: [String]) {
+    products(skus: $skus) {
+      ...SAVED_FOR_LATER_PRODUCT
+    }
+  }
+  ${PRODUCT_FRAGMENT}
+`;
+
+// the variant of the picked options, for its own price and stock
+const VARIANT_QUERY = `
+  query GET_SAVED_FOR_LATER_VARIANT($sku: String!, $optionIds: [String!]!) {
+    refineProduct(sku: $sku, optionIds: $optionIds) {
+      ...SAVED_FOR_LATER_PRODUCT
+    }
+  }
+  ${PRODUCT_FRAGMENT}
+`;
+
+async function fetchProducts(items) {
+  pdpApi.setEndpoint(await commerceEndpointWithQueryParams());
+  pdpApi.setFetchGraphQlHeaders((prev) => ({ ...prev, ...getHeaders('cs') }));
+
+  const { data, errors } = await pdpApi.fetchGraphQl(PRODUCTS_QUERY, {
+    method: 'GET',
+    variables: { skus: [...new Set(items.map(({ sku }) => sku))] },
+  });
+  if (errors?.length) {
+    console.error('Could not fetch the saved for later products', errors);
+  }
+  const products = new Map((data?.products ?? [])
+    .filter(Boolean)
+    .map((product) => [product.sku, product]));
+
+  return Promise.all(items.map(async (item) => {
+    const product = products.get(item.sku);
+    if (!product || !item.optionsUIDs?.length) return product;
+
+    const { data: variant } = await pdpApi.fetchGraphQl(VARIANT_QUERY, {
+      method: 'GET',
+      variables: { sku: item.sku, optionIds: item.optionsUIDs },
+    }).catch(() => ({}));
+    const refined = variant?.refineProduct;
+    // the name and link of the product, the price and stock of the variant
+    return refined ? {
+      ...product,
+      inStock: refined.inStock,
+      price: refined.price ?? product.price,
+      images: refined.images?.length ? refined.images : product.images,
+    } : product;
+  }));
+}
+
+function formatPrice(product) {
+  const amount = product.price?.final?.amount || product.priceRange?.minimum?.final?.amount;
+  if (amount?.value === undefined) return '';
+  return new Intl.NumberFormat(getLocale(), {
+    style: 'currency',
+    currency: amount.currency,
+  }).format(amount.value);
+}
+
+/**
+ * Saves a cart item for later, and removes it from the cart. The item is taken back out
+ * of the list if it cannot be removed from the cart.
+ * @param {Object} item - The cart item
+ * @returns {Promise<void>}
+ */
+export async function saveCartItemForLater(item) {
+  const saved = {
+    sku: item.topLevelSku ?? item.sku,
+    quantity: item.quantity,
+    optionsUIDs: Object.values(item.selectedOptionsUIDs ?? {}),
+  };
+  await saveForLater(saved);
+  try {
+    await Cart.updateProductsFromCart([{ uid: item.uid, quantity: 0 }]);
+  } catch (error) {
+    await undoSaveForLater(saved).catch((undoError) => {
+      console.error('Could not undo the save for later', undoError);
+    });
+    throw error;
+  }
+}
+
+/**
+ * Renders the saved for later list, kept up to date.
+ * @param {Element} container - The element to render in
+ * @param {Object} labels - The placeholders
+ */
+export async function renderSavedForLater(container, labels) {
+  const MESSAGES = {
+    OUT_OF_STOCK: labels.Global?.SavedForLaterOutOfStock || 'Out of stock',
+    ERROR: labels.Global?.SavedForLaterError || 'Something went wrong. Please try again later.',
+  };
+
+  let renderId = 0;
+
+  const render = async (items) => {
+    renderId += 1;
+    const id = renderId;
+
+    if (!items.length || !isSavedForLaterAvailable()) {
+      container.replaceChildren();
+      return;
+    }
+
+    let products = [];
+    try {
+      products = await fetchProducts(items);
+    } catch (error) {
+      console.error('Could not fetch the saved for later products', error);
+    }
+    // a newer list was rendered meanwhile
+    if (id !== renderId) return;
+
+    const fragment = document.createRange().createContextualFragment(`
+      <h2 class="cart__saved-for-later-title"></h2>
+      <p class="cart__saved-for-later-message" role="status" aria-live="polite"></p>
+      <ul class="cart__saved-for-later-list"></ul>
+    `);
+
+    const $message = fragment.querySelector('.cart__saved-for-later-message');
+    const showMessage = (message) => { $message.textContent = message; };
+
+    fragment.querySelector('.cart__saved-for-later-title').textContent = formatMessage(
+      labels.Global?.SavedForLaterTitle || 'Saved for later ({count})',
+      { count: items.length },
+    );
+
+    fragment.querySelector('.cart__saved-for-later-list').append(...items.map((item, index) => {
+      const product = products[index];
+      const li = document.createElement('li');
+      li.className = 'cart__saved-item';
+
+      const link = product?.urlKey ? rootLink(`/products/${product.urlKey}/${product.sku}`) : null;
+
+      const image = product?.images?.[0];
+      const $image = document.createElement(link ? 'a' : 'span');
+      $image.className = 'cart__saved-item-image';
+      if (link) $image.href = link;
+      if (image?.url) {
+        const img = document.createElement('img');
+        img.src = image.url;
+        img.alt = image.label || product.name;
+        img.loading = 'lazy';
+        img.width = 100;
+        img.height = 100;
+        $image.append(img);
+      }
+
+      const $details = document.createElement('div');
+      $details.className = 'cart__saved-item-details';
+
+      const $name = document.createElement(link ? 'a' : 'span');
+      $name.className = 'cart__saved-item-name';
+      $name.textContent = product?.name || item.sku;
+      if (link) $name.href = link;
+
+      const $price = document.createElement('span');
+      $price.className = 'cart__saved-item-price';
+      $price.textContent = product ? formatPrice(product) : '';
+
+      const $quantity = document.createElement('span');
+      $quantity.className = 'cart__saved-item-quantity';
+      $quantity.textContent = formatMessage(
+        labels.Global?.SavedForLaterQuantity || 'Qty: {quantity}',
+        { quantity: item.quantity },
+      );
+
+      $details.append($name, $price, $quantity);
+
+      const inStock = product?.inStock !== false;
+      if (!inStock) {
+        const $stock = document.createElement('span');
+        $stock.className = 'cart__saved-item-stock';
+        $stock.textContent = MESSAGES.OUT_OF_STOCK;
+        $details.append($stock);
+      }
+
+      const $actions = document.createElement('div');
+      $actions.className = 'cart__saved-item-actions';
+
+      const $moveToCart = document.createElement('button');
+      $moveToCart.type = 'button';
+      $moveToCart.className = 'button secondary';
+      $moveToCart.textContent = labels.Global?.SavedForLaterMoveToCart || 'Move to cart';
+      $moveToCart.disabled = !product || !inStock;
+
+      const $remove = document.createElement('button');
+      $remove.type = 'button';
+      $remove.className = 'cart__saved-item-remove';
+      $remove.textContent = labels.Global?.SavedForLaterRemove || 'Remove';
+
+      const run = async (action) => {
+        showMessage('');
+        $moveToCart.disabled = true;
+        $remove.disabled = true;
+        try {
+          await action();
+        } catch (error) {
+          console.error('Could not update the saved for later item', error);
+          showMessage(MESSAGES.ERROR);
+          $moveToCart.disabled = !product || !inStock;
+          $remove.disabled = false;
+        }
+      };
+
+      $moveToCart.addEventListener('click', () => run(async () => {
+        if (!(await ensureAgeVerified([item.sku]))) {
+          $moveToCart.disabled = false;
+          $remove.disabled = false;
+          return;
+        }
+        await Cart.addProductsToCart([{
+          sku: item.sku,
+          quantity: item.quantity,
+          ...(item.optionsUIDs?.length && { optionsUIDs: item.optionsUIDs }),
+        }]);
+        await removeSavedForLater(item);
+      }));
+
+      $remove.addEventListener('click', () => run(() => removeSavedForLater(item)));
+
+      $actions.append($moveToCart, $remove);
+      li.append($image, $details, $actions);
+      return li;
+    }));
+
+    container.replaceChildren(fragment);
+  };
+
+  const load = async () => {
+    try {
+      await render(await getSavedForLater());
+    } catch (error) {
+      console.error('Could not load the saved for later items', error);
+    }
+  };
+
+  events.on(SAVED_FOR_LATER_EVENT, render);
+  // guests and customers have their own list
+  events.on('authenticated', load);
+
+  await load();
+}
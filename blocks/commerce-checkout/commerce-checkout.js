@@ -10,9 +10,12 @@ import { initReCaptcha } from '@dropins/tools/recaptcha.js';
 import {
   Button,
   Header,
+  Icon,
+  InLineAlert,
   ProgressSpinner,
   provider as UI,
 } from '@dropins/tools/components.js';
+import { h } from '@dropins/tools/preact.js';
 
 // Auth Dropin
 import * as authApi from '@dropins/storefront-auth/api.js';
@@ -84,6 +87,12 @@ import {
   fetchPlaceholders,
   rootLink,
 } from '../../scripts/commerce.js';
+import {
+  ensureAgeVerified,
+  getAgeRestrictionConfig,
+  getPendingAgeRestriction,
+} from '../../scripts/age-restriction.js';
+import { AGE_VERIFICATION_EVENT } from '../../scripts/age-verification.js';
 
 // Initializers
 import '../../scripts/initializers/account.js';
@@ -152,6 +161,7 @@ export default async function decorate(block) {
           <div class="checkout__block checkout__empty-cart"></div>
           <div class="checkout__block checkout__server-error"></div>
           <div class="checkout__block checkout__out-of-stock"></div>
+          <div class="checkout__block checkout__age-restriction"></div>
           <div class="checkout__block checkout__login"></div>
           <div class="checkout__block checkout__shipping-form"></div>
           <div class="checkout__block checkout__bill-to-shipping"></div>
@@ -182,6 +192,9 @@ export default async function decorate(block) {
     '.checkout__server-error',
   );
   const $outOfStock = checkoutFragment.querySelector('.checkout__out-of-stock');
+  const $ageRestriction = checkoutFragment.querySelector(
+    '.checkout__age-restriction',
+  );
   const $login = checkoutFragment.querySelector('.checkout__login');
   const $shippingForm = checkoutFragment.querySelector(
     '.checkout__shipping-form',
@@ -218,6 +231,10 @@ export default async function decorate(block) {
   let billingForm;
   let shippingAddresses;
   let billingAddresses;
+  let ageRestrictionAlert;
+  let pendingAgeRestriction = 0;
+  // drops stale age restriction checks, see handleAgeRestriction
+  let ageRestrictionId = 0;
 
   const shippingFormRef = { current: null };
   const billingFormRef = { current: null };
@@ -464,6 +481,12 @@ export default async function decorate(block) {
 
     CheckoutProvider.render(PlaceOrder, {
       handleValidation: () => {
+        // age restricted products require a verified age
+        if (pendingAgeRestriction) {
+          scrollToElement($ageRestriction);
+          return false;
+        }
+
         let success = true;
         const { forms } = document;
 
@@ -586,6 +609,41 @@ export default async function decorate(block) {
     $loader.innerHTML = '';
   }
 
+  function removeAgeRestrictionAlert() {
+    if (!ageRestrictionAlert) return;
+
+    ageRestrictionAlert.remove();
+    ageRestrictionAlert = null;
+    $ageRestriction.innerHTML = '';
+  }
+
+  async function displayAgeRestrictionAlert(skus, id) {
+    const $alert = document.createElement('div');
+    const alert = await UI.render(InLineAlert, {
+      heading: 'Age verification required',
+      description: `Your cart contains products that require you to be at least ${pendingAgeRestriction} years old. Verify your age to place the order.`,
+      type: 'warning',
+      variant: 'primary',
+      icon: h(Icon, { source: 'Warning' }),
+      additionalActions: [
+        {
+          label: 'Verify age',
+          onClick: () => ensureAgeVerified(skus),
+        },
+      ],
+    })($alert);
+
+    // a newer check replaced this alert meanwhile
+    if (id !== ageRestrictionId) {
+      alert.remove();
+      return;
+    }
+
+    removeAgeRestrictionAlert();
+    ageRestrictionAlert = alert;
+    $ageRestriction.append($alert);
+  }
+
   async function initializeCheckout(data) {
     removeEmptyCart();
     await initReCaptcha(0);
@@ -1026,6 +1084,29 @@ export default async function decorate(block) {
     await initializeCheckout(data);
   }
 
+  async function handleAgeRestriction() {
+    ageRestrictionId += 1;
+    const id = ageRestrictionId;
+    const cart = events.lastPayload('cart/data');
+    const skus = cart?.items?.map((item) => item.topLevelSku || item.sku) ?? [];
+
+    let minAge;
+    try {
+      minAge = await getPendingAgeRestriction(skus);
+    } catch (error) {
+      // keep the order blocked until the restriction is known
+      console.error(error);
+      minAge = getAgeRestrictionConfig()?.minAge ?? 0;
+    }
+
+    // cart/data and age-verification/updated fire close together
+    if (id !== ageRestrictionId) return;
+    pendingAgeRestriction = minAge;
+
+    if (pendingAgeRestriction) await displayAgeRestrictionAlert(skus, id);
+    else removeAgeRestrictionAlert();
+  }
+
   function handleAuthenticated(authenticated) {
     if (!authenticated) return;
     removeModal();
@@ -1062,6 +1143,8 @@ export default async function decorate(block) {
   events.on('checkout/initialized', handleCheckoutInitialized, { eager: true });
   events.on('checkout/updated', handleCheckoutUpdated);
   events.on('checkout/values', handleCheckoutValues);
+  events.on('cart/data', handleAgeRestriction, { eager: true });
+  events.on(AGE_VERIFICATION_EVENT, handleAgeRestriction);
   events.on('order/placed', handleOrderPlaced);
 }
 
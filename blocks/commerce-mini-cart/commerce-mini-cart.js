@@ -18,6 +18,7 @@ import '../../scripts/initializers/cart.js';
 
 import { readBlockConfig } from '../../scripts/aem.js';
 import { fetchPlaceholders, rootLink } from '../../scripts/commerce.js';
+import { formatMessage } from '../../scripts/i18n.js';
 
 export default async function decorate(block) {
   const {
@@ -73,9 +74,9 @@ export default async function decorate(block) {
           const productName = cartItem.name
             || cartItem.product?.name
             || placeholders?.Global?.CartUpdatedProductName;
-          const message = placeholders?.Global?.CartUpdatedProductMessage?.replace(
-            '{product}',
-            productName,
+          const message = formatMessage(
+            placeholders?.Global?.CartUpdatedProductMessage,
+            { product: productName },
           );
 
           // Show message in the main cart page
@@ -27,7 +27,16 @@ import {
 } from '../../scripts/commerce.js';
 
 import { loadCSS } from '../../scripts/aem.js';
-
+import { ensureAgeVerified } from '../../scripts/age-restriction.js';
+import createModal from '../modal/modal.js';
+
+/**
+ * Creates the mini PDP, to edit a cart item or to add a product to the cart (quick view).
+ * @param {Object} cartItem - The cart item to edit, or the product to add ({ sku, quantity })
+ * @param {Function} [onUpdate] - Called with the added or updated item
+ * @param {Function} onClose - Closes the mini PDP
+ * @returns {Promise<HTMLElement>} The mini PDP
+ */
 export default async function createMiniPDP(cartItem, onUpdate, onClose) {
   await loadCSS(
     `${window.hlx.codeBasePath}/blocks/commerce-mini-pdp/commerce-mini-pdp.css`,
@@ -37,6 +46,15 @@ export default async function createMiniPDP(cartItem, onUpdate, onClose) {
 
   const sku = cartItem.topLevelSku || cartItem.sku;
 
+  // products which are not in the cart yet are added to it
+  const isCartItem = Boolean(cartItem.uid);
+  const actionLabel = isCartItem
+    ? placeholders?.Global?.UpdateProductInCart
+    : placeholders?.Global?.AddProductToCart;
+  const loadingLabel = isCartItem
+    ? placeholders?.Global?.UpdatingInCart
+    : placeholders?.Global?.AddingToCart;
+
   const optionsUIDs = cartItem.selectedOptionsUIDs
     ? Object.values(cartItem.selectedOptionsUIDs).filter(Boolean)
     : undefined;
@@ -187,7 +205,7 @@ export default async function createMiniPDP(cartItem, onUpdate, onClose) {
 
       // Update button
       UI.render(Button, {
-        children: placeholders?.Global?.UpdateProductInCart,
+        children: actionLabel,
         variant: 'primary',
         size: 'medium',
         onClick: async () => {
@@ -197,7 +215,7 @@ export default async function createMiniPDP(cartItem, onUpdate, onClose) {
             isLoading = true;
             updateButton.setProps((prev) => ({
               ...prev,
-              children: placeholders?.Global?.UpdatingInCart,
+              children: loadingLabel,
               disabled: true,
             }));
 
@@ -209,22 +227,37 @@ export default async function createMiniPDP(cartItem, onUpdate, onClose) {
               throw new Error('Please select all required options');
             }
 
-            // Update cart item with new configuration
-            const updateData = {
-              uid: cartItem.uid,
-              quantity: values.quantity || cartItem.quantity,
-              ...(values.optionsUIDs
-                && values.optionsUIDs.length > 0 && {
-                optionsUIDs: values.optionsUIDs,
-              }),
+            const optionsData = values.optionsUIDs?.length > 0 && {
+              optionsUIDs: values.optionsUIDs,
             };
 
-            const updateResponse = await Cart.updateProductsFromCart([
-              updateData,
-            ]);
-
-            // Trigger cart refresh to ensure UI updates
-            events.emit('cart/updated', updateResponse);
+            let updateData;
+            if (isCartItem) {
+              // Update cart item with new configuration
+              updateData = {
+                uid: cartItem.uid,
+                quantity: values.quantity || cartItem.quantity,
+                ...optionsData,
+              };
+
+              const updateResponse = await Cart.updateProductsFromCart([
+                updateData,
+              ]);
+
+              // Trigger cart refresh to ensure UI updates
+              events.emit('cart/updated', updateResponse);
+            } else {
+              // age restricted products require a verified age
+              if (!(await ensureAgeVerified([values.sku || sku]))) return;
+
+              updateData = {
+                sku,
+                quantity: values.quantity || 1,
+                ...optionsData,
+              };
+
+              await Cart.addProductsToCart([updateData]);
+            }
 
             inlineAlert?.remove();
 
@@ -255,8 +288,7 @@ export default async function createMiniPDP(cartItem, onUpdate, onClose) {
             isLoading = false;
             updateButton.setProps((prev) => ({
               ...prev,
-              children:
-                placeholders?.Global?.UpdateProductInCart,
+              children: actionLabel,
               disabled: false,
             }));
           }
@@ -316,3 +348,34 @@ export default async function createMiniPDP(cartItem, onUpdate, onClose) {
     return errorContainer;
   }
 }
+
+let quickViewModal = null;
+
+/**
+ * Opens the mini PDP of a product in a modal, to pick its options and quantity
+ * and add it to the cart without leaving the page.
+ * @param {Object} product - The product ({ sku, image })
+ * @returns {Promise<void>}
+ */
+export async function openQuickView(product) {
+  quickViewModal?.removeModal();
+
+  const closeModal = () => {
+    quickViewModal?.removeModal();
+    quickViewModal = null;
+  };
+
+  const miniPDPContent = await createMiniPDP(
+    { sku: product.sku, image: product.image, quantity: 1 },
+    null,
+    closeModal,
+  );
+
+  quickViewModal = await createModal([miniPDPContent]);
+
+  if (quickViewModal.block) {
+    quickViewModal.block.setAttribute('id', 'mini-pdp-modal');
+  }
+
+  quickViewModal.showModal();
+}
@@ -1,5 +1,6 @@
 import * as cartApi from '@dropins/storefront-cart/api.js';
 import * as pdpApi from '@dropins/storefront-pdp/api.js';
+import * as wishlistApi from '@dropins/storefront-wishlist/api.js';
 import { getHeaders } from '@dropins/tools/lib/aem/configs.js';
 import { render as wishlistRenderer } from '@dropins/storefront-wishlist/render.js';
 import { render as authRenderer } from '@dropins/storefront-auth/render.js';
@@ -7,9 +8,21 @@ import { AuthCombine } from '@dropins/storefront-auth/containers/AuthCombine.js'
 import { events } from '@dropins/tools/event-bus.js';
 import Wishlist from '@dropins/storefront-wishlist/containers/Wishlist.js';
 import { tryRenderAemAssetsImage } from '@dropins/tools/lib/aem/assets.js';
-import { commerceEndpointWithQueryParams, rootLink } from '../../scripts/commerce.js';
+import { commerceEndpointWithQueryParams, fetchPlaceholders, rootLink } from '../../scripts/commerce.js';
 import '../../scripts/initializers/wishlist.js';
 import { readBlockConfig } from '../../scripts/aem.js';
+import { getProductAlertsConfig } from '../../scripts/product-alerts.js';
+import { getMultipleWishlistsConfig } from '../../scripts/wishlists.js';
+import createPriceAlertToggle from './price-alert.js';
+import {
+  addItemsToCart,
+  renderAddToCartError,
+  renderAddToCartResult,
+} from './move-to-cart.js';
+import renderSharedWishlist from './shared-wishlist.js';
+import { SHARE_PARAM, parseShareToken, renderShareTools } from './wishlist-sharing.js';
+import { createMoveToWishlist, renderWishlistManager } from './wishlist-lists.js';
+import renderMergeBanner from './merge-banner.js';
 
 // Initialize
 
@@ -24,6 +37,19 @@ const WISHLIST_IMAGE_DIMENSIONS = {
   height: 288,
 };
 
+/**
+ * Maps a wishlist item to the item added to the cart.
+ * @param {Object} item - The wishlist item
+ * @returns {Object} The cart item ({ sku, quantity, optionsUIDs, enteredOptions, name })
+ */
+const toCartItem = (item) => ({
+  sku: item.product.sku,
+  quantity: item.quantity,
+  optionsUIDs: item.selectedOptions?.map(({ uid }) => uid) ?? [],
+  enteredOptions: item.enteredOptions,
+  name: item.product.name,
+});
+
 const showAuthModal = (event) => {
   if (event) {
     event.preventDefault();
@@ -72,6 +98,84 @@ export default async function decorate(block) {
   const {
     'start-shopping-url': startShoppingURL = '',
   } = readBlockConfig(block);
+  const labels = await fetchPlaceholders();
+
+  // Shared mode: read-only wishlist of the share link
+  const shareToken = new URLSearchParams(window.location.search).get(SHARE_PARAM);
+  if (shareToken) {
+    await renderSharedWishlist(block, parseShareToken(shareToken), labels);
+    return;
+  }
+
+  const priceAlerts = !!getProductAlertsConfig();
+  const { enabled: multipleWishlists, maxNumber } = await getMultipleWishlistsConfig();
+
+  const fragment = document.createRange().createContextualFragment(`
+    <div class="wishlist-merge"></div>
+    <div class="wishlist-manager"></div>
+    <div class="wishlist-toolbar" hidden>
+      <button type="button" class="button wishlist-move-all"></button>
+      <div class="wishlist-share-tools"></div>
+    </div>
+    <div class="wishlist-cart-result" role="status" aria-live="polite"></div>
+    <div class="wishlist-container"></div>
+  `);
+
+  const $toolbar = fragment.querySelector('.wishlist-toolbar');
+  const $moveAll = fragment.querySelector('.wishlist-move-all');
+  const $result = fragment.querySelector('.wishlist-cart-result');
+  const $wishlist = fragment.querySelector('.wishlist-container');
+
+  $moveAll.textContent = labels.Global?.WishlistMoveAllToCart || 'Move all to cart';
+
+  // Report of the merge of the guest wishlist on sign in
+  renderMergeBanner(fragment.querySelector('.wishlist-merge'), labels);
+
+  // Named wishlists: switch, create, rename and delete
+  if (multipleWishlists) {
+    renderWishlistManager(fragment.querySelector('.wishlist-manager'), labels, maxNumber);
+  }
+
+  let wishlistItems = [];
+
+  events.on('wishlist/data', (wishlist) => {
+    wishlistItems = wishlist?.items ?? [];
+    $toolbar.hidden = !wishlistItems.length;
+  }, { eager: true });
+
+  renderShareTools(
+    fragment.querySelector('.wishlist-share-tools'),
+    () => wishlistItems.map(toCartItem),
+    labels,
+  );
+
+  // Move all to cart: the products added are removed from the wishlist, the others are reported
+  $moveAll.addEventListener('click', async () => {
+    $moveAll.disabled = true;
+    try {
+      const items = wishlistItems.map((item) => ({ ...toCartItem(item), wishlistItem: item }));
+      const result = await addItemsToCart(items);
+      if (result.added.length) {
+        try {
+          await wishlistApi.removeProductsFromWishlist(
+            result.added.map(({ wishlistItem }) => wishlistItem),
+          );
+        } catch (error) {
+          // reported, so that they are not added to the cart again
+          console.error('Could not remove the products added to the cart from the wishlist', error);
+          result.notRemoved = result.added;
+        }
+      }
+      renderAddToCartResult($result, result, labels);
+    } catch (error) {
+      console.error('Could not move the wishlist to the cart', error);
+      renderAddToCartError($result, labels);
+    } finally {
+      $moveAll.disabled = false;
+    }
+  });
+
+  block.replaceChildren(fragment);
 
   await wishlistRenderer.render(Wishlist, {
     routeEmptyWishlistCTA: startShoppingURL ? () => rootLink(startShoppingURL) : undefined,
@@ -91,7 +195,17 @@ export default async function decorate(block) {
             height: defaultImageProps.height || WISHLIST_IMAGE_DIMENSIONS.height,
           },
         });
+
+        // Price-drop alert
+        if (priceAlerts) {
+          ctx.appendSibling(createPriceAlertToggle(item, labels));
+        }
+
+        // Move to another wishlist
+        if (multipleWishlists) {
+          ctx.appendSibling(createMoveToWishlist(item, labels));
+        }
       },
     },
-  })(block);
+  })($wishlist);
 }
@@ -0,0 +1,74 @@
+import { AlertBanner, Icon, provider as UI } from '@dropins/tools/components.js';
+import { events } from '@dropins/tools/event-bus.js';
+import { h } from '@dropins/tools/preact.js';
+import { formatMessage } from '../../scripts/i18n.js';
+import {
+  MERGE_EVENT,
+  clearLastWishlistMerge,
+  getLastWishlistMerge,
+  undoLastWishlistMerge,
+} from '../../scripts/wishlist-merge.js';
+
+/**
+ * Dismissible banner reporting the merge of the guest wishlist on sign in (see
+ * scripts/wishlist-merge.js), with an undo of the merge.
+ */
+
+function getMergeMessage({ merged, duplicates, failed }, labels) {
+  return [
+    formatMessage(
+      labels.Global?.WishlistMergeMerged || '{count, plural, =0 {No item of your guest wishlist was added to your wishlist.} one {# item of your guest wishlist was added to your wishlist.} other {# items of your guest wishlist were added to your wishlist.}}',
+      { count: merged.length },
+    ),
+    duplicates.length && formatMessage(
+      labels.Global?.WishlistMergeDuplicates || '{count, plural, one {# item was already in it.} other {# items were already in it.}}',
+      { count: duplicates.length },
+    ),
+    failed.length && formatMessage(
+      labels.Global?.WishlistMergeFailed || '{count, plural, one {# item could not be added.} other {# items could not be added.}}',
+      { count: failed.length },
+    ),
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Renders the banner of the last merge of the guest wishlist, while there is one.
+ * @param {Element} container - The element to render in
+ * @param {Object} labels - The placeholders
+ */
+export default function renderMergeBanner(container, labels) {
+  let banner = null;
+
+  const render = async (merge, undoFailed = false) => {
+    banner?.remove();
+    banner = null;
+    container.replaceChildren();
+    if (!merge) return;
+
+    banner = await UI.render(AlertBanner, {
+      className: 'wishlist-merge-banner',
+      variant: merge.failed.length || undoFailed ? 'warning' : 'neutral',
+      icon: h(Icon, { source: 'Heart' }),
+      message: h('span', {}, undoFailed
+        ? labels.Global?.WishlistMergeUndoError || 'The merge could not be undone. Please try again later.'
+        : getMergeMessage(merge, labels)),
+      onDismiss: clearLastWishlistMerge,
+      ...(merge.merged.length && {
+        action: {
+          label: labels.Global?.WishlistMergeUndo || 'Undo',
+          onClick: async () => {
+            try {
+              await undoLastWishlistMerge();
+            } catch (error) {
+              console.error('Could not undo the wishlist merge', error);
+              render(merge, true);
+            }
+          },
+        },
+      }),
+    })(container);
+  };
+
+  events.on(MERGE_EVENT, render);
+  render(getLastWishlistMerge());
+}
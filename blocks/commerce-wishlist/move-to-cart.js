@@ -0,0 +1,156 @@
+import * as cartApi from '@dropins/storefront-cart/api.js';
+import * as pdpApi from '@dropins/storefront-pdp/api.js';
+import { ensureAgeVerified } from '../../scripts/age-restriction.js';
+import { rootLink } from '../../scripts/commerce.js';
+import { formatMessage } from '../../scripts/i18n.js';
+
+/**
+ * Adds all the products of a wishlist to the cart, one by one, so that a product which
+ * cannot be added does not prevent the others from being added.
+ */
+
+export const FAILURE_REASONS = {
+  OUT_OF_STOCK: 'out-of-stock',
+  OPTIONS_REQUIRED: 'options-required',
+  AGE_RESTRICTED: 'age-restricted',
+  ERROR: 'error',
+};
+
+const GET_PRODUCTS_STATUS = `
+  query GET_PRODUCTS_STATUS($skus: [String]) {
+    products(skus: $skus) {
+      __typename
+      sku
+      name
+      urlKey
+      inStock
+    }
+  }
+`;
+
+async function fetchProductsStatus(skus) {
+  const { data, errors } = await pdpApi.fetchGraphQl(GET_PRODUCTS_STATUS, {
+    method: 'GET',
+    variables: { skus },
+  });
+  if (errors?.length) {
+    console.error('Could not fetch the status of the products', errors);
+  }
+  return new Map((data?.products ?? []).filter(Boolean).map((product) => [product.sku, product]));
+}
+
+/**
+ * Adds products to the cart.
+ * @param {Object[]} items - The products ({ sku, quantity, optionsUIDs, enteredOptions })
+ * @returns {Promise<{ added: Object[], failed: Object[] }>} The added items, and the items
+ * which could not be added with the reason ({ item, product, reason, message })
+ */
+export async function addItemsToCart(items) {
+  const products = await fetchProductsStatus([...new Set(items.map(({ sku }) => sku))]);
+  const added = [];
+  const failed = [];
+
+  // one by one, to know which products could not be added
+  // eslint-disable-next-line no-restricted-syntax
+  for (const item of items) {
+    const product = products.get(item.sku);
+
+    if (product?.inStock === false) {
+      failed.push({ item, product, reason: FAILURE_REASONS.OUT_OF_STOCK });
+    } else if (product?.__typename === 'ComplexProductView' && !item.optionsUIDs?.length) {
+      failed.push({ item, product, reason: FAILURE_REASONS.OPTIONS_REQUIRED });
+    // eslint-disable-next-line no-await-in-loop
+    } else if (!(await ensureAgeVerified([item.sku]))) {
+      failed.push({ item, product, reason: FAILURE_REASONS.AGE_RESTRICTED });
+    } else {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await cartApi.addProductsToCart([{
+          sku: item.sku,
+          quantity: item.quantity || 1,
+          ...(item.optionsUIDs?.length && { optionsUIDs: item.optionsUIDs }),
+          ...(item.enteredOptions?.length && { enteredOptions: item.enteredOptions }),
+        }]);
+        added.push(item);
+      } catch (error) {
+        failed.push({
+          item,
+          product,
+          reason: FAILURE_REASONS.ERROR,
+          message: error.message,
+        });
+      }
+    }
+  }
+
+  return { added, failed };
+}
+
+/**
+ * Renders the outcome of addItemsToCart().
+ * @param {Element} container - The element to render in
+ * @param {{ added: Object[], failed: Object[], notRemoved?: Object[] }} result - The outcome,
+ * with the added items which could not be removed from the wishlist, if any
+ * @param {Object} labels - The placeholders
+ */
+export function renderAddToCartResult(container, { added, failed, notRemoved = [] }, labels) {
+  const REASONS = {
+    [FAILURE_REASONS.OUT_OF_STOCK]: labels.Global?.WishlistOutOfStock || 'Out of stock',
+    [FAILURE_REASONS.OPTIONS_REQUIRED]: labels.Global?.WishlistOptionsRequired || 'Choose the options on the product page',
+    [FAILURE_REASONS.AGE_RESTRICTED]: labels.Global?.WishlistAgeRestricted || 'Age verification required',
+    [FAILURE_REASONS.ERROR]: labels.Global?.WishlistAddToCartError || 'Could not be added to the cart',
+  };
+
+  const summary = document.createElement('p');
+  summary.textContent = formatMessage(
+    labels.Global?.WishlistMovedToCart || '{count, plural, =0 {No product was added to the cart.} one {# product was added to the cart.} other {# products were added to the cart.}}',
+    { count: added.length },
+  );
+
+  const list = document.createElement('ul');
+  list.append(...failed.map(({
+    item,
+    product,
+    reason,
+    message,
+  }) => {
+    const li = document.createElement('li');
+    const name = document.createElement(product?.urlKey ? 'a' : 'strong');
+    name.textContent = product?.name || item.name || item.sku;
+    if (product?.urlKey) name.href = rootLink(`/products/${product.urlKey}/${product.sku}`);
+    li.append(name, `: ${message || REASONS[reason]}`);
+    return li;
+  }));
+
+  const notRemovedSummary = document.createElement('p');
+  notRemovedSummary.className = 'wishlist-cart-result-error';
+  notRemovedSummary.textContent = formatMessage(
+    labels.Global?.WishlistNotRemoved || '{count, plural, one {# product was added to the cart but is still in the wishlist.} other {# products were added to the cart but are still in the wishlist.}}',
+    { count: notRemoved.length },
+  );
+
+  const notRemovedList = document.createElement('ul');
+  notRemovedList.append(...notRemoved.map((item) => {
+    const li = document.createElement('li');
+    li.textContent = item.name || item.sku;
+    return li;
+  }));
+
+  container.replaceChildren(
+    summary,
+    ...(failed.length ? [list] : []),
+    ...(notRemoved.length ? [notRemovedSummary, notRemovedList] : []),
+  );
+}
+
+/**
+ * Renders the failure of addItemsToCart(), or of a step around it.
+ * @param {Element} container - The element to render in
+ * @param {Object} labels - The placeholders
+ */
+export function renderAddToCartError(container, labels) {
+  const error = document.createElement('p');
+  error.className = 'wishlist-cart-result-error';
+  error.textContent = labels.Global?.WishlistMoveToCartError || 'The products could not be added to the cart. Please try again.';
+  container.replaceChildren(error);
+}
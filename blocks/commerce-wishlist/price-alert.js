@@ -0,0 +1,119 @@
+import {
+  ALERT_TYPES,
+  getCustomerEmail,
+  getPriceAlert,
+  setProductAlert,
+} from '../../scripts/product-alerts.js';
+import { isValidEmail } from '../newsletter/subscription.js';
+
+/**
+ * Price-drop toggle of the wishlist items. Guests are asked for their email address.
+ */
+
+/**
+ * Creates the price-drop toggle of a wishlist item.
+ * @param {Object} item - The wishlist item
+ * @param {Object} labels - The placeholders
+ * @returns {HTMLElement} The toggle
+ */
+export default function createPriceAlertToggle(item, labels) {
+  const sku = item.product.variantSku || item.product.sku;
+
+  const MESSAGES = {
+    SUBSCRIBED: labels.Global?.PriceAlertSubscribed || 'We will email you when the price drops.',
+    UNSUBSCRIBED: labels.Global?.PriceAlertUnsubscribed || 'Price-drop alert removed.',
+    INVALID_EMAIL: labels.Global?.ProductAlertInvalidEmail || 'Please enter a valid email address.',
+    ERROR: labels.Global?.ProductAlertError || 'Something went wrong. Please try again later.',
+  };
+
+  const fragment = document.createRange().createContextualFragment(`
+    <div class="wishlist-price-alert">
+      <label class="wishlist-price-alert-toggle">
+        <input type="checkbox">
+        <span></span>
+      </label>
+      <form class="wishlist-price-alert-form" novalidate hidden>
+        <input type="email" name="email" autocomplete="email" required>
+        <button type="submit" class="button"></button>
+      </form>
+      <p class="wishlist-price-alert-message" role="status" aria-live="polite"></p>
+    </div>
+  `);
+
+  const $wrapper = fragment.querySelector('.wishlist-price-alert');
+  const $toggle = fragment.querySelector('.wishlist-price-alert-toggle input');
+  const $form = fragment.querySelector('form');
+  const $email = $form.querySelector('input');
+  const $submit = $form.querySelector('button');
+  const $message = fragment.querySelector('.wishlist-price-alert-message');
+
+  fragment.querySelector('.wishlist-price-alert-toggle span').textContent = labels.Global?.PriceAlertToggle || 'Notify me of price drops';
+  $email.setAttribute('aria-label', labels.Global?.ProductAlertEmail || 'Email');
+  $email.placeholder = labels.Global?.ProductAlertEmail || 'Email';
+  $submit.textContent = labels.Global?.PriceAlertSubmit || 'Save';
+  $toggle.checked = !!getPriceAlert(sku);
+
+  const showMessage = (message, error = false) => {
+    $message.textContent = message;
+    $message.classList.toggle('wishlist-price-alert-message--error', error);
+  };
+
+  const save = async (email, subscribe) => {
+    $toggle.disabled = true;
+    $submit.disabled = true;
+    try {
+      await setProductAlert({
+        type: ALERT_TYPES.PRICE,
+        sku,
+        email,
+        subscribe,
+      });
+      $toggle.checked = subscribe;
+      $form.hidden = true;
+      showMessage(subscribe ? MESSAGES.SUBSCRIBED : MESSAGES.UNSUBSCRIBED);
+    } catch (error) {
+      console.error('Could not save the price-drop alert', error);
+      $toggle.checked = !subscribe;
+      showMessage(MESSAGES.ERROR, true);
+    } finally {
+      $toggle.disabled = false;
+      $submit.disabled = false;
+    }
+  };
+
+  $toggle.addEventListener('change', async () => {
+    showMessage('');
+
+    if (!$toggle.checked) {
+      $form.hidden = true;
+      const alert = getPriceAlert(sku);
+      if (alert) await save(alert.email, false);
+      return;
+    }
+
+    const email = await getCustomerEmail();
+    if (email) {
+      await save(email, true);
+      return;
+    }
+
+    // guests enter the email address to notify, the alert is only set once it is saved
+    $toggle.checked = false;
+    $form.hidden = false;
+    $email.focus();
+  });
+
+  $form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    const email = $email.value.trim();
+    if (!isValidEmail(email)) {
+      showMessage(MESSAGES.INVALID_EMAIL, true);
+      $email.focus();
+      return;
+    }
+    await save(email, true);
+  });
+
+  return $wrapper;
+}
@@ -0,0 +1,160 @@
+import * as pdpApi from '@dropins/storefront-pdp/api.js';
+import { rootLink } from '../../scripts/commerce.js';
+import { getLocale } from '../../scripts/i18n.js';
+import {
+  addItemsToCart,
+  renderAddToCartError,
+  renderAddToCartResult,
+} from './move-to-cart.js';
+
+/**
+ * Read-only view of a wishlist shared by link (see wishlist-sharing.js).
+ */
+
+const PRODUCTS_QUERY = `
+  query GET_SHARED_WISHLIST_PRODUCTS($skus: [String]) {
+    products(skus: $skus) {
+      sku
+      name
+      urlKey
+      images(roles: ["small_image"]) {
+        url
+        label
+      }
+      ...on SimpleProductView {
+        price {
+          final { amount { currency value } }
+        }
+      }
+      ...on ComplexProductView {
+        priceRange {
+          minimum {
+            final { amount { currency value } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+async function fetchProducts(skus) {
+  const { data, errors } = await pdpApi.fetchGraphQl(PRODUCTS_QUERY, {
+    method: 'GET',
+    variables: { skus },
+  });
+  if (errors?.length) {
+    console.error('Could not fetch the shared wishlist products', errors);
+  }
+  return new Map((data?.products ?? []).filter(Boolean).map((product) => [product.sku, product]));
+}
+
+function formatPrice(product) {
+  const amount = product.price?.final?.amount || product.priceRange?.minimum?.final?.amount;
+  if (amount?.value === undefined) return '';
+  return new Intl.NumberFormat(getLocale(), {
+    style: 'currency',
+    currency: amount.currency,
+  }).format(amount.value);
+}
+
+/**
+ * Renders the products of a shared wishlist, which can be added to the cart.
+ * @param {Element} block - The wishlist block
+ * @param {Object[]} items - The shared items ({ sku, quantity, optionsUIDs })
+ * @param {Object} labels - The placeholders
+ */
+export default async function renderSharedWishlist(block, items, labels) {
+  let products = new Map();
+  try {
+    if (items.length) products = await fetchProducts([...new Set(items.map(({ sku }) => sku))]);
+  } catch (error) {
+    console.error('Could not fetch the shared wishlist products', error);
+  }
+  const sharedItems = items.filter(({ sku }) => products.has(sku));
+
+  const fragment = document.createRange().createContextualFragment(`
+    <div class="wishlist-shared">
+      <div class="wishlist-toolbar">
+        <h2></h2>
+        <button type="button" class="button wishlist-add-all"></button>
+      </div>
+      <div class="wishlist-cart-result" role="status" aria-live="polite"></div>
+      <ul class="wishlist-shared-list"></ul>
+    </div>
+  `);
+
+  const $title = fragment.querySelector('h2');
+  const $addAll = fragment.querySelector('.wishlist-add-all');
+  const $result = fragment.querySelector('.wishlist-cart-result');
+  const $list = fragment.querySelector('.wishlist-shared-list');
+
+  $title.textContent = labels.Global?.WishlistShared || 'Shared wishlist';
+  $addAll.textContent = labels.Global?.WishlistAddAllToCart || 'Add all to cart';
+
+  if (!sharedItems.length) {
+    const empty = document.createElement('p');
+    empty.className = 'wishlist-shared-empty';
+    empty.textContent = labels.Global?.WishlistSharedEmpty || 'This wishlist is empty or no longer available.';
+    $addAll.remove();
+    $list.replaceWith(empty);
+    block.replaceChildren(fragment);
+    return;
+  }
+
+  const $buttons = [$addAll];
+
+  const addToCart = async (cartItems) => {
+    $buttons.forEach(($button) => { $button.disabled = true; });
+    try {
+      renderAddToCartResult($result, await addItemsToCart(cartItems), labels);
+    } catch (error) {
+      console.error('Could not add the shared wishlist to the cart', error);
+      renderAddToCartError($result, labels);
+    } finally {
+      $buttons.forEach(($button) => { $button.disabled = false; });
+    }
+  };
+
+  $list.append(...sharedItems.map((item) => {
+    const product = products.get(item.sku);
+    const li = document.createElement('li');
+    li.className = 'wishlist-shared-item';
+
+    const a = document.createElement('a');
+    a.href = rootLink(`/products/${product.urlKey}/${product.sku}`);
+
+    const image = product.images?.[0];
+    if (image?.url) {
+      const img = document.createElement('img');
+      img.src = image.url;
+      img.alt = image.label || product.name;
+      img.loading = 'lazy';
+      img.width = 288;
+      img.height = 288;
+      a.append(img);
+    }
+
+    const name = document.createElement('p');
+    name.className = 'wishlist-shared-name';
+    name.textContent = product.name;
+    a.append(name);
+
+    const price = document.createElement('p');
+    price.className = 'wishlist-shared-price';
+    price.textContent = formatPrice(product);
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'button secondary';
+    button.textContent = labels.Global?.AddProductToCart || 'Add to Cart';
+    button.addEventListener('click', () => addToCart([{ ...item, name: product.name }]));
+    $buttons.push(button);
+
+    li.append(a, price, button);
+    return li;
+  }));
+
+  $addAll.addEventListener('click', () => addToCart(sharedItems));
+
+  block.replaceChildren(fragment);
+}
@@ -0,0 +1,252 @@
+import { events } from '@dropins/tools/event-bus.js';
+import { formatMessage } from '../../scripts/i18n.js';
+import {
+  WISHLISTS_EVENT,
+  createWishlist,
+  deleteWishlist,
+  getActiveWishlistId,
+  getCustomerWishlists,
+  moveToWishlist,
+  renameWishlist,
+  setActiveWishlist,
+} from '../../scripts/wishlists.js';
+
+/**
+ * Management of the named wishlists, for customers with multiple wishlists: switching,
+ * creating, renaming and deleting wishlists, and moving items to another wishlist.
+ */
+
+let wishlists = [];
+
+events.on(WISHLISTS_EVENT, (data) => {
+  wishlists = data;
+});
+
+function getWishlistLabel(wishlist, labels) {
+  return formatMessage(
+    labels.Global?.WishlistNameCount || '{name} ({count})',
+    { name: wishlist.name, count: wishlist.itemsCount },
+  );
+}
+
+/**
+ * Renders the wishlist switcher, with the create, rename and delete actions.
+ * @param {Element} container - The element to render in
+ * @param {Object} labels - The placeholders
+ * @param {number} maxNumber - The maximum number of wishlists of a customer
+ * @returns {Promise<void>}
+ */
+export async function renderWishlistManager(container, labels, maxNumber) {
+  const fragment = document.createRange().createContextualFragment(`
+    <div class="wishlist-lists">
+      <label class="wishlist-lists-switcher">
+        <span></span>
+        <select name="wishlist"></select>
+      </label>
+      <div class="wishlist-lists-actions">
+        <button type="button" class="wishlist-lists-rename"></button>
+        <button type="button" class="wishlist-lists-delete"></button>
+        <button type="button" class="wishlist-lists-new"></button>
+      </div>
+      <form class="wishlist-lists-form" novalidate hidden>
+        <input type="text" name="name" required maxlength="255">
+        <button type="submit" class="button"></button>
+        <button type="button" class="button secondary"></button>
+      </form>
+      <div class="wishlist-lists-confirm" role="alert" hidden>
+        <p></p>
+        <button type="button" class="button"></button>
+        <button type="button" class="button secondary"></button>
+      </div>
+      <p class="wishlist-lists-message" role="status" aria-live="polite"></p>
+    </div>
+  `);
+
+  const $wrapper = fragment.querySelector('.wishlist-lists');
+  const $select = fragment.querySelector('select');
+  const $rename = fragment.querySelector('.wishlist-lists-rename');
+  const $delete = fragment.querySelector('.wishlist-lists-delete');
+  const $new = fragment.querySelector('.wishlist-lists-new');
+  const $form = fragment.querySelector('form');
+  const $name = $form.querySelector('input');
+  const [$save, $cancel] = $form.querySelectorAll('button');
+  const $confirm = fragment.querySelector('.wishlist-lists-confirm');
+  const $confirmText = $confirm.querySelector('p');
+  const [$confirmDelete, $confirmCancel] = $confirm.querySelectorAll('button');
+  const $message = fragment.querySelector('.wishlist-lists-message');
+
+  fragment.querySelector('.wishlist-lists-switcher span').textContent = labels.Global?.WishlistSwitch || 'Wishlist';
+  $rename.textContent = labels.Global?.WishlistRename || 'Rename';
+  $delete.textContent = labels.Global?.WishlistDelete || 'Delete';
+  $new.textContent = labels.Global?.WishlistNew || 'New wishlist';
+  $name.setAttribute('aria-label', labels.Global?.WishlistName || 'Wishlist name');
+  $save.textContent = labels.Global?.WishlistSave || 'Save';
+  $cancel.textContent = labels.Global?.WishlistCancel || 'Cancel';
+  $confirmDelete.textContent = labels.Global?.WishlistDelete || 'Delete';
+  $confirmCancel.textContent = labels.Global?.WishlistCancel || 'Cancel';
+
+  // the form either creates a wishlist, or renames the active one
+  let formMode = null;
+  // the deletion is confirmed inline, for the wishlist selected when it was asked
+  let wishlistToDelete = null;
+
+  const showMessage = (message, error = false) => {
+    $message.textContent = message;
+    $message.classList.toggle('wishlist-lists-message--error', error);
+  };
+
+  const setBusy = (busy) => {
+    $wrapper.querySelectorAll('select, input, button').forEach((element) => {
+      element.disabled = busy;
+    });
+  };
+
+  const run = async (action, errorMessage) => {
+    showMessage('');
+    setBusy(true);
+    try {
+      await action();
+      return true;
+    } catch (error) {
+      console.error(errorMessage, error);
+      showMessage(labels.Global?.WishlistUpdateError || 'The wishlist could not be updated.', true);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const render = () => {
+    const activeId = getActiveWishlistId();
+    $select.replaceChildren(...wishlists.map((wishlist) => new Option(
+      getWishlistLabel(wishlist, labels),
+      wishlist.id,
+      false,
+      wishlist.id === activeId,
+    )));
+    $delete.hidden = wishlists.length < 2;
+    $new.hidden = wishlists.length >= maxNumber;
+  };
+
+  const openForm = (mode) => {
+    $confirm.hidden = true;
+    formMode = mode;
+    $name.value = mode === 'rename' ? wishlists.find(({ id }) => id === $select.value)?.name ?? '' : '';
+    $form.hidden = false;
+    $name.focus();
+  };
+
+  $select.addEventListener('change', () => {
+    $confirm.hidden = true;
+    wishlistToDelete = null;
+    run(() => setActiveWishlist($select.value), 'Could not switch the wishlist');
+  });
+
+  $rename.addEventListener('click', () => openForm('rename'));
+  $new.addEventListener('click', () => openForm('create'));
+  $cancel.addEventListener('click', () => { $form.hidden = true; });
+
+  $delete.addEventListener('click', () => {
+    wishlistToDelete = wishlists.find(({ id }) => id === $select.value);
+    if (!wishlistToDelete) return;
+    $form.hidden = true;
+    $confirmText.textContent = formatMessage(
+      labels.Global?.WishlistDeleteConfirm || 'Delete the wishlist "{name}" and its items?',
+      { name: wishlistToDelete.name },
+    );
+    $confirm.hidden = false;
+    $confirmCancel.focus();
+  });
+
+  $confirmCancel.addEventListener('click', () => {
+    $confirm.hidden = true;
+    wishlistToDelete = null;
+    $delete.focus();
+  });
+
+  $confirmDelete.addEventListener('click', async () => {
+    if (!wishlistToDelete) return;
+    const { id } = wishlistToDelete;
+    const done = await run(() => deleteWishlist(id), 'Could not delete the wishlist');
+    if (done) {
+      $confirm.hidden = true;
+      wishlistToDelete = null;
+    }
+  });
+
+  $form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    const name = $name.value.trim();
+    if (!name) {
+      $name.focus();
+      return;
+    }
+
+    const done = await run(async () => {
+      if (formMode === 'rename') {
+        await renameWishlist($select.value, name);
+      } else {
+        const wishlist = await createWishlist(name);
+        await setActiveWishlist(wishlist.id);
+      }
+    }, 'Could not save the wishlist');
+    if (done) $form.hidden = true;
+  });
+
+  events.on(WISHLISTS_EVENT, render);
+
+  try {
+    wishlists = await getCustomerWishlists();
+  } catch (error) {
+    console.error('Could not load the wishlists', error);
+  }
+  render();
+
+  container.replaceChildren(fragment);
+}
+
+/**
+ * Creates the "move to" control of a wishlist item, to move it to another wishlist.
+ * @param {Object} item - The wishlist item
+ * @param {Object} labels - The placeholders
+ * @returns {HTMLElement} The control
+ */
+export function createMoveToWishlist(item, labels) {
+  const label = document.createElement('label');
+  label.className = 'wishlist-move-to';
+
+  const text = document.createElement('span');
+  text.textContent = labels.Global?.WishlistMoveTo || 'Move to';
+
+  const select = document.createElement('select');
+
+  // the wishlists may have changed since the item was rendered
+  const fill = () => {
+    const activeId = getActiveWishlistId();
+    select.replaceChildren(
+      new Option(labels.Global?.WishlistMoveToPlaceholder || 'Choose a wishlist', ''),
+      ...wishlists
+        .filter(({ id }) => id !== activeId)
+        .map((wishlist) => new Option(wishlist.name, wishlist.id)),
+    );
+  };
+  fill();
+  select.addEventListener('focus', fill);
+
+  select.addEventListener('change', async () => {
+    if (!select.value) return;
+    select.disabled = true;
+    try {
+      await moveToWishlist(getActiveWishlistId(), select.value, [item]);
+    } catch (error) {
+      console.error('Could not move the item to the wishlist', error);
+      select.value = '';
+    } finally {
+      select.disabled = false;
+    }
+  });
+
+  label.append(text, select);
+  return label;
+}
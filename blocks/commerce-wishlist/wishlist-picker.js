@@ -0,0 +1,172 @@
+import { events } from '@dropins/tools/event-bus.js';
+import { loadCSS } from '../../scripts/aem.js';
+import { fetchPlaceholders } from '../../scripts/commerce.js';
+import { formatMessage } from '../../scripts/i18n.js';
+import {
+  WISHLISTS_EVENT,
+  addToWishlist,
+  createWishlist,
+  findWishlistItem,
+  getCustomerWishlists,
+  getMultipleWishlistsConfig,
+  removeFromWishlist,
+} from '../../scripts/wishlists.js';
+import createModal from '../modal/modal.js';
+
+/**
+ * Wishlist picker of the wishlist toggles, for customers with multiple wishlists: the
+ * product is added to, or removed from, each wishlist checked, and new wishlists can be
+ * created on the fly.
+ */
+
+let pickerModal = null;
+
+function loadStyles() {
+  return loadCSS(`${window.hlx.codeBasePath}/blocks/commerce-wishlist/wishlist-picker.css`);
+}
+
+/**
+ * Maps the product of a wishlist toggle to a wishlist item, as the toggle does.
+ * @param {Object} product - The product of the toggle
+ * @returns {Object} The item ({ sku, quantity, optionsUIDs })
+ */
+function toWishlistItem(product) {
+  return {
+    sku: product.topLevelSku ?? product.sku,
+    quantity: 1,
+    optionsUIDs: product.optionUIDs
+      ?? (product.selectedOptionsUIDs ? Object.values(product.selectedOptionsUIDs) : []),
+  };
+}
+
+/**
+ * Opens the wishlist picker of a product in a modal.
+ * @param {Object} product - The product of the wishlist toggle
+ * @returns {Promise<void>}
+ */
+export default async function openWishlistPicker(product) {
+  pickerModal?.removeModal();
+
+  const [labels, { maxNumber }] = await Promise.all([
+    fetchPlaceholders(),
+    getMultipleWishlistsConfig(),
+    loadStyles(),
+  ]);
+  const item = toWishlistItem(product);
+
+  const fragment = document.createRange().createContextualFragment(`
+    <div class="wishlist-picker">
+      <h2 class="wishlist-picker-title"></h2>
+      <ul class="wishlist-picker-lists"></ul>
+      <form class="wishlist-picker-create" novalidate>
+        <input type="text" name="name" required maxlength="255">
+        <button type="submit" class="button secondary"></button>
+      </form>
+      <p class="wishlist-picker-message" role="status" aria-live="polite"></p>
+    </div>
+  `);
+
+  const $picker = fragment.querySelector('.wishlist-picker');
+  const $lists = fragment.querySelector('.wishlist-picker-lists');
+  const $form = fragment.querySelector('form');
+  const $name = $form.querySelector('input');
+  const $create = $form.querySelector('button');
+  const $message = fragment.querySelector('.wishlist-picker-message');
+
+  fragment.querySelector('.wishlist-picker-title').textContent = formatMessage(
+    labels.Global?.WishlistPickerTitle || 'Save {product} to',
+    { product: product.name ?? item.sku },
+  );
+  $name.placeholder = labels.Global?.WishlistNewName || 'New wishlist name';
+  $name.setAttribute('aria-label', labels.Global?.WishlistNewName || 'New wishlist name');
+  $create.textContent = labels.Global?.WishlistCreate || 'Create';
+
+  const showMessage = (message, error = false) => {
+    $message.textContent = message;
+    $message.classList.toggle('wishlist-picker-message--error', error);
+  };
+
+  const setBusy = (busy) => {
+    $picker.querySelectorAll('input, button').forEach((element) => { element.disabled = busy; });
+  };
+
+  const render = (wishlists) => {
+    $lists.replaceChildren(...wishlists.map((wishlist) => {
+      const li = document.createElement('li');
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !!findWishlistItem(wishlist, item);
+
+      checkbox.addEventListener('change', async () => {
+        showMessage('');
+        setBusy(true);
+        try {
+          const wishlistItem = findWishlistItem(wishlist, item);
+          if (checkbox.checked && !wishlistItem) {
+            await addToWishlist(wishlist.id, item);
+          } else if (!checkbox.checked && wishlistItem) {
+            await removeFromWishlist(wishlist.id, wishlistItem.id);
+          }
+        } catch (error) {
+          console.error('Could not update the wishlist', error);
+          checkbox.checked = !checkbox.checked;
+          showMessage(labels.Global?.WishlistUpdateError || 'The wishlist could not be updated.', true);
+        } finally {
+          setBusy(false);
+        }
+      });
+
+      const name = document.createElement('span');
+      name.textContent = formatMessage(
+        labels.Global?.WishlistNameCount || '{name} ({count})',
+        { name: wishlist.name, count: wishlist.itemsCount },
+      );
+
+      label.append(checkbox, name);
+      li.append(label);
+      return li;
+    }));
+
+    $form.hidden = wishlists.length >= maxNumber;
+  };
+
+  $form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    const name = $name.value.trim();
+    if (!name) {
+      $name.focus();
+      return;
+    }
+
+    showMessage('');
+    setBusy(true);
+    try {
+      const wishlist = await createWishlist(name);
+      await addToWishlist(wishlist.id, item);
+      $form.reset();
+    } catch (error) {
+      console.error('Could not create the wishlist', error);
+      showMessage(labels.Global?.WishlistCreateError || 'The wishlist could not be created.', true);
+    } finally {
+      setBusy(false);
+    }
+  });
+
+  const listener = events.on(WISHLISTS_EVENT, render);
+
+  try {
+    render(await getCustomerWishlists());
+  } catch (error) {
+    console.error('Could not load the wishlists', error);
+    showMessage(labels.Global?.WishlistLoadError || 'The wishlists could not be loaded.', true);
+  }
+
+  pickerModal = await createModal([fragment]);
+  pickerModal.block.querySelector('dialog').addEventListener('close', () => {
+    listener.off();
+    pickerModal = null;
+  });
+  pickerModal.showModal();
+}
@@ -0,0 +1,222 @@
+import { getConfigValue } from '@dropins/tools/lib/aem/configs.js';
+import { isValidEmail } from '../newsletter/subscription.js';
+
+/**
+ * Sharing of the wishlist: a read-only link and an email-a-friend form.
+ *
+ * Commerce has no storefront query to read a wishlist by its sharing code, so the link
+ * carries the products themselves in a `share` token (base64url encoded JSON of
+ * [sku, quantity, optionsUIDs] tuples), which the block renders in its shared mode.
+ *
+ * The email-a-friend form posts to the `wishlist-sharing` endpoint of config.json, if any:
+ * { "endpoint": "https://example.com/wishlist-sharing" }
+ * which receives a JSON POST { email, name, message, url, storeViewCode } and answers 2xx
+ * on success. Without endpoint, the form opens the email client of the shopper.
+ */
+
+export const SHARE_PARAM = 'share';
+
+function toBase64Url(string) {
+  const binary = String.fromCharCode(...new TextEncoder().encode(string));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(string) {
+  const binary = atob(string.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+}
+
+/**
+ * Creates the share token of wishlist items.
+ * @param {Object[]} items - The items ({ sku, quantity, optionsUIDs })
+ * @returns {string} The token
+ */
+export function createShareToken(items) {
+  return toBase64Url(JSON.stringify(items.map(({ sku, quantity, optionsUIDs }) => [
+    sku,
+    quantity || 1,
+    optionsUIDs?.length ? optionsUIDs : [],
+  ])));
+}
+
+/**
+ * Reads the items of a share token.
+ * @param {string} token - The token
+ * @returns {Object[]} The items ({ sku, quantity, optionsUIDs }), empty if the token is invalid
+ */
+export function parseShareToken(token) {
+  try {
+    const items = JSON.parse(fromBase64Url(token));
+    return items
+      .filter(([sku]) => typeof sku === 'string' && sku)
+      .map(([sku, quantity, optionsUIDs]) => ({
+        sku,
+        quantity: Math.max(Number(quantity) || 1, 1),
+        optionsUIDs: Array.isArray(optionsUIDs) ? optionsUIDs.map(String) : [],
+      }));
+  } catch (e) {
+    console.warn('Invalid wishlist share token', e);
+    return [];
+  }
+}
+
+/**
+ * Returns the read-only link of wishlist items, on the current page.
+ * @param {Object[]} items - The items ({ sku, quantity, optionsUIDs })
+ * @returns {string} The URL
+ */
+export function getShareUrl(items) {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set(SHARE_PARAM, createShareToken(items));
+  return url.toString();
+}
+
+function getSharingEndpoint() {
+  try {
+    return getConfigValue('wishlist-sharing')?.endpoint;
+  } catch (e) {
+    // config not initialized yet
+    return undefined;
+  }
+}
+
+async function sendEmail({
+  email,
+  name,
+  message,
+  url,
+}, labels) {
+  const endpoint = getSharingEndpoint();
+
+  // without endpoint, let the email client of the shopper send it
+  if (!endpoint) {
+    const subject = labels.Global?.WishlistShareEmailSubject || 'Have a look at my wishlist';
+    const body = [message, url, name].filter(Boolean).join('\n\n');
+    window.location.href = `mailto:${encodeURIComponent(email)}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    return;
+  }
+
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      email,
+      name,
+      message,
+      url,
+      storeViewCode: getConfigValue('headers.cs.Magento-Store-View-Code'),
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to share the wishlist: HTTP ${response.status} ${response.statusText}`);
+  }
+}
+
+/**
+ * Renders the share link and the email-a-friend form of the wishlist.
+ * @param {Element} container - The element to render in
+ * @param {Function} getItems - Returns the items to share ({ sku, quantity, optionsUIDs })
+ * @param {Object} labels - The placeholders
+ */
+export function renderShareTools(container, getItems, labels) {
+  const MESSAGES = {
+    COPIED: labels.Global?.WishlistShareCopied || 'Link copied.',
+    SENT: labels.Global?.WishlistShareSent || 'Your wishlist has been shared.',
+    INVALID_EMAIL: labels.Global?.WishlistShareInvalidEmail || 'Please enter a valid email address.',
+    ERROR: labels.Global?.WishlistShareError || 'Something went wrong. Please try again later.',
+  };
+
+  const fragment = document.createRange().createContextualFragment(`
+    <details class="wishlist-share">
+      <summary></summary>
+      <div class="wishlist-share-link">
+        <input type="text" readonly>
+        <button type="button" class="button secondary"></button>
+      </div>
+      <form class="wishlist-share-form" novalidate>
+        <label>
+          <span></span>
+          <input type="email" name="email" required>
+        </label>
+        <label>
+          <span></span>
+          <input type="text" name="name" autocomplete="name">
+        </label>
+        <label>
+          <span></span>
+          <textarea name="message" rows="3"></textarea>
+        </label>
+        <button type="submit" class="button"></button>
+      </form>
+      <p class="wishlist-share-message" role="status" aria-live="polite"></p>
+    </details>
+  `);
+
+  const $share = fragment.querySelector('.wishlist-share');
+  const $url = fragment.querySelector('.wishlist-share-link input');
+  const $copy = fragment.querySelector('.wishlist-share-link button');
+  const $form = fragment.querySelector('form');
+  const [$emailLabel, $nameLabel, $messageLabel] = $form.querySelectorAll('label span');
+  const $submit = $form.querySelector('button');
+  const $message = fragment.querySelector('.wishlist-share-message');
+
+  fragment.querySelector('summary').textContent = labels.Global?.WishlistShare || 'Share your wishlist';
+  $url.setAttribute('aria-label', labels.Global?.WishlistShareLink || 'Wishlist link');
+  $copy.textContent = labels.Global?.WishlistShareCopy || 'Copy link';
+  $emailLabel.textContent = labels.Global?.WishlistShareEmail || 'Friend\'s email';
+  $nameLabel.textContent = labels.Global?.WishlistShareName || 'Your name';
+  $messageLabel.textContent = labels.Global?.WishlistShareMessage || 'Message';
+  $submit.textContent = labels.Global?.WishlistShareSubmit || 'Send';
+
+  const showMessage = (message, error = false) => {
+    $message.textContent = message;
+    $message.classList.toggle('wishlist-share-message--error', error);
+  };
+
+  // the link is built when opened, so that it has the latest items
+  $share.addEventListener('toggle', () => {
+    if ($share.open) $url.value = getShareUrl(getItems());
+  });
+
+  $copy.addEventListener('click', async () => {
+    $url.value = getShareUrl(getItems());
+    try {
+      await navigator.clipboard.writeText($url.value);
+      showMessage(MESSAGES.COPIED);
+    } catch (e) {
+      // clipboard not available, let the shopper copy it
+      $url.select();
+    }
+  });
+
+  $form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    const email = $form.elements.email.value.trim();
+    if (!isValidEmail(email)) {
+      showMessage(MESSAGES.INVALID_EMAIL, true);
+      $form.elements.email.focus();
+      return;
+    }
+
+    $submit.disabled = true;
+    try {
+      await sendEmail({
+        email,
+        name: $form.elements.name.value.trim(),
+        message: $form.elements.message.value.trim(),
+        url: getShareUrl(getItems()),
+      }, labels);
+      showMessage(MESSAGES.SENT);
+      $form.reset();
+    } catch (error) {
+      console.error('Could not share the wishlist', error);
+      showMessage(MESSAGES.ERROR, true);
+    } finally {
+      $submit.disabled = false;
+    }
+  });
+
+  container.replaceChildren(fragment);
+}
@@ -0,0 +1,146 @@
+/*
+ * Consent Banner Block
+ * Asks the shopper for consent per topic and stores the decision through
+ * scripts/consent.js. Author it once in the footer fragment so it is
+ * available on every page. Links to `#consent-preferences` reopen the banner.
+ */
+
+import { readBlockConfig } from '../../scripts/aem.js';
+import {
+  CONSENT_TOPICS,
+  getConsent,
+  hasConsentDecision,
+  setConsent,
+  setConsentForAll,
+} from '../../scripts/consent.js';
+
+const PREFERENCES_HASH = '#consent-preferences';
+
+const DEFAULT_LABELS = {
+  title: 'Your privacy',
+  description: 'We use cookies and local storage to measure how our store is used and to personalize product recommendations. You can change your choice at any time.',
+  accept: 'Accept all',
+  reject: 'Reject all',
+  customize: 'Customize',
+  save: 'Save preferences',
+  [CONSENT_TOPICS.COLLECTION]: 'Analytics: help us improve the store by sharing how you browse.',
+  [CONSENT_TOPICS.RECOMMENDATIONS]: 'Personalization: remember products you viewed and purchased to recommend products.',
+};
+
+function createButton(label, className) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `button ${className}`;
+  button.textContent = label;
+  return button;
+}
+
+export default function decorate(block) {
+  const config = readBlockConfig(block);
+  const labels = Object.fromEntries(
+    Object.entries(DEFAULT_LABELS).map(([key, value]) => [key, config[key] || value]),
+  );
+
+  const panel = document.createElement('section');
+  panel.className = 'consent-banner__panel';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-labelledby', 'consent-banner-title');
+  panel.setAttribute('aria-describedby', 'consent-banner-description');
+
+  const title = document.createElement('h2');
+  title.id = 'consent-banner-title';
+  title.className = 'consent-banner__title';
+  title.textContent = labels.title;
+
+  const description = document.createElement('p');
+  description.id = 'consent-banner-description';
+  description.className = 'consent-banner__description';
+  description.textContent = labels.description;
+
+  // Per-topic preferences (hidden until the shopper chooses to customize)
+  const preferences = document.createElement('fieldset');
+  preferences.className = 'consent-banner__preferences';
+  preferences.hidden = true;
+
+  const checkboxes = Object.values(CONSENT_TOPICS).map((topic) => {
+    const label = document.createElement('label');
+    label.className = 'consent-banner__topic';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.name = topic;
+
+    label.append(checkbox, labels[topic]);
+    preferences.append(label);
+    return checkbox;
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'consent-banner__actions';
+
+  const rejectButton = createButton(labels.reject, 'secondary');
+  const customizeButton = createButton(labels.customize, 'secondary');
+  const saveButton = createButton(labels.save, 'secondary');
+  const acceptButton = createButton(labels.accept, 'primary');
+  saveButton.hidden = true;
+
+  actions.append(rejectButton, customizeButton, saveButton, acceptButton);
+  panel.append(title, description, preferences, actions);
+
+  block.textContent = '';
+  block.append(panel);
+
+  const open = () => {
+    checkboxes.forEach((checkbox) => {
+      checkbox.checked = getConsent(checkbox.name);
+    });
+    block.classList.add('consent-banner--open');
+    title.setAttribute('tabindex', '-1');
+    title.focus();
+  };
+
+  const close = () => {
+    block.classList.remove('consent-banner--open');
+    preferences.hidden = true;
+    saveButton.hidden = true;
+    customizeButton.hidden = false;
+  };
+
+  acceptButton.addEventListener('click', () => {
+    setConsentForAll(true);
+    close();
+  });
+
+  rejectButton.addEventListener('click', () => {
+    setConsentForAll(false);
+    close();
+  });
+
+  customizeButton.addEventListener('click', () => {
+    preferences.hidden = false;
+    saveButton.hidden = false;
+    customizeButton.hidden = true;
+    checkboxes[0]?.focus();
+  });
+
+  saveButton.addEventListener('click', () => {
+    setConsent(Object.fromEntries(
+      checkboxes.map((checkbox) => [checkbox.name, checkbox.checked]),
+    ));
+    close();
+  });
+
+  // Reopen the banner from "Cookie preferences" links
+  document.addEventListener('click', (e) => {
+    const link = e.target.closest('a');
+    if (link?.hash === PREFERENCES_HASH) {
+      e.preventDefault();
+      open();
+      customizeButton.click();
+    }
+  });
+
+  if (!hasConsentDecision()) {
+    open();
+  }
+}
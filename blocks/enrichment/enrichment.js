@@ -1,18 +1,77 @@
+import { events } from '@dropins/tools/event-bus.js';
+import { getPersonalizationData } from '@dropins/storefront-personalization/api.js';
 import { readBlockConfig } from '../../scripts/aem.js';
-import { getProductSku, fetchIndex } from '../../scripts/commerce.js';
+import { getProductSku } from '../../scripts/commerce.js';
+import { queryIndex } from '../../scripts/query-index.js';
 import { loadFragment } from '../fragment/fragment.js';
 
+/**
+ * Checks if the fragment is scheduled for now (enrichment-start / enrichment-end).
+ * @param {Object} fragment - The enrichment index entry
+ * @param {number} now - The current timestamp
+ * @returns {boolean} True if the fragment can be shown
+ */
+function isScheduled({ start, end }, now) {
+  const startTime = start ? Date.parse(start) : NaN;
+  const endTime = end ? Date.parse(end) : NaN;
+  if (!Number.isNaN(startTime) && now < startTime) return false;
+  if (!Number.isNaN(endTime) && now > endTime) return false;
+  return true;
+}
+
+/**
+ * Checks if the fragment targets the customer group of the shopper (enrichment-customer-groups).
+ * @param {Object} fragment - The enrichment index entry
+ * @param {string[]} groups - The customer groups of the shopper, as returned by personalization
+ * @returns {boolean} True if the fragment can be shown
+ */
+function isInAudience({ customerGroups }, groups) {
+  if (!Array.isArray(customerGroups) || !customerGroups.length) return true;
+  return customerGroups.some((group) => groups.includes(btoa(group.trim())));
+}
+
+/**
+ * Checks if the product has all attribute values of the fragment (enrichment-attributes),
+ * e.g. "brand=Acme".
+ * @param {Object} fragment - The enrichment index entry
+ * @param {Object} attributes - The product attribute values, by attribute code
+ * @returns {boolean} True if the fragment matches the product
+ */
+function matchesAttributes({ attributes: rules }, attributes) {
+  if (!Array.isArray(rules) || !rules.length) return false;
+  return rules.every((rule) => {
+    const [code, value] = rule.split('=').map((part) => part.trim().toLowerCase());
+    return attributes[code]?.includes(value);
+  });
+}
+
+/**
+ * Reads the attribute values of the product shown on the page.
+ * @returns {Promise<Object>} The lowercased attribute values, by attribute code
+ */
+async function getProductAttributes() {
+  await import('../../scripts/initializers/pdp.js');
+  const product = events.lastPayload('pdp/data');
+  return Object.fromEntries((product?.attributes ?? []).map(({ id, value }) => [
+    id,
+    `${value}`.split(',').map((part) => part.trim().toLowerCase()),
+  ]));
+}
+
 export default async function decorate(block) {
-  const { type, position } = readBlockConfig(block);
+  const { type, position, limit } = readBlockConfig(block);
 
   try {
-    const filters = {};
+    const filters = [];
     if (type === 'product') {
       const productSku = getProductSku();
       if (!productSku) {
         throw new Error('No product SKU found in URL');
       }
-      filters.products = productSku;
+      const attributes = await getProductAttributes();
+      // fragments target the product by SKU, or by attribute values
+      filters.push((fragment) => fragment.products?.includes(productSku)
+        || matchesAttributes(fragment, attributes));
     }
 
     if (type === 'category') {
@@ -25,20 +84,29 @@ export default async function decorate(block) {
       if (!category) {
         throw new Error('No category ID found in product list page block');
       }
-      filters.categories = category;
+      filters.push({ categories: category });
     }
 
     if (position) {
-      filters.positions = position;
+      filters.push({ positions: position });
+    }
+
+    const now = Date.now();
+    filters.push((fragment) => isScheduled(fragment, now));
+
+    const { groups = [] } = getPersonalizationData() ?? {};
+    filters.push((fragment) => isInAudience(fragment, groups));
+
+    const query = queryIndex('enrichment/enrichment');
+    filters.forEach((filter) => query.where(filter));
+
+    // the fragments with the highest priority win
+    query.sortBy((a, b) => (parseFloat(b.priority) || 0) - (parseFloat(a.priority) || 0));
+    if (parseInt(limit, 10) > 0) {
+      query.limit(parseInt(limit, 10));
     }
 
-    const index = await fetchIndex('enrichment/enrichment');
-    const matchingFragments = index.data
-      .filter((fragment) => Object.keys(filters).every((filterKey) => {
-        const values = JSON.parse(fragment[filterKey]);
-        return values.includes(filters[filterKey]);
-      }))
-      .map((fragment) => fragment.path);
+    const matchingFragments = (await query.all()).map((fragment) => fragment.path);
 
     (await Promise.all(matchingFragments.map((path) => loadFragment(path))))
       .filter((fragment) => fragment)
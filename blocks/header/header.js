@@ -365,7 +365,12 @@ export default async function decorate(block) {
           { search },
           { render },
           { SearchResults },
-          { provider: UI, Input, Button },
+          {
+            provider: UI,
+            Input,
+            Button,
+            Icon,
+          },
         ] = await Promise.all([
           import('@dropins/storefront-product-discovery/api.js'),
           import('@dropins/storefront-product-discovery/render.js'),
@@ -397,6 +402,24 @@ export default async function decorate(block) {
                 },
               });
             },
+            ProductActions: (ctx) => {
+              // Quick view, to add the product to the cart without leaving the page
+              const quickViewWrapper = document.createElement('div');
+              quickViewWrapper.className = 'search-bar-result__quick-view';
+
+              UI.render(Button, {
+                children: labels.Global?.QuickView || 'Quick view',
+                icon: Icon({ source: 'Eye' }),
+                variant: 'tertiary',
+                onClick: async () => {
+                  const { openQuickView } = await import('../commerce-mini-pdp/commerce-mini-pdp.js');
+                  const { product } = ctx;
+                  await openQuickView({ sku: product.sku, image: product.images?.[0]?.url });
+                },
+              })(quickViewWrapper);
+
+              ctx.replaceWith(quickViewWrapper);
+            },
             Footer: async (ctx) => {
               // View all results button
               const viewAllResultsWrapper = document.createElement('div');
@@ -1,8 +1,27 @@
-export default function decorate(block) {
-  const rows = [...block.children];
+import { events } from '@dropins/tools/event-bus.js';
+import { readBlockConfig, toClassName } from '../../scripts/aem.js';
+import { fetchPlaceholders } from '../../scripts/commerce.js';
+import subscribe, { isValidEmail, SUBSCRIPTION_STATUS } from './subscription.js';
+
+export default async function decorate(block) {
+  // the optional "Endpoint" row can be anywhere, the content rows are read in order
+  const { endpoint = '' } = readBlockConfig(block);
+  const rows = [...block.children]
+    .filter((row) => toClassName(row.children[0]?.textContent ?? '') !== 'endpoint');
 
   if (rows.length < 3) return;
 
+  const labels = await fetchPlaceholders();
+
+  const MESSAGES = {
+    [SUBSCRIPTION_STATUS.SUBSCRIBED]: labels.Global?.NewsletterSubscribed || 'Thank you for subscribing!',
+    [SUBSCRIPTION_STATUS.PENDING]: labels.Global?.NewsletterConfirmationPending || 'Please check your inbox to confirm your subscription.',
+    [SUBSCRIPTION_STATUS.DUPLICATE]: labels.Global?.NewsletterAlreadySubscribed || 'This email address is already subscribed.',
+    INVALID_EMAIL: labels.Global?.NewsletterInvalidEmail || 'Please enter a valid email address.',
+    REQUIRED_FIELDS: labels.Global?.NewsletterRequiredFields || 'Please answer all questions.',
+    ERROR: labels.Global?.NewsletterError || 'Something went wrong. Please try again later.',
+  };
+
   // Extract data from rows
   const [headerRow, dropdown1Row, dropdown2Row, footerRow] = rows;
 
@@ -52,6 +71,7 @@ export default function decorate(block) {
   // Create form
   const form = document.createElement('form');
   form.className = 'newsletter-form';
+  form.noValidate = true;
 
   // Create input wrapper
   const inputWrapper = document.createElement('div');
@@ -141,6 +161,14 @@ export default function decorate(block) {
   submitButton.textContent = buttonText;
 
   form.appendChild(submitButton);
+
+  // Create status message
+  const messageEl = document.createElement('p');
+  messageEl.className = 'newsletter-message';
+  messageEl.setAttribute('role', 'status');
+  messageEl.setAttribute('aria-live', 'polite');
+  form.appendChild(messageEl);
+
   formWrapper.appendChild(form);
   row.appendChild(formWrapper);
 
@@ -190,19 +218,70 @@ export default function decorate(block) {
     }
   });
 
+  const showMessage = (message, type) => {
+    messageEl.textContent = message;
+    messageEl.classList.toggle('newsletter-message--error', type === 'error');
+    messageEl.classList.toggle('newsletter-message--success', type === 'success');
+  };
+
   // Handle form submission
-  form.addEventListener('submit', (e) => {
+  let isSubmitting = false;
+  const originalText = submitButton.textContent;
+
+  const setSubmitting = (state) => {
+    isSubmitting = state;
+    submitButton.disabled = state;
+    form.setAttribute('aria-busy', state ? 'true' : 'false');
+  };
+
+  form.addEventListener('submit', async (e) => {
     e.preventDefault();
-    const email = emailInput.value;
+
+    // Prevent double submissions while a request is in flight
+    if (isSubmitting) return;
+
+    const email = emailInput.value.trim();
     const dropdown1Value = dropdown1Select.value;
     const dropdown2Value = dropdown2Select.value;
 
-    // Add your newsletter signup logic here
-    // TODO: Implement newsletter signup API call
-    if (email && dropdown1Value && dropdown2Value) {
+    if (!isValidEmail(email)) {
+      emailInput.setAttribute('aria-invalid', 'true');
+      showMessage(MESSAGES.INVALID_EMAIL, 'error');
+      emailInput.focus();
+      return;
+    }
+    emailInput.removeAttribute('aria-invalid');
+
+    if (!dropdown1Value || !dropdown2Value) {
+      showMessage(MESSAGES.REQUIRED_FIELDS, 'error');
+      return;
+    }
+
+    setSubmitting(true);
+    showMessage('');
+
+    try {
+      const status = await subscribe(email, {
+        [dropdown1Label]: dropdown1Value,
+        [dropdown2Label]: dropdown2Value,
+      }, { endpoint });
+
+      if (status === SUBSCRIPTION_STATUS.DUPLICATE) {
+        showMessage(MESSAGES[status], 'error');
+        return;
+      }
+
+      showMessage(MESSAGES[status], 'success');
+
+      // Notify analytics and other blocks
+      events.emit('newsletter/subscribed', { status });
+      window.adobeDataLayer?.push({
+        event: 'newsletter-subscribe',
+        eventInfo: { status },
+      });
+
       // Show success animation
       submitButton.classList.add('success');
-      const originalText = submitButton.textContent;
       submitButton.textContent = 'Success!';
 
       // Reset form after success animation
@@ -214,6 +293,11 @@ export default function decorate(block) {
         submitButton.classList.remove('success');
         submitButton.textContent = originalText;
       }, 2000);
+    } catch (error) {
+      console.error('Error subscribing to newsletter', error);
+      showMessage(MESSAGES.ERROR, 'error');
+    } finally {
+      setSubmitting(false);
     }
   });
 
@@ -0,0 +1,101 @@
+import { fetchGraphQl } from '@dropins/tools/fetch-graphql.js';
+
+/**
+ * Newsletter subscription backends.
+ *
+ * Every backend resolves to one of the SUBSCRIPTION_STATUS values and rejects
+ * with an Error when the subscription could not be stored.
+ */
+
+export const SUBSCRIPTION_STATUS = {
+  SUBSCRIBED: 'subscribed',
+  // the subscription needs to be confirmed by email
+  PENDING: 'pending',
+  DUPLICATE: 'duplicate',
+};
+
+const SUBSCRIBE_EMAIL_TO_NEWSLETTER = `
+  mutation SUBSCRIBE_EMAIL_TO_NEWSLETTER($email: String!) {
+    subscribeEmailToNewsletter(email: $email) {
+      status
+    }
+  }
+`;
+
+const DUPLICATE_MESSAGE_PATTERN = /already (been )?subscribed/i;
+
+/**
+ * Subscribes an email through the Commerce `subscribeEmailToNewsletter` mutation,
+ * using the core endpoint configured for the drop-ins.
+ * @param {string} email - The email address
+ * @returns {Promise<string>} The subscription status
+ */
+async function subscribeWithCommerce(email) {
+  const { data, errors } = await fetchGraphQl(SUBSCRIBE_EMAIL_TO_NEWSLETTER, {
+    method: 'POST',
+    variables: { email },
+  });
+
+  if (errors?.length) {
+    if (errors.some(({ message }) => DUPLICATE_MESSAGE_PATTERN.test(message))) {
+      return SUBSCRIPTION_STATUS.DUPLICATE;
+    }
+    throw new Error(errors.map(({ message }) => message).join(' '));
+  }
+
+  const status = data?.subscribeEmailToNewsletter?.status;
+
+  if (status === 'SUBSCRIBED') return SUBSCRIPTION_STATUS.SUBSCRIBED;
+  if (status === 'NOT_ACTIVE' || status === 'UNCONFIRMED') return SUBSCRIPTION_STATUS.PENDING;
+
+  throw new Error(`Unexpected subscription status: ${status}`);
+}
+
+/**
+ * Subscribes an email by posting it as JSON to a custom endpoint.
+ * The endpoint answers 2xx on success, 202 when a confirmation is pending
+ * and 409 when the email is already subscribed.
+ * @param {string} email - The email address
+ * @param {Object} fields - Additional form fields
+ * @param {string} endpoint - The endpoint URL
+ * @returns {Promise<string>} The subscription status
+ */
+async function subscribeWithEndpoint(email, fields, endpoint) {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, ...fields }),
+  });
+
+  if (response.status === 409) return SUBSCRIPTION_STATUS.DUPLICATE;
+  if (response.status === 202) return SUBSCRIPTION_STATUS.PENDING;
+  if (!response.ok) {
+    throw new Error(`Failed to subscribe: HTTP ${response.status} ${response.statusText}`);
+  }
+
+  return SUBSCRIPTION_STATUS.SUBSCRIBED;
+}
+
+/**
+ * Subscribes an email to the newsletter.
+ * @param {string} email - The email address
+ * @param {Object} [fields] - Additional form fields, only sent to custom endpoints
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] - Custom endpoint URL. Uses Commerce if not set.
+ * @returns {Promise<string>} The subscription status
+ */
+export default async function subscribe(email, fields = {}, { endpoint } = {}) {
+  if (endpoint) {
+    return subscribeWithEndpoint(email, fields, endpoint);
+  }
+  return subscribeWithCommerce(email);
+}
+
+/**
+ * Validates an email address.
+ * @param {string} email - The email address
+ * @returns {boolean} True if the email looks valid
+ */
+export function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email);
+}
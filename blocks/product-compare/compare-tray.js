@@ -0,0 +1,164 @@
+import { events } from '@dropins/tools/event-bus.js';
+import { loadCSS } from '../../scripts/aem.js';
+import { COMPARE_PATH, fetchPlaceholders, rootLink } from '../../scripts/commerce.js';
+import {
+  COMPARE_EVENT,
+  addToCompare,
+  clearCompare,
+  getCompareItems,
+  isInCompare,
+  removeFromCompare,
+} from '../../scripts/compare.js';
+import { formatMessage } from '../../scripts/i18n.js';
+
+/**
+ * Compare toggles of the product cards and product pages, and the compare tray
+ * listing the compared products at the bottom of every page.
+ */
+
+const LIMIT_EVENT = 'compare/limit';
+
+let tray = null;
+
+function loadStyles() {
+  return loadCSS(`${window.hlx.codeBasePath}/blocks/product-compare/compare-tray.css`);
+}
+
+// keep all toggles of the page in sync, e.g. when a product is removed from the tray
+events.on(COMPARE_EVENT, () => {
+  document.querySelectorAll('.compare-toggle input[data-sku]').forEach((input) => {
+    input.checked = isInCompare(input.dataset.sku);
+  });
+});
+
+function renderTrayItem(item, labels) {
+  const li = document.createElement('li');
+  li.className = 'compare-tray-item';
+
+  const a = document.createElement('a');
+  a.href = rootLink(`/products/${item.urlKey}/${item.sku}`);
+  if (item.image) {
+    const img = document.createElement('img');
+    img.src = item.image;
+    img.alt = '';
+    img.width = 48;
+    img.height = 48;
+    a.append(img);
+  }
+  const name = document.createElement('span');
+  name.textContent = item.name;
+  a.append(name);
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'compare-tray-remove';
+  remove.setAttribute('aria-label', formatMessage(
+    labels.Global?.CompareRemove || 'Remove {product} from the comparison',
+    { product: item.name },
+  ));
+  remove.addEventListener('click', () => removeFromCompare(item.sku));
+
+  li.append(a, remove);
+  return li;
+}
+
+/**
+ * Shows the compare tray while products are compared (except on the compare page).
+ * @returns {Promise<void>}
+ */
+export async function loadCompareTray() {
+  if (tray || document.querySelector('main .product-compare')) return;
+
+  const [labels] = await Promise.all([fetchPlaceholders(), loadStyles()]);
+  if (tray) return;
+
+  tray = document.createRange().createContextualFragment(`
+    <aside class="compare-tray" hidden>
+      <ul class="compare-tray-list"></ul>
+      <p class="compare-tray-message" role="status" aria-live="polite"></p>
+      <div class="compare-tray-actions">
+        <a class="compare-tray-compare" href="${rootLink(COMPARE_PATH)}"></a>
+        <button type="button" class="compare-tray-clear"></button>
+      </div>
+    </aside>
+  `).firstElementChild;
+
+  tray.setAttribute('aria-label', labels.Global?.CompareTray || 'Compared products');
+  const $list = tray.querySelector('.compare-tray-list');
+  const $message = tray.querySelector('.compare-tray-message');
+  const $compare = tray.querySelector('.compare-tray-compare');
+  const $clear = tray.querySelector('.compare-tray-clear');
+
+  $clear.textContent = labels.Global?.CompareClear || 'Clear all';
+  $clear.addEventListener('click', () => clearCompare());
+
+  const update = (items) => {
+    $list.replaceChildren(...items.map((item) => renderTrayItem(item, labels)));
+    $compare.textContent = formatMessage(
+      labels.Global?.CompareProducts || 'Compare ({count})',
+      { count: items.length },
+    );
+    tray.hidden = items.length === 0;
+    document.body.classList.toggle('compare-tray-open', items.length > 0);
+  };
+
+  events.on(COMPARE_EVENT, ({ items }) => {
+    $message.textContent = '';
+    update(items);
+  });
+  events.on(LIMIT_EVENT, ({ max }) => {
+    $message.textContent = formatMessage(
+      labels.Global?.CompareLimit || 'You can compare up to {max} similar products.',
+      { max },
+    );
+  });
+
+  update(getCompareItems());
+  document.body.append(tray);
+}
+
+/**
+ * Renders the compare toggle of a product.
+ * @param {Element} container - The element to render in
+ * @param {Object} product - The product ({ sku })
+ * @param {Object} labels - The placeholders
+ */
+export function renderCompareToggle(container, product, labels) {
+  loadStyles();
+
+  const label = document.createElement('label');
+  label.className = 'compare-toggle';
+
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.dataset.sku = product.sku;
+  input.checked = isInCompare(product.sku);
+
+  const text = document.createElement('span');
+  text.textContent = labels.Global?.Compare || 'Compare';
+
+  input.addEventListener('change', async () => {
+    if (!input.checked) {
+      removeFromCompare(product.sku);
+      return;
+    }
+
+    input.disabled = true;
+    try {
+      await loadCompareTray();
+      const { added, max } = await addToCompare(product.sku);
+      if (!added) {
+        input.checked = false;
+        events.emit(LIMIT_EVENT, { max });
+      }
+    } catch (error) {
+      console.error('Could not add the product to the comparison', error);
+      input.checked = false;
+    } finally {
+      input.disabled = false;
+    }
+  });
+
+  label.append(input, text);
+  container.replaceChildren(label);
+}
@@ -0,0 +1,283 @@
+/*
+ * Product Compare Block
+ * Shows the compared products side by side, one table per attribute set, with the
+ * attributes shown on the product pages (`visible_in_pdp`). The rows with different
+ * values are highlighted, and can be shown alone.
+ */
+
+import { events } from '@dropins/tools/event-bus.js';
+import { getHeaders } from '@dropins/tools/lib/aem/configs.js';
+import * as pdpApi from '@dropins/storefront-pdp/api.js';
+import {
+  commerceEndpointWithQueryParams,
+  fetchPlaceholders,
+  rootLink,
+} from '../../scripts/commerce.js';
+import {
+  COMPARE_EVENT,
+  clearCompare,
+  getCompareItems,
+  removeFromCompare,
+} from '../../scripts/compare.js';
+import { formatMessage, getLocale } from '../../scripts/i18n.js';
+
+const PRODUCTS_QUERY = `
+  query GET_COMPARE_PRODUCTS($skus: [String]) {
+    products(skus: $skus) {
+      sku
+      name
+      urlKey
+      inStock
+      images(roles: ["small_image"]) {
+        url
+        label
+      }
+      attributes(roles: ["visible_in_pdp"]) {
+        name
+        label
+        value
+      }
+      ...on SimpleProductView {
+        price {
+          final { amount { currency value } }
+        }
+      }
+      ...on ComplexProductView {
+        priceRange {
+          minimum {
+            final { amount { currency value } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Loads the products of the given SKUs, in the same order.
+ * @param {string[]} skus - The SKUs
+ * @returns {Promise<Object[]>} The products found
+ */
+async function fetchProducts(skus) {
+  pdpApi.setEndpoint(await commerceEndpointWithQueryParams());
+  pdpApi.setFetchGraphQlHeaders((prev) => ({ ...prev, ...getHeaders('cs') }));
+
+  const { data, errors } = await pdpApi.fetchGraphQl(PRODUCTS_QUERY, {
+    method: 'GET',
+    variables: { skus },
+  });
+
+  if (errors?.length) {
+    console.error('Could not fetch the compared products', errors);
+  }
+
+  const products = new Map((data?.products ?? [])
+    .filter(Boolean)
+    .map((product) => [product.sku, product]));
+  return skus.map((sku) => products.get(sku)).filter(Boolean);
+}
+
+function formatPrice(product) {
+  const amount = product.price?.final?.amount || product.priceRange?.minimum?.final?.amount;
+  if (amount?.value === undefined) return '';
+  return new Intl.NumberFormat(getLocale(), {
+    style: 'currency',
+    currency: amount.currency,
+  }).format(amount.value);
+}
+
+function formatValue(value) {
+  return Array.isArray(value) ? value.join(', ') : `${value ?? ''}`.split(',').join(', ');
+}
+
+/**
+ * Returns the rows of the table: the price, the availability and the attributes of the
+ * products, in the order of the first product having each attribute.
+ */
+function getRows(products, labels) {
+  const rows = [
+    {
+      label: labels.Global?.ComparePrice || 'Price',
+      values: products.map(formatPrice),
+    },
+    {
+      label: labels.Global?.CompareAvailability || 'Availability',
+      values: products.map((product) => (product.inStock
+        ? labels.Global?.InStock || 'In stock'
+        : labels.Global?.OutOfStock || 'Out of stock')),
+    },
+  ];
+
+  const attributes = new Map();
+  products.forEach((product) => {
+    product.attributes?.forEach(({ name, label }) => {
+      if (!attributes.has(name)) attributes.set(name, label || name);
+    });
+  });
+
+  attributes.forEach((label, name) => {
+    rows.push({
+      label,
+      values: products.map((product) => formatValue(
+        product.attributes?.find((attribute) => attribute.name === name)?.value,
+      )),
+    });
+  });
+
+  return rows;
+}
+
+function renderProductHeader(product, labels) {
+  const th = document.createElement('th');
+  th.scope = 'col';
+
+  const a = document.createElement('a');
+  a.href = rootLink(`/products/${product.urlKey}/${product.sku}`);
+
+  const image = product.images?.[0];
+  if (image?.url) {
+    const img = document.createElement('img');
+    img.src = image.url;
+    img.alt = '';
+    img.loading = 'lazy';
+    img.width = 200;
+    img.height = 200;
+    a.append(img);
+  }
+
+  const name = document.createElement('span');
+  name.className = 'product-compare-name';
+  name.textContent = product.name;
+  a.append(name);
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'product-compare-remove';
+  remove.textContent = labels.Global?.CompareRemoveProduct || 'Remove';
+  remove.setAttribute('aria-label', formatMessage(
+    labels.Global?.CompareRemove || 'Remove {product} from the comparison',
+    { product: product.name },
+  ));
+  remove.addEventListener('click', () => removeFromCompare(product.sku));
+
+  th.append(a, remove);
+  return th;
+}
+
+function renderTable(products, labels) {
+  const table = document.createElement('table');
+  table.className = 'product-compare-table';
+
+  const thead = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  const corner = document.createElement('td');
+  headRow.append(corner, ...products.map((product) => renderProductHeader(product, labels)));
+  thead.append(headRow);
+
+  const tbody = document.createElement('tbody');
+  getRows(products, labels).forEach(({ label, values }) => {
+    const tr = document.createElement('tr');
+    if (new Set(values).size > 1) {
+      tr.classList.add('product-compare-row--different');
+    }
+
+    const th = document.createElement('th');
+    th.scope = 'row';
+    th.textContent = label;
+    tr.append(th);
+
+    values.forEach((value) => {
+      const td = document.createElement('td');
+      td.textContent = value || '–';
+      tr.append(td);
+    });
+    tbody.append(tr);
+  });
+
+  table.append(thead, tbody);
+
+  // wide tables scroll horizontally on small screens
+  const wrapper = document.createElement('div');
+  wrapper.className = 'product-compare-table-wrapper';
+  wrapper.append(table);
+  return wrapper;
+}
+
+function renderToolbar(block, labels) {
+  const toolbar = document.createElement('div');
+  toolbar.className = 'product-compare-toolbar';
+
+  const label = document.createElement('label');
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = block.classList.contains('product-compare--differences');
+  input.addEventListener('change', () => {
+    block.classList.toggle('product-compare--differences', input.checked);
+  });
+  const text = document.createElement('span');
+  text.textContent = labels.Global?.CompareDifferencesOnly || 'Show differences only';
+  label.append(input, text);
+
+  const clear = document.createElement('button');
+  clear.type = 'button';
+  clear.className = 'product-compare-clear';
+  clear.textContent = labels.Global?.CompareClear || 'Clear all';
+  clear.addEventListener('click', () => clearCompare());
+
+  toolbar.append(label, clear);
+  return toolbar;
+}
+
+function renderEmpty(block, labels) {
+  const p = document.createElement('p');
+  p.className = 'product-compare-empty';
+  p.textContent = labels.Global?.CompareEmpty || 'There are no products to compare.';
+  block.replaceChildren(p);
+}
+
+export default async function decorate(block) {
+  const labels = await fetchPlaceholders();
+
+  let renderId = 0;
+
+  async function render(items) {
+    renderId += 1;
+    const id = renderId;
+
+    if (!items.length) {
+      renderEmpty(block, labels);
+      return;
+    }
+
+    let products = [];
+    try {
+      products = await fetchProducts(items.map(({ sku }) => sku));
+    } catch (error) {
+      console.error('Could not fetch the compared products', error);
+    }
+    // a newer list was rendered meanwhile
+    if (id !== renderId) return;
+
+    if (!products.length) {
+      renderEmpty(block, labels);
+      return;
+    }
+
+    // one table per attribute set, as products of different kinds share few attributes
+    const sets = new Map();
+    products.forEach((product) => {
+      const { attributeSetId } = items.find(({ sku }) => sku === product.sku);
+      if (!sets.has(attributeSetId)) sets.set(attributeSetId, []);
+      sets.get(attributeSetId).push(product);
+    });
+
+    block.replaceChildren(
+      renderToolbar(block, labels),
+      ...[...sets.values()].map((setProducts) => renderTable(setProducts, labels)),
+    );
+  }
+
+  events.on(COMPARE_EVENT, ({ items }) => render(items));
+
+  await render(getCompareItems());
+}
@@ -0,0 +1,148 @@
+import { events } from '@dropins/tools/event-bus.js';
+import * as pdpApi from '@dropins/storefront-pdp/api.js';
+import {
+  ALERT_TYPES,
+  getCustomerEmail,
+  getProductAlertsConfig,
+  setProductAlert,
+} from '../../scripts/product-alerts.js';
+import { isValidEmail } from '../newsletter/subscription.js';
+
+/**
+ * "Notify me" form of the product page, to be alerted when an out-of-stock product,
+ * or one of its out-of-stock variants, is back in stock.
+ */
+
+const GET_VARIANTS_STOCK = `
+  query GET_VARIANTS_STOCK($sku: String!) {
+    variants(sku: $sku) {
+      variants {
+        product {
+          sku
+          name
+          inStock
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Returns the out-of-stock products the shopper can be alerted about.
+ * @param {Object} product - The product (`pdp/data`)
+ * @returns {Promise<Object[]>} The products ({ sku, name })
+ */
+async function getOutOfStockProducts(product) {
+  if (product.productType !== 'complex') {
+    return product.inStock ? [] : [{ sku: product.sku, name: product.name }];
+  }
+
+  const { data, errors } = await pdpApi.fetchGraphQl(GET_VARIANTS_STOCK, {
+    method: 'GET',
+    variables: { sku: product.sku },
+  });
+  if (errors?.length) {
+    console.error('Could not fetch the stock of the variants', errors);
+  }
+
+  return (data?.variants?.variants ?? [])
+    .map((variant) => variant.product)
+    .filter((variant) => variant && !variant.inStock)
+    .map(({ sku, name }) => ({ sku, name }));
+}
+
+/**
+ * Renders the back-in-stock form of a product, if any of its variants is out of stock.
+ * @param {Element} container - The element to render in
+ * @param {Object} product - The product (`pdp/data`)
+ * @param {Object} labels - The placeholders
+ */
+export default async function renderStockAlert(container, product, labels) {
+  if (!product?.sku || !getProductAlertsConfig()) return;
+
+  let products = [];
+  try {
+    products = await getOutOfStockProducts(product);
+  } catch (error) {
+    console.error('Could not fetch the stock of the product', error);
+  }
+  if (!products.length) return;
+
+  const MESSAGES = {
+    SUBSCRIBED: labels.Global?.StockAlertSubscribed || 'We will email you when it is back in stock.',
+    INVALID_EMAIL: labels.Global?.ProductAlertInvalidEmail || 'Please enter a valid email address.',
+    ERROR: labels.Global?.ProductAlertError || 'Something went wrong. Please try again later.',
+  };
+
+  const fragment = document.createRange().createContextualFragment(`
+    <form class="product-details__stock-alert" novalidate>
+      <p class="product-details__stock-alert-title"></p>
+      <label class="product-details__stock-alert-variant">
+        <span></span>
+        <select name="sku"></select>
+      </label>
+      <label class="product-details__stock-alert-email">
+        <span></span>
+        <input type="email" name="email" autocomplete="email" required>
+      </label>
+      <button type="submit" class="button"></button>
+      <p class="product-details__stock-alert-message" role="status" aria-live="polite"></p>
+    </form>
+  `);
+
+  const $form = fragment.querySelector('form');
+  const $variant = fragment.querySelector('.product-details__stock-alert-variant');
+  const $select = fragment.querySelector('select');
+  const $email = fragment.querySelector('input');
+  const $submit = fragment.querySelector('button');
+  const $message = fragment.querySelector('.product-details__stock-alert-message');
+
+  fragment.querySelector('.product-details__stock-alert-title').textContent = labels.Global?.StockAlertTitle
+    || 'Out of stock? Get notified when it is back.';
+  $variant.querySelector('span').textContent = labels.Global?.StockAlertVariant || 'Option';
+  fragment.querySelector('.product-details__stock-alert-email span').textContent = labels.Global?.ProductAlertEmail || 'Email';
+  $submit.textContent = labels.Global?.StockAlertSubmit || 'Notify me';
+
+  // the variants are only listed for configurable products
+  $select.append(...products.map(({ sku, name }) => new Option(name, sku)));
+  $variant.hidden = product.productType !== 'complex';
+
+  // preselect the out-of-stock variant picked in the product options
+  events.on('pdp/data', (data) => {
+    const sku = data?.variantSku;
+    if (sku && products.some((item) => item.sku === sku)) $select.value = sku;
+  }, { eager: true });
+
+  getCustomerEmail().then((email) => {
+    if (email && !$email.value) $email.value = email;
+  });
+
+  const showMessage = (message, error = false) => {
+    $message.textContent = message;
+    $message.classList.toggle('product-details__stock-alert-message--error', error);
+  };
+
+  $form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    const email = $email.value.trim();
+    if (!isValidEmail(email)) {
+      showMessage(MESSAGES.INVALID_EMAIL, true);
+      $email.focus();
+      return;
+    }
+
+    $submit.disabled = true;
+    try {
+      await setProductAlert({ type: ALERT_TYPES.STOCK, sku: $select.value, email });
+      showMessage(MESSAGES.SUBSCRIBED);
+    } catch (error) {
+      console.error('Could not save the back-in-stock alert', error);
+      showMessage(MESSAGES.ERROR, true);
+    } finally {
+      $submit.disabled = false;
+    }
+  });
+
+  container.replaceChildren(fragment);
+}
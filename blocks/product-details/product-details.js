@@ -7,6 +7,7 @@ import {
 import { h } from '@dropins/tools/preact.js';
 import { events } from '@dropins/tools/event-bus.js';
 import { tryRenderAemAssetsImage } from '@dropins/tools/lib/aem/assets.js';
+import { getConfigValue } from '@dropins/tools/lib/aem/configs.js';
 import * as pdpApi from '@dropins/storefront-pdp/api.js';
 import { render as pdpRendered } from '@dropins/storefront-pdp/render.js';
 import { render as wishlistRender } from '@dropins/storefront-wishlist/render.js';
@@ -30,6 +31,16 @@ import {
   setJsonLd,
   fetchPlaceholders,
 } from '../../scripts/commerce.js';
+import { ensureAgeVerified } from '../../scripts/age-restriction.js';
+import { buildBreadcrumbSchema, buildProductSchema } from '../../scripts/product-schema.js';
+import {
+  fetchProductCategories,
+  getCategoryTrail,
+  getCategoryUrl,
+} from '../../scripts/categories.js';
+import { renderCompareToggle } from '../product-compare/compare-tray.js';
+import renderStockAlert from './product-alert.js';
+import { getMultipleWishlistsConfig } from '../../scripts/wishlists.js';
 
 // Initializers
 import { IMAGES_SIZES } from '../../scripts/initializers/pdp.js';
@@ -78,7 +89,9 @@ export default async function decorate(block) {
           <div class="product-details__buttons">
             <div class="product-details__buttons__add-to-cart"></div>
             <div class="product-details__buttons__add-to-wishlist"></div>
+            <div class="product-details__buttons__add-to-compare"></div>
           </div>
+          <div class="product-details__product-alert"></div>
         </div>
         <div class="product-details__description"></div>
         <div class="product-details__attributes"></div>
@@ -96,6 +109,8 @@ export default async function decorate(block) {
   const $quantity = fragment.querySelector('.product-details__quantity');
   const $addToCart = fragment.querySelector('.product-details__buttons__add-to-cart');
   const $wishlistToggleBtn = fragment.querySelector('.product-details__buttons__add-to-wishlist');
+  const $compareToggle = fragment.querySelector('.product-details__buttons__add-to-compare');
+  const $productAlert = fragment.querySelector('.product-details__product-alert');
   const $description = fragment.querySelector('.product-details__description');
   const $attributes = fragment.querySelector('.product-details__attributes');
 
@@ -197,6 +212,29 @@ export default async function decorate(block) {
     })($wishlistToggleBtn),
   ]);
 
+  // customers with multiple wishlists pick the wishlists of the product; not awaited, so
+  // that the store config round trip does not hold back the page
+  getMultipleWishlistsConfig().then(({ enabled }) => {
+    if (!enabled) return;
+    wishlistToggleBtn?.setProps((prev) => ({
+      ...prev,
+      onClick: async () => {
+        const { default: openWishlistPicker } = await import('../commerce-wishlist/wishlist-picker.js');
+        // with the options picked so far
+        const { optionsUIDs } = pdpApi.getProductConfigurationValues() ?? {};
+        await openWishlistPicker({ ...product, optionUIDs: optionsUIDs });
+      },
+    }));
+  });
+
+  // Compare toggle
+  if (product?.sku) {
+    renderCompareToggle($compareToggle, product, labels);
+  }
+
+  // Back-in-stock alert, for out-of-stock products and variants
+  renderStockAlert($productAlert, product, labels);
+
   // Configuration – Button - Add to Cart
   const addToCart = await UI.render(Button, {
     children: labels.Global?.AddProductToCart,
@@ -245,6 +283,9 @@ export default async function decorate(block) {
             return;
           }
           // --- Add new item ---
+          // age restricted products require a verified age
+          if (!(await ensureAgeVerified([values.sku]))) return;
+
           const { addProductsToCart } = await import(
             '@dropins/storefront-cart/api.js'
           );
@@ -360,6 +401,38 @@ export default async function decorate(block) {
   return Promise.resolve();
 }
 
+/**
+ * Loads the rating and reviews of a product from the configured reviews provider,
+ * a module whose default export resolves { ratingValue, reviewCount, reviews }.
+ */
+async function getProductRating(product, provider) {
+  if (!provider) return null;
+  try {
+    const { default: getRating } = await import(provider);
+    return await getRating(product);
+  } catch (error) {
+    console.warn('Could not load the product reviews', error);
+    return null;
+  }
+}
+
+async function getBreadcrumbs(sku) {
+  try {
+    const trail = getCategoryTrail(await fetchProductCategories(sku));
+    return trail.map(({ name, urlPath }) => ({
+      name,
+      url: new URL(getCategoryUrl(urlPath), window.location).href,
+    }));
+  } catch (error) {
+    console.warn('Could not load the product categories', error);
+    return [];
+  }
+}
+
+function toHttps(url) {
+  return url?.startsWith('//') ? `https:${url}` : url;
+}
+
 async function setJsonLdProduct(product) {
   const {
     name,
@@ -370,76 +443,83 @@ async function setJsonLdProduct(product) {
     price,
     priceRange,
     images,
-    attributes,
   } = product;
   const amount = priceRange?.minimum?.final?.amount || price?.final?.amount;
-  const brand = attributes.find((attr) => attr.name === 'brand');
-
-  // get variants
-  const { data } = await pdpApi.fetchGraphQl(`
-    query GET_PRODUCT_VARIANTS($sku: String!) {
-      variants(sku: $sku) {
-        variants {
-          product {
-            sku
+  const config = getConfigValue('product-schema');
+
+  // get variants, and all attributes as the GTIN and MPN may not be visible on the PDP
+  const [{ data }, rating, breadcrumbs] = await Promise.all([
+    pdpApi.fetchGraphQl(`
+      query GET_PRODUCT_SCHEMA_DATA($sku: String!) {
+        products(skus: [$sku]) {
+          attributes(roles: []) {
             name
-            inStock
-            images(roles: ["image"]) {
-              url
-            }
-            ...on SimpleProductView {
-              price {
-                final { amount { currency value } }
+            value
+          }
+        }
+        variants(sku: $sku) {
+          variants {
+            product {
+              sku
+              name
+              inStock
+              images(roles: ["image"]) {
+                url
+              }
+              ...on SimpleProductView {
+                price {
+                  final { amount { currency value } }
+                }
               }
             }
           }
         }
       }
-    }
-  `, {
-    method: 'GET',
-    variables: { sku },
-  });
+    `, {
+      method: 'GET',
+      variables: { sku },
+    }),
+    getProductRating(product, config?.['reviews-provider']),
+    getBreadcrumbs(sku),
+  ]);
 
   const variants = data?.variants?.variants || [];
+  const url = new URL(rootLink(`/products/${urlKey}/${sku}`), window.location).href;
 
-  const ldJson = {
-    '@context': 'http://schema.org',
-    '@type': 'Product',
+  const ldJson = buildProductSchema({
+    sku,
     name,
     description,
-    image: images[0]?.url,
-    offers: [],
-    productID: sku,
-    brand: {
-      '@type': 'Brand',
-      name: brand?.value,
-    },
-    url: new URL(rootLink(`/products/${urlKey}/${sku}`), window.location),
-    sku,
-    '@id': new URL(rootLink(`/products/${urlKey}/${sku}`), window.location),
-  };
-
-  if (variants.length > 1) {
-    ldJson.offers.push(...variants.map((variant) => ({
-      '@type': 'Offer',
-      name: variant.product.name,
-      image: variant.product.images[0]?.url,
-      price: variant.product.price.final.amount.value,
-      priceCurrency: variant.product.price.final.amount.currency,
-      availability: variant.product.inStock ? 'http://schema.org/InStock' : 'http://schema.org/OutOfStock',
+    image: toHttps(images[0]?.url),
+    url,
+    inStock,
+    price: amount,
+    attributes: data?.products?.[0]?.attributes ?? product.attributes,
+    variants: variants.map((variant) => ({
       sku: variant.product.sku,
-    })));
-  } else {
-    ldJson.offers.push({
-      '@type': 'Offer',
-      price: amount?.value,
-      priceCurrency: amount?.currency,
-      availability: inStock ? 'http://schema.org/InStock' : 'http://schema.org/OutOfStock',
-    });
-  }
+      name: variant.product.name,
+      image: toHttps(variant.product.images[0]?.url),
+      inStock: variant.product.inStock,
+      price: variant.product.price?.final?.amount,
+    })),
+  }, {
+    config,
+    shipping: getConfigValue('shipping'),
+    returns: getConfigValue('returns'),
+    rating,
+  });
 
   setJsonLd(ldJson, 'product');
+
+  // the breadcrumbs block adds its own BreadcrumbList
+  if (document.querySelector('main .breadcrumbs')) return;
+
+  const breadcrumbList = buildBreadcrumbSchema(breadcrumbs.length
+    ? [...breadcrumbs, { name, url }]
+    : []);
+  if (breadcrumbList) {
+    setJsonLd(breadcrumbList, 'breadcrumb');
+  }
 }
 
 function createMetaTag(property, content, type) {
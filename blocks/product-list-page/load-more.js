@@ -0,0 +1,171 @@
+import { Button, provider as UI } from '@dropins/tools/components.js';
+import { search } from '@dropins/storefront-product-discovery/api.js';
+import { formatMessage } from '../../scripts/i18n.js';
+
+/**
+ * "Load more" and infinite scroll modes of the product list.
+ *
+ * The next pages are rendered below the first one, each by its own SearchResults
+ * container listening to a dedicated search scope, so the facets, sort and pagination
+ * of the first page are not affected. The last loaded page is kept in the `page` URL
+ * parameter and the loaded pages in the history state, so going back to the list
+ * restores them and the scroll position.
+ */
+
+export const LIST_MODES = ['pagination', 'load-more', 'infinite-scroll'];
+
+const SCOPE_PREFIX = 'product-list-page-';
+
+// distance from the bottom of the viewport at which the next page is loaded
+const INFINITE_SCROLL_MARGIN = 400;
+
+/**
+ * Returns the pages loaded before leaving the list, if any.
+ * @returns {{firstPage: number, lastPage: number, scrollY: number}|null}
+ */
+export function getListState() {
+  return window.history.state?.productList ?? null;
+}
+
+function saveListState(state, url = window.location.href) {
+  window.history.replaceState({
+    ...window.history.state,
+    productList: { ...getListState(), ...state },
+  }, '', url);
+}
+
+/**
+ * Creates the load more button and the container of the next pages.
+ * @param {Element} $container - The element to render in
+ * @param {Object} options
+ * @param {string} options.mode - "load-more" or "infinite-scroll"
+ * @param {number} options.pageSize - The number of products per page
+ * @param {Object} options.labels - The placeholders
+ * @param {Function} options.renderResults - Renders a SearchResults container for a scope
+ * @returns {{reset: Function, restore: Function}}
+ */
+export function createLoadMore($container, {
+  mode,
+  pageSize,
+  labels,
+  renderResults,
+}) {
+  const $results = document.createElement('div');
+  $results.className = 'search__more-results';
+
+  const $actions = document.createElement('div');
+  $actions.className = 'search__load-more';
+
+  const $status = document.createElement('div');
+  $status.className = 'search__load-more-status';
+  $status.setAttribute('role', 'status');
+  $status.setAttribute('aria-live', 'polite');
+
+  $container.append($results, $actions, $status);
+
+  let request = null;
+  let firstPage = 1;
+  let lastPage = 1;
+  let totalPages = 1;
+  let loading = false;
+  let pages = [];
+
+  const button = UI.render(Button, {
+    children: labels.Global?.LoadMoreProducts || 'Load more',
+    variant: 'secondary',
+    onClick: () => loadNext(),
+  })($actions);
+
+  const update = () => {
+    $actions.hidden = lastPage >= totalPages;
+    button.setProps((prev) => ({ ...prev, disabled: loading }));
+  };
+
+  async function loadPage(page) {
+    const scope = `${SCOPE_PREFIX}${page}`;
+    const $page = document.createElement('div');
+    $page.className = 'search__more-results-page';
+    $results.append($page);
+
+    pages.push(await renderResults($page, scope));
+    const result = await search({ ...request, currentPage: page, pageSize }, { scope });
+    lastPage = page;
+
+    // keep the last page in the URL, without adding a history entry
+    const url = new URL(window.location.href);
+    url.searchParams.set('page', page);
+    saveListState({ firstPage, lastPage }, url);
+
+    return result?.items?.length ?? 0;
+  }
+
+  async function loadNext() {
+    if (loading || !request || lastPage >= totalPages) return;
+
+    loading = true;
+    update();
+    try {
+      const count = await loadPage(lastPage + 1);
+      $status.textContent = formatMessage(
+        labels.Global?.ProductsLoaded || '{count, plural, one {# more product loaded} other {# more products loaded}}',
+        { count },
+      );
+    } catch (error) {
+      console.error('Error loading more products', error);
+    } finally {
+      loading = false;
+      update();
+    }
+
+    // keep loading while the end of the list is visible
+    if (mode === 'infinite-scroll' && !$actions.hidden
+      && $actions.getBoundingClientRect().top < window.innerHeight + INFINITE_SCROLL_MARGIN) {
+      loadNext();
+    }
+  }
+
+  if (mode === 'infinite-scroll') {
+    new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) loadNext();
+    }, { rootMargin: `0px 0px ${INFINITE_SCROLL_MARGIN}px 0px` }).observe($actions);
+  }
+
+  // the browser would restore the scroll position before the pages are loaded again
+  window.history.scrollRestoration = 'manual';
+  let scrollTimeout;
+  window.addEventListener('scroll', () => {
+    clearTimeout(scrollTimeout);
+    scrollTimeout = setTimeout(() => saveListState({ scrollY: window.scrollY }), 200);
+  }, { passive: true });
+
+  return {
+    /**
+     * Starts over from the results of a new search (e.g. new page, sort or filter).
+     * @param {Object} payload - The `search/result` payload
+     */
+    reset({ request: newRequest, result }) {
+      pages.forEach((page) => page.remove());
+      pages = [];
+      $results.replaceChildren();
+      $status.textContent = '';
+
+      request = newRequest;
+      firstPage = result?.pageInfo?.currentPage || 1;
+      lastPage = firstPage;
+      totalPages = result?.pageInfo?.totalPages || 1;
+      update();
+    },
+
+    /**
+     * Loads the pages up to the given one, e.g. when going back to the list.
+     * @param {number} page - The last page to load
+     */
+    async restore(page) {
+      while (lastPage < Math.min(page, totalPages)) {
+        // eslint-disable-next-line no-await-in-loop
+        await loadPage(lastPage + 1);
+      }
+      update();
+    },
+  };
+}
@@ -17,15 +17,24 @@ import { events } from '@dropins/tools/event-bus.js';
 // AEM
 import { readBlockConfig } from '../../scripts/aem.js';
 import { fetchPlaceholders, rootLink } from '../../scripts/commerce.js';
+import { ensureAgeVerified } from '../../scripts/age-restriction.js';
+import { createSeoHandler } from './seo.js';
+import { LIST_MODES, createLoadMore, getListState } from './load-more.js';
+import { renderCompareToggle } from '../product-compare/compare-tray.js';
+import { getMultipleWishlistsConfig } from '../../scripts/wishlists.js';
 
 // Initializers
 import '../../scripts/initializers/search.js';
 import '../../scripts/initializers/wishlist.js';
 
+const DEFAULT_PAGE_SIZE = 8;
+
 export default async function decorate(block) {
   const labels = await fetchPlaceholders();
 
   const config = readBlockConfig(block);
+  const pageSize = Number(config['page-size']) || DEFAULT_PAGE_SIZE;
+  const mode = LIST_MODES.includes(config.mode) ? config.mode : LIST_MODES[0];
 
   const fragment = document.createRange().createContextualFragment(`
     <div class="search__wrapper">
@@ -63,13 +72,17 @@ export default async function decorate(block) {
     filter,
   } = Object.fromEntries(urlParams.entries());
 
+  // Pages loaded before leaving the list (load more and infinite scroll modes)
+  const listState = mode !== 'pagination' ? getListState() : null;
+  const currentPage = listState?.firstPage || (page ? Number(page) : 1);
+
   // Request search based on the page type on block load
   if (config.urlpath) {
     // If it's a category page...
     await search({
       phrase: '', // search all products in the category
-      currentPage: page ? Number(page) : 1,
-      pageSize: 8,
+      currentPage,
+      pageSize,
       sort: sort ? getSortFromParams(sort) : [{ attribute: 'position', direction: 'DESC' }],
       filter: [
         { attribute: 'categoryPath', eq: config.urlpath }, // Add category filter
@@ -82,8 +95,8 @@ export default async function decorate(block) {
     // If it's a search page...
     await search({
       phrase: q || '',
-      currentPage: page ? Number(page) : 1,
-      pageSize: 8,
+      currentPage,
+      pageSize,
       sort: getSortFromParams(sort),
       filter: getFilterFromParams(filter),
     }).catch(() => {
@@ -91,13 +104,33 @@ export default async function decorate(block) {
     });
   }
 
+  const openQuickView = async (product) => {
+    const { openQuickView: open } = await import('../commerce-mini-pdp/commerce-mini-pdp.js');
+    await open({ sku: product.sku, image: product.images?.[0]?.url });
+  };
+
+  // customers with multiple wishlists pick the wishlists of the product; the store config
+  // is not awaited, the toggles get the picker once it is loaded
+  const multipleWishlists = getMultipleWishlistsConfig();
+  const openWishlistPicker = async (product) => {
+    const { default: open } = await import('../commerce-wishlist/wishlist-picker.js');
+    await open(product);
+  };
+  const addWishlistPicker = (toggle, product) => {
+    Promise.all([multipleWishlists, toggle]).then(([{ enabled }, instance]) => {
+      if (!enabled) return;
+      instance?.setProps((prev) => ({ ...prev, onClick: () => openWishlistPicker(product) }));
+    }).catch(console.error);
+  };
+
   const getAddToCartButton = (product) => {
     if (product.typename === 'ComplexProductView') {
+      // the options are picked in the quick view
       const button = document.createElement('div');
       UI.render(Button, {
         children: labels.Global?.AddProductToCart,
         icon: Icon({ source: 'Cart' }),
-        href: rootLink(`/products/${product.urlKey}/${product.sku}`),
+        onClick: () => openQuickView(product),
         variant: 'primary',
       })(button);
       return button;
@@ -106,18 +139,88 @@ export default async function decorate(block) {
     UI.render(Button, {
       children: labels.Global?.AddProductToCart,
       icon: Icon({ source: 'Cart' }),
-      onClick: () => cartApi.addProductsToCart([{ sku: product.sku, quantity: 1 }]),
+      onClick: async () => {
+        if (!(await ensureAgeVerified([product.sku]))) return;
+        await cartApi.addProductsToCart([{ sku: product.sku, quantity: 1 }]);
+      },
       variant: 'primary',
     })(button);
     return button;
   };
 
+  // Product List (also rendered for the next pages in the load more modes)
+  const searchResultsProps = {
+    routeProduct: (product) => rootLink(`/products/${product.urlKey}/${product.sku}`),
+    slots: {
+      ProductImage: (ctx) => {
+        const { product, defaultImageProps } = ctx;
+        const anchorWrapper = document.createElement('a');
+        anchorWrapper.href = rootLink(`/products/${product.urlKey}/${product.sku}`);
+
+        tryRenderAemAssetsImage(ctx, {
+          alias: product.sku,
+          imageProps: defaultImageProps,
+          wrapper: anchorWrapper,
+          params: {
+            width: defaultImageProps.width,
+            height: defaultImageProps.height,
+          },
+        });
+      },
+      ProductActions: (ctx) => {
+        const actionsWrapper = document.createElement('div');
+        actionsWrapper.className = 'product-discovery-product-actions';
+        // Add to Cart Button
+        const addToCartBtn = getAddToCartButton(ctx.product);
+        addToCartBtn.className = 'product-discovery-product-actions__add-to-cart';
+        // Wishlist Button
+        const $wishlistToggle = document.createElement('div');
+        $wishlistToggle.classList.add('product-discovery-product-actions__wishlist-toggle');
+        addWishlistPicker(wishlistRender.render(WishlistToggle, {
+          product: ctx.product,
+          variant: 'tertiary',
+        })($wishlistToggle), ctx.product);
+        // Quick View Button
+        const $quickView = document.createElement('div');
+        $quickView.className = 'product-discovery-product-actions__quick-view';
+        UI.render(Button, {
+          icon: Icon({ source: 'Eye' }),
+          'aria-label': labels.Global?.QuickView || 'Quick view',
+          variant: 'tertiary',
+          onClick: () => openQuickView(ctx.product),
+        })($quickView);
+        // Compare Toggle
+        const $compareToggle = document.createElement('div');
+        $compareToggle.className = 'product-discovery-product-actions__compare-toggle';
+        renderCompareToggle($compareToggle, ctx.product, labels);
+        actionsWrapper.appendChild(addToCartBtn);
+        actionsWrapper.appendChild($quickView);
+        actionsWrapper.appendChild($wishlistToggle);
+        actionsWrapper.appendChild($compareToggle);
+        ctx.replaceWith(actionsWrapper);
+      },
+    },
+  };
+
+  const loadMore = mode !== 'pagination'
+    ? createLoadMore($pagination, {
+      mode,
+      pageSize,
+      labels,
+      renderResults: (element, scope) => provider.render(SearchResults, {
+        ...searchResultsProps,
+        scope,
+        skeletonCount: pageSize,
+      })(element),
+    })
+    : null;
+
   await Promise.all([
     // Sort By
     provider.render(SortBy, {})($productSort),
 
-    // Pagination
-    provider.render(Pagination, {
+    // Pagination (replaced by the load more button in the other modes)
+    mode === 'pagination' && provider.render(Pagination, {
       onPageChange: () => {
         // scroll to the top of the page
         window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -137,47 +240,17 @@ export default async function decorate(block) {
     // Facets
     provider.render(Facets, {})($facets),
     // Product List
-    provider.render(SearchResults, {
-      routeProduct: (product) => rootLink(`/products/${product.urlKey}/${product.sku}`),
-      slots: {
-        ProductImage: (ctx) => {
-          const { product, defaultImageProps } = ctx;
-          const anchorWrapper = document.createElement('a');
-          anchorWrapper.href = rootLink(`/products/${product.urlKey}/${product.sku}`);
-
-          tryRenderAemAssetsImage(ctx, {
-            alias: product.sku,
-            imageProps: defaultImageProps,
-            wrapper: anchorWrapper,
-            params: {
-              width: defaultImageProps.width,
-              height: defaultImageProps.height,
-            },
-          });
-        },
-        ProductActions: (ctx) => {
-          const actionsWrapper = document.createElement('div');
-          actionsWrapper.className = 'product-discovery-product-actions';
-          // Add to Cart Button
-          const addToCartBtn = getAddToCartButton(ctx.product);
-          addToCartBtn.className = 'product-discovery-product-actions__add-to-cart';
-          // Wishlist Button
-          const $wishlistToggle = document.createElement('div');
-          $wishlistToggle.classList.add('product-discovery-product-actions__wishlist-toggle');
-          wishlistRender.render(WishlistToggle, {
-            product: ctx.product,
-            variant: 'tertiary',
-          })($wishlistToggle);
-          actionsWrapper.appendChild(addToCartBtn);
-          actionsWrapper.appendChild($wishlistToggle);
-          ctx.replaceWith(actionsWrapper);
-        },
-      },
-    })($productList),
+    provider.render(SearchResults, searchResultsProps)($productList),
   ]);
 
+  // Canonical URL, pagination links, robots, title and ItemList JSON-LD
+  const updateSeo = createSeoHandler(labels);
+
   // Listen for search results (event is fired before the block is rendered; eager: true)
   events.on('search/result', (payload) => {
+    updateSeo(payload);
+    loadMore?.reset(payload);
+
     const totalCount = payload.result?.totalCount || 0;
 
     block.classList.toggle('product-list-page--empty', totalCount === 0);
@@ -208,17 +281,30 @@ export default async function decorate(block) {
       url.searchParams.set('page', payload.request.currentPage);
     }
 
-    if (payload.request?.sort) {
-      url.searchParams.set('sort', getParamsFromSort(payload.request.sort));
+    // drop empty parameters, to avoid duplicate URLs of the same page
+    const sortParam = getParamsFromSort(payload.request?.sort ?? []);
+    if (sortParam) {
+      url.searchParams.set('sort', sortParam);
+    } else {
+      url.searchParams.delete('sort');
     }
 
-    if (payload.request?.filter) {
-      url.searchParams.set('filter', getParamsFromFilter(payload.request.filter));
+    const filterParam = getParamsFromFilter(payload.request?.filter);
+    if (filterParam) {
+      url.searchParams.set('filter', filterParam);
+    } else {
+      url.searchParams.delete('filter');
     }
 
     // Update the URL
     window.history.pushState({}, '', url.toString());
   }, { eager: false });
+
+  // Load the pages loaded before leaving the list again, and go back to where the shopper was
+  if (listState) {
+    await loadMore.restore(listState.lastPage || currentPage);
+    window.scrollTo(0, listState.scrollY || 0);
+  }
 }
 
 function getSortFromParams(sortParam) {
@@ -0,0 +1,126 @@
+import { getMetadata } from '../../scripts/aem.js';
+import { rootLink, setJsonLd } from '../../scripts/commerce.js';
+import { formatMessage } from '../../scripts/i18n.js';
+import { buildItemListSchema } from '../../scripts/product-schema.js';
+
+/**
+ * SEO of category and search pages.
+ *
+ * Only the category pages, with their default sort and no other filters, are indexed:
+ * their canonical URL only keeps the page number, and they are linked to the previous
+ * and next pages. Search results and filtered or sorted combinations are noindex.
+ */
+
+const DEFAULT_SORT = 'position_DESC';
+const CATEGORY_FILTER = 'categoryPath';
+const NOINDEX = 'noindex, follow';
+
+function setLink(rel, href) {
+  let link = document.head.querySelector(`link[rel="${rel}"]`);
+  if (!href) {
+    link?.remove();
+    return;
+  }
+  if (!link) {
+    link = document.createElement('link');
+    link.rel = rel;
+    document.head.append(link);
+  }
+  link.href = href;
+}
+
+function setMeta(name, content) {
+  const attribute = name.startsWith('og:') ? 'property' : 'name';
+  let meta = document.head.querySelector(`meta[${attribute}="${name}"]`);
+  if (!content) {
+    meta?.remove();
+    return;
+  }
+  if (!meta) {
+    meta = document.createElement('meta');
+    meta.setAttribute(attribute, name);
+    document.head.append(meta);
+  }
+  meta.content = content;
+}
+
+/**
+ * Returns the URL of a page of the list, without the search, sort and filter parameters.
+ * @param {number} page - The page number
+ * @returns {string} The URL
+ */
+export function getPageUrl(page) {
+  const url = new URL(window.location.pathname, window.location.origin);
+  if (page > 1) url.searchParams.set('page', page);
+  return url.toString();
+}
+
+/**
+ * Checks if a search request only lists a category, with the default sort.
+ * @param {Object} request - The search request
+ * @returns {boolean} Whether the page can be indexed
+ */
+export function isIndexable(request) {
+  if (request?.phrase) return false;
+  const filters = request?.filter ?? [];
+  if (!filters.some(({ attribute }) => attribute === CATEGORY_FILTER)) return false;
+  if (filters.some(({ attribute }) => attribute !== CATEGORY_FILTER)) return false;
+  const sort = (request.sort ?? []).map(({ attribute, direction }) => `${attribute}_${direction}`).join(',');
+  return !sort || sort === DEFAULT_SORT;
+}
+
+/**
+ * Creates the handler updating the SEO of the page with the search results.
+ * The authored title and description of the page are used for the category.
+ * @param {Object} labels - The placeholders
+ * @returns {Function} The `search/result` event handler
+ */
+export function createSeoHandler(labels) {
+  const category = {
+    title: getMetadata('og:title') || document.title,
+    description: getMetadata('description'),
+    robots: getMetadata('robots'),
+  };
+
+  return ({ request, result }) => {
+    if (!result) return;
+
+    const currentPage = result.pageInfo?.currentPage || 1;
+    const totalPages = result.pageInfo?.totalPages || 1;
+    const indexable = isIndexable(request);
+
+    // canonical URL and pagination
+    setLink('canonical', getPageUrl(currentPage));
+    setLink('prev', indexable && currentPage > 1 ? getPageUrl(currentPage - 1) : null);
+    setLink('next', indexable && currentPage < totalPages ? getPageUrl(currentPage + 1) : null);
+    setMeta('robots', indexable ? category.robots : NOINDEX);
+
+    // title and description
+    let { title } = category;
+    let description = category.description || formatMessage(
+      labels.Global?.CategoryDescription || '{count, plural, one {# product} other {# products}} in {category}.',
+      { count: result.totalCount, category: category.title },
+    );
+    if (request?.phrase) {
+      title = formatMessage(labels.Global?.SearchResultsTitle || 'Search results for "{phrase}"', { phrase: request.phrase });
+      description = title;
+    } else if (currentPage > 1) {
+      title = formatMessage(labels.Global?.PaginatedTitle || '{title} - Page {page}', { title, page: currentPage });
+    }
+    document.title = title;
+    setMeta('description', description);
+    setMeta('og:title', title);
+    setMeta('og:description', description);
+    setMeta('og:url', getPageUrl(currentPage));
+
+    // visible products
+    const pageSize = result.pageInfo?.pageSize || result.items.length;
+    setJsonLd(buildItemListSchema(
+      result.items.map((product) => ({
+        name: product.name,
+        url: new URL(rootLink(`/products/${product.urlKey}/${product.sku}`), window.location).href,
+      })),
+      (currentPage - 1) * pageSize,
+    ), 'item-list');
+  };
+}
@@ -20,7 +20,10 @@ import { render as wishlistRender } from '@dropins/storefront-wishlist/render.js
 
 // Block-level
 import { readBlockConfig } from '../../scripts/aem.js';
-import { fetchPlaceholders, rootLink } from '../../scripts/commerce.js';
+import { fetchPlaceholders, getConsent, rootLink } from '../../scripts/commerce.js';
+import { CONSENT_TOPICS } from '../../scripts/consent.js';
+import { ensureAgeVerified } from '../../scripts/age-restriction.js';
+import { getMultipleWishlistsConfig } from '../../scripts/wishlists.js';
 
 // Initializers
 import '../../scripts/initializers/recommendations.js';
@@ -62,6 +65,8 @@ function getPurchaseHistory(storeViewCode) {
 
 export default async function decorate(block) {
   const labels = await fetchPlaceholders();
+  // not awaited, so that the store config round trip does not hold back the block
+  const multipleWishlists = getMultipleWishlistsConfig();
 
   // Configuration
   const { currentsku, recid } = readBlockConfig(block);
@@ -112,11 +117,14 @@ export default async function decorate(block) {
     const storeViewCode = getConfigValue('headers.cs.Magento-Store-View-Code');
     const getProductLink = (item) => rootLink(`/products/${item.urlKey}/${item.sku}`);
 
+    // Only share browsing history with the recommendations service with consent
+    const hasConsent = getConsent(CONSENT_TOPICS.RECOMMENDATIONS);
+
     // Get product view history
-    context.userViewHistory = getProductViewHistory(storeViewCode);
+    context.userViewHistory = hasConsent ? getProductViewHistory(storeViewCode) : [];
 
     // Get purchase history
-    context.userPurchaseHistory = getPurchaseHistory(storeViewCode);
+    context.userPurchaseHistory = hasConsent ? getPurchaseHistory(storeViewCode) : [];
 
     let recommendationsData = null;
 
@@ -154,13 +162,15 @@ export default async function decorate(block) {
                 UI.render(Button, {
                   children: labels.Global?.AddProductToCart,
                   icon: Icon({ source: 'Cart' }),
-                  onClick: (event) => {
-                    cartApi.addProductsToCart([
-                      { sku: ctx.item.sku, quantity: 1 },
-                    ]);
+                  onClick: async (event) => {
                     // Prevent the click event from bubbling up to the parent span
                     // to avoid triggering the recs-item-click event
                     event.stopPropagation();
+                    // age restricted products require a verified age
+                    if (!(await ensureAgeVerified([ctx.item.sku]))) return;
+                    cartApi.addProductsToCart([
+                      { sku: ctx.item.sku, quantity: 1 },
+                    ]);
                     // Publish ACDL event for add to cart click
                     const recommendationUnit = recommendationsData?.find(
                       (unit) => unit.items?.some(
@@ -179,11 +189,15 @@ export default async function decorate(block) {
                   variant: 'primary',
                 })(addToCart);
               } else {
-                // Select Options Button
+                // Select Options Button, opens the quick view
                 UI.render(Button, {
                   children:
                     labels.Global?.SelectProductOptions,
-                  href: rootLink(`/products/${ctx.item.urlKey}/${ctx.item.sku}`),
+                  onClick: async (event) => {
+                    event.stopPropagation();
+                    const { openQuickView } = await import('../commerce-mini-pdp/commerce-mini-pdp.js');
+                    await openQuickView({ sku: ctx.item.sku, image: ctx.item.images?.[0]?.url });
+                  },
                   variant: 'tertiary',
                 })(addToCart);
               }
@@ -193,10 +207,22 @@ export default async function decorate(block) {
               $wishlistToggle.classList.add('footer__button--wishlist-toggle');
 
               // Render Icon
-              wishlistRender.render(WishlistToggle, {
+              const wishlistToggle = wishlistRender.render(WishlistToggle, {
                 product: ctx.item,
               })($wishlistToggle);
 
+              // customers with multiple wishlists pick the wishlists of the product
+              Promise.all([multipleWishlists, wishlistToggle]).then(([{ enabled }, toggle]) => {
+                if (!enabled) return;
+                toggle?.setProps((prev) => ({
+                  ...prev,
+                  onClick: async () => {
+                    const { default: openWishlistPicker } = await import('../commerce-wishlist/wishlist-picker.js');
+                    await openWishlistPicker(ctx.item);
+                  },
+                }));
+              }).catch(console.error);
+
               // Append to Cart Item
               wrapper.appendChild($wishlistToggle);
 
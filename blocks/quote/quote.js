@@ -0,0 +1,57 @@
+/*
+ * Quote Block
+ * First row is the quotation, second row the attribution. An image in the
+ * attribution is shown as the author portrait, a link gives the quote source.
+ * The "pull" variant floats the quote next to the page content.
+ */
+
+import { createOptimizedPicture } from '../../scripts/aem.js';
+
+export default function decorate(block) {
+  const [quotation, attribution] = [...block.children].map((row) => row.firstElementChild);
+
+  const figure = document.createElement('figure');
+  figure.className = 'quote-figure';
+
+  const blockquote = document.createElement('blockquote');
+  blockquote.className = 'quote-quotation';
+  if (quotation) blockquote.append(...quotation.childNodes);
+  figure.append(blockquote);
+
+  if (attribution?.textContent.trim() || attribution?.querySelector('picture')) {
+    const figcaption = document.createElement('figcaption');
+    figcaption.className = 'quote-attribution';
+
+    // author portrait
+    const img = attribution.querySelector('picture > img');
+    if (img) {
+      const portrait = document.createElement('div');
+      portrait.className = 'quote-portrait';
+      portrait.append(createOptimizedPicture(img.src, img.alt, false, [{ width: '160' }]));
+      img.closest('picture').remove();
+      figcaption.append(portrait);
+    }
+
+    // the source of the quote, if linked
+    const link = attribution.querySelector('a');
+    if (link) blockquote.cite = link.href;
+
+    [...attribution.querySelectorAll('p')].forEach((p) => {
+      if (!p.textContent.trim()) p.remove();
+    });
+    const author = document.createElement('div');
+    author.className = 'quote-author';
+    author.append(...attribution.childNodes);
+
+    // the author name is the first line of the attribution
+    const name = author.querySelector('p') ?? author;
+    const cite = document.createElement('cite');
+    cite.append(...name.childNodes);
+    name.append(cite);
+    figcaption.append(author);
+
+    figure.append(figcaption);
+  }
+
+  block.replaceChildren(figure);
+}
@@ -0,0 +1,188 @@
+/*
+ * Recently Viewed Block
+ * Shows the last products viewed by the shopper, from the product view history kept in
+ * localStorage (see trackHistory() in scripts/commerce.js). The product of the current
+ * page is excluded. Nothing is shown without consent for the recommendations topic.
+ */
+
+import { events } from '@dropins/tools/event-bus.js';
+import { getHeaders } from '@dropins/tools/lib/aem/configs.js';
+import * as pdpApi from '@dropins/storefront-pdp/api.js';
+import { readBlockConfig } from '../../scripts/aem.js';
+import {
+  clearViewHistory,
+  commerceEndpointWithQueryParams,
+  fetchPlaceholders,
+  getConsent,
+  getProductSku,
+  getViewHistory,
+  rootLink,
+} from '../../scripts/commerce.js';
+import { CONSENT_TOPICS, CONSENT_UPDATED_EVENT } from '../../scripts/consent.js';
+import { getLocale } from '../../scripts/i18n.js';
+
+const DEFAULT_MAX_ITEMS = 4;
+
+const PRODUCTS_QUERY = `
+  query GET_RECENTLY_VIEWED_PRODUCTS($skus: [String]) {
+    products(skus: $skus) {
+      sku
+      name
+      urlKey
+      images(roles: ["small_image"]) {
+        url
+        label
+      }
+      ...on SimpleProductView {
+        price {
+          final { amount { currency value } }
+        }
+      }
+      ...on ComplexProductView {
+        priceRange {
+          minimum {
+            final { amount { currency value } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Loads the products of the given SKUs, in the same order.
+ * @param {string[]} skus - The SKUs
+ * @returns {Promise<Object[]>} The products found
+ */
+async function fetchProducts(skus) {
+  pdpApi.setEndpoint(await commerceEndpointWithQueryParams());
+  pdpApi.setFetchGraphQlHeaders((prev) => ({ ...prev, ...getHeaders('cs') }));
+
+  const { data, errors } = await pdpApi.fetchGraphQl(PRODUCTS_QUERY, {
+    method: 'GET',
+    variables: { skus },
+  });
+
+  if (errors?.length) {
+    console.error('Could not fetch the recently viewed products', errors);
+  }
+
+  const products = new Map((data?.products ?? [])
+    .filter(Boolean)
+    .map((product) => [product.sku, product]));
+  return skus.map((sku) => products.get(sku)).filter(Boolean);
+}
+
+function formatPrice(product) {
+  const amount = product.price?.final?.amount || product.priceRange?.minimum?.final?.amount;
+  if (amount?.value === undefined) return '';
+  return new Intl.NumberFormat(getLocale(), {
+    style: 'currency',
+    currency: amount.currency,
+  }).format(amount.value);
+}
+
+function renderProduct(product) {
+  const li = document.createElement('li');
+  li.className = 'recently-viewed-item';
+
+  const a = document.createElement('a');
+  a.href = rootLink(`/products/${product.urlKey}/${product.sku}`);
+
+  const image = product.images?.[0];
+  if (image?.url) {
+    const img = document.createElement('img');
+    img.src = image.url;
+    img.alt = image.label || product.name;
+    img.loading = 'lazy';
+    img.width = 300;
+    img.height = 300;
+    a.append(img);
+  }
+
+  const name = document.createElement('p');
+  name.className = 'recently-viewed-name';
+  name.textContent = product.name;
+  a.append(name);
+
+  const price = formatPrice(product);
+  if (price) {
+    const priceEl = document.createElement('p');
+    priceEl.className = 'recently-viewed-price';
+    priceEl.textContent = price;
+    a.append(priceEl);
+  }
+
+  li.append(a);
+  return li;
+}
+
+export default async function decorate(block) {
+  const labels = await fetchPlaceholders();
+  const config = readBlockConfig(block);
+  const maxItems = Number(config['max-items']) || DEFAULT_MAX_ITEMS;
+
+  block.replaceChildren();
+
+  const hide = () => {
+    block.replaceChildren();
+    block.classList.add('recently-viewed--empty');
+  };
+
+  async function render() {
+    if (!getConsent(CONSENT_TOPICS.RECOMMENDATIONS)) {
+      hide();
+      return;
+    }
+
+    const currentSku = getProductSku();
+    const skus = getViewHistory().filter((sku) => sku !== currentSku).slice(0, maxItems);
+    if (!skus.length) {
+      hide();
+      return;
+    }
+
+    let products = [];
+    try {
+      products = await fetchProducts(skus);
+    } catch (error) {
+      console.error('Could not fetch the recently viewed products', error);
+    }
+    if (!products.length) {
+      hide();
+      return;
+    }
+
+    const header = document.createElement('div');
+    header.className = 'recently-viewed-header';
+
+    const title = document.createElement('h2');
+    title.textContent = config.title || labels.Global?.RecentlyViewed || 'Recently viewed';
+
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.className = 'recently-viewed-clear';
+    clear.textContent = labels.Global?.RecentlyViewedClear || 'Clear history';
+    clear.addEventListener('click', () => {
+      clearViewHistory();
+      hide();
+    });
+
+    header.append(title, clear);
+
+    const list = document.createElement('ul');
+    list.className = 'recently-viewed-list';
+    list.append(...products.map(renderProduct));
+
+    block.replaceChildren(header, list);
+    block.classList.remove('recently-viewed--empty');
+  }
+
+  // the history is cleared when the consent is withdrawn (see trackHistory())
+  events.on(CONSENT_UPDATED_EVENT, ({ granted, revoked }) => {
+    if (revoked.includes(CONSENT_TOPICS.RECOMMENDATIONS)) hide();
+    if (granted.includes(CONSENT_TOPICS.RECOMMENDATIONS)) render();
+  });
+
+  await render();
+}
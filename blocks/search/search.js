@@ -0,0 +1,295 @@
+/*
+ * Search Block
+ * Searches the pages of the site in a query index (the "sitemap" index by default,
+ * or the index linked in the block). The "products" variant also shows matching
+ * products from Catalog Service. The search terms are kept in the `q` URL parameter.
+ */
+
+import { createOptimizedPicture } from '../../scripts/aem.js';
+import { fetchPlaceholders, rootLink } from '../../scripts/commerce.js';
+import { formatMessage } from '../../scripts/i18n.js';
+import { loadIndex } from '../../scripts/query-index.js';
+
+const DEFAULT_INDEX = 'sitemap';
+const SEARCH_PARAM = 'q';
+const MIN_LENGTH = 3;
+const DEBOUNCE_TIME = 300;
+const PRODUCTS_PAGE_SIZE = 8;
+
+function getSearchTerms(query) {
+  return query.toLowerCase().split(/\s+/).filter((term) => term);
+}
+
+/**
+ * Wraps the search terms found in the element text in <mark> elements.
+ * @param {string[]} terms The search terms
+ * @param {Element} element The element to highlight
+ */
+function highlightTerms(terms, element) {
+  const pattern = new RegExp(`(${terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+  const parts = element.textContent.split(pattern);
+  element.replaceChildren(...parts.map((part, i) => {
+    // split() puts the captured matches at odd indexes
+    if (i % 2 === 0) return part;
+    const mark = document.createElement('mark');
+    mark.textContent = part;
+    return mark;
+  }));
+}
+
+/**
+ * Finds the pages matching all search terms, best matches (title) first.
+ * @param {string[]} terms The search terms
+ * @param {Object[]} data The index entries
+ * @returns {Object[]} The matching entries
+ */
+function filterPages(terms, data) {
+  const titleMatches = [];
+  const otherMatches = [];
+
+  data.forEach((entry) => {
+    if (entry.robots?.includes('noindex')) return;
+
+    const title = (entry.title || '').toLowerCase();
+    const text = [title, entry.description, entry.template, entry.path].join(' ').toLowerCase();
+
+    if (!terms.every((term) => text.includes(term))) return;
+    if (terms.some((term) => title.includes(term))) titleMatches.push(entry);
+    else otherMatches.push(entry);
+  });
+
+  return [...titleMatches, ...otherMatches];
+}
+
+async function searchProducts(phrase) {
+  await import('../../scripts/initializers/search.js');
+  const { search } = await import('@dropins/storefront-product-discovery/api.js');
+  const result = await search({ phrase, pageSize: PRODUCTS_PAGE_SIZE }, { scope: 'content-search' });
+  return result?.items ?? [];
+}
+
+function renderResult({
+  href,
+  title,
+  description,
+  label,
+  image,
+}, terms) {
+  const li = document.createElement('li');
+  li.className = 'search-result';
+
+  const a = document.createElement('a');
+  a.href = href;
+
+  if (image) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'search-result-image';
+    wrapper.append(image);
+    a.append(wrapper);
+  }
+
+  const body = document.createElement('div');
+  body.className = 'search-result-body';
+
+  if (label) {
+    const span = document.createElement('span');
+    span.className = 'search-result-label';
+    span.textContent = label;
+    body.append(span);
+  }
+
+  const titleEl = document.createElement('p');
+  titleEl.className = 'search-result-title';
+  titleEl.textContent = title;
+  highlightTerms(terms, titleEl);
+  body.append(titleEl);
+
+  if (description) {
+    const descriptionEl = document.createElement('p');
+    descriptionEl.className = 'search-result-description';
+    descriptionEl.textContent = description;
+    highlightTerms(terms, descriptionEl);
+    body.append(descriptionEl);
+  }
+
+  a.append(body);
+  li.append(a);
+  return li;
+}
+
+function renderPage(entry, terms) {
+  return renderResult({
+    href: entry.path,
+    title: entry.title || entry.path,
+    description: entry.description,
+    label: entry.template,
+    image: entry.image
+      ? createOptimizedPicture(entry.image, '', false, [{ width: '375' }])
+      : null,
+  }, terms);
+}
+
+function renderProduct(product, terms) {
+  const url = product.images?.[0]?.url;
+  let image = null;
+  if (url) {
+    image = document.createElement('img');
+    image.src = url;
+    image.alt = product.name;
+    image.loading = 'lazy';
+  }
+
+  return renderResult({
+    href: rootLink(`/products/${product.urlKey}/${product.sku}`),
+    title: product.name,
+    description: product.shortDescription?.replace(/<[^>]*>/g, ''),
+    image,
+  }, terms);
+}
+
+function renderSection(className, heading, items) {
+  const section = document.createElement('section');
+  section.className = `search-section ${className}`;
+
+  const h2 = document.createElement('h2');
+  h2.textContent = heading;
+
+  const ul = document.createElement('ul');
+  ul.className = 'search-results';
+  ul.append(...items);
+
+  section.append(h2, ul);
+  return section;
+}
+
+function updateUrl(query) {
+  const url = new URL(window.location.href);
+  if (query) url.searchParams.set(SEARCH_PARAM, query);
+  else url.searchParams.delete(SEARCH_PARAM);
+  window.history.replaceState(null, '', url);
+}
+
+export default async function decorate(block) {
+  const labels = await fetchPlaceholders();
+
+  const MESSAGES = {
+    SEARCH: labels.Global?.Search || 'Search',
+    PAGES: labels.Global?.SearchPages || 'Pages',
+    PRODUCTS: labels.Global?.SearchProducts || 'Products',
+    NO_RESULTS: labels.Global?.SearchNoResults || 'No results found.',
+    RESULTS: labels.Global?.SearchResults || '{count, plural, one {# result} other {# results}}',
+  };
+
+  // the index can be overridden by linking to it, e.g. /query-index.json
+  const link = block.querySelector('a');
+  const indexFile = link
+    ? new URL(link.href, window.location).pathname.replace(/^\//, '').replace(/\.json$/, '')
+    : DEFAULT_INDEX;
+  const withProducts = block.classList.contains('products');
+
+  const form = document.createElement('form');
+  form.className = 'search-form';
+  form.setAttribute('role', 'search');
+
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.name = SEARCH_PARAM;
+  input.className = 'search-input';
+  input.placeholder = MESSAGES.SEARCH;
+  input.setAttribute('aria-label', MESSAGES.SEARCH);
+  input.autocomplete = 'off';
+  input.value = new URLSearchParams(window.location.search).get(SEARCH_PARAM) ?? '';
+  form.append(input);
+
+  const status = document.createElement('p');
+  status.className = 'search-status';
+  status.setAttribute('role', 'status');
+
+  const results = document.createElement('div');
+  results.className = 'search-results-wrapper';
+
+  block.replaceChildren(form, status, results);
+
+  let pages = null;
+  let requestId = 0;
+
+  const runSearch = async () => {
+    const query = input.value.trim();
+    const terms = getSearchTerms(query);
+    updateUrl(query);
+
+    requestId += 1;
+    const currentRequest = requestId;
+
+    if (query.length < MIN_LENGTH) {
+      block.classList.remove('search--loading');
+      status.textContent = '';
+      results.replaceChildren();
+      return;
+    }
+
+    block.classList.add('search--loading');
+
+    pages = pages ?? loadIndex(indexFile).catch((error) => {
+      console.error(`Could not load the ${indexFile} index`, error);
+      pages = null;
+      return [];
+    });
+
+    const [matchingPages, matchingProducts] = await Promise.all([
+      pages.then((data) => filterPages(terms, data)),
+      withProducts
+        ? searchProducts(query).catch((error) => {
+          console.error('Could not search products', error);
+          return [];
+        })
+        : [],
+    ]);
+
+    // a newer search is running
+    if (currentRequest !== requestId) return;
+
+    block.classList.remove('search--loading');
+
+    const sections = [];
+    if (matchingProducts.length) {
+      sections.push(renderSection(
+        'search-products',
+        MESSAGES.PRODUCTS,
+        matchingProducts.map((product) => renderProduct(product, terms)),
+      ));
+    }
+    if (matchingPages.length) {
+      sections.push(renderSection(
+        'search-pages',
+        MESSAGES.PAGES,
+        matchingPages.map((entry) => renderPage(entry, terms)),
+      ));
+    }
+
+    const count = matchingPages.length + matchingProducts.length;
+    status.textContent = count ? formatMessage(MESSAGES.RESULTS, { count }) : MESSAGES.NO_RESULTS;
+    results.replaceChildren(...sections);
+  };
+
+  let timeout;
+  input.addEventListener('input', () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(runSearch, DEBOUNCE_TIME);
+  });
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      input.value = '';
+      runSearch();
+    }
+  });
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    clearTimeout(timeout);
+    runSearch();
+  });
+
+  if (input.value) runSearch();
+}
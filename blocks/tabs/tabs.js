@@ -0,0 +1,150 @@
+/*
+ * Tabs Block
+ * Each row is a tab: the first cell holds the tab name, the second the panel content.
+ * https://www.w3.org/WAI/ARIA/apg/patterns/tabs/
+ */
+
+import { toClassName } from '../../scripts/aem.js';
+import { moveInstrumentation } from '../../ue/scripts/ue-utils.js';
+
+/**
+ * Decorates a panel the first time it is shown: fragment links are replaced
+ * with the fragment content, so hidden panels do not load them upfront.
+ * @param {Element} panel The tab panel
+ */
+async function decoratePanel(panel) {
+  if (panel.dataset.decorated) return;
+  panel.dataset.decorated = true;
+
+  // only links authored on their own line, like the fragment block
+  const links = [...panel.querySelectorAll('a[href^="/"][href*="/fragments/"]')]
+    .filter((link) => (link.closest('p') ?? link).textContent.trim() === link.textContent.trim());
+  if (!links.length) return;
+
+  const { loadFragment } = await import('../fragment/fragment.js');
+  await Promise.all(links.map(async (link) => {
+    const fragment = await loadFragment(link.getAttribute('href'));
+    if (fragment) (link.closest('p') ?? link).replaceWith(...fragment.childNodes);
+  }));
+}
+
+/**
+ * Shows the given tab and hides the others.
+ * @param {Element} block The tabs block
+ * @param {Element} tab The tab to show
+ * @param {Object} [options]
+ * @param {boolean} [options.focus] Move the focus to the tab
+ * @param {boolean} [options.updateHash] Reflect the tab in the URL hash
+ */
+export function showTab(block, tab, { focus = false, updateHash = false } = {}) {
+  block.querySelectorAll(':scope > .tabs-list > .tabs-tab').forEach((button) => {
+    const selected = button === tab;
+    button.setAttribute('aria-selected', selected);
+    button.tabIndex = selected ? 0 : -1;
+  });
+
+  block.querySelectorAll(':scope > .tabs-panel').forEach((panel) => {
+    const hidden = panel.id !== tab.getAttribute('aria-controls');
+    panel.setAttribute('aria-hidden', hidden);
+    if (!hidden) decoratePanel(panel);
+  });
+
+  if (focus) tab.focus();
+  if (updateHash) window.history.replaceState(null, '', `#${tab.dataset.tabId}`);
+}
+
+/**
+ * Finds the tab matching the URL hash, if any.
+ * @param {Element} block The tabs block
+ * @returns {Element|null} The tab
+ */
+function getTabFromHash(block) {
+  const hash = decodeURIComponent(window.location.hash.slice(1));
+  if (!hash) return null;
+  return [...block.querySelectorAll(':scope > .tabs-list > .tabs-tab')].find((tab) => tab.dataset.tabId === hash) ?? null;
+}
+
+function handleKeydown(block, event) {
+  const tabs = [...block.querySelectorAll(':scope > .tabs-list > .tabs-tab')];
+  const index = tabs.indexOf(event.target);
+  if (index === -1) return;
+
+  const targets = {
+    ArrowLeft: tabs[(index - 1 + tabs.length) % tabs.length],
+    ArrowRight: tabs[(index + 1) % tabs.length],
+    Home: tabs[0],
+    End: tabs[tabs.length - 1],
+  };
+  const target = targets[event.key];
+  if (!target) return;
+
+  event.preventDefault();
+  showTab(block, target, { focus: true, updateHash: true });
+}
+
+export default function decorate(block) {
+  const tablist = document.createElement('div');
+  tablist.className = 'tabs-list';
+  tablist.setAttribute('role', 'tablist');
+
+  const usedIds = new Set([...document.querySelectorAll('[id]')].map(({ id }) => id));
+
+  [...block.children].forEach((row, i) => {
+    const [label, content] = row.children;
+
+    // unique id, derived from the tab name
+    const baseId = toClassName(label?.textContent) || `item-${i + 1}`;
+    let tabId = baseId;
+    for (let n = 2; usedIds.has(`tab-${tabId}`) || usedIds.has(`tabpanel-${tabId}`); n += 1) {
+      tabId = `${baseId}-${n}`;
+    }
+    usedIds.add(`tab-${tabId}`);
+    usedIds.add(`tabpanel-${tabId}`);
+
+    // decorate tab panel, the row keeps the item instrumentation
+    row.className = 'tabs-panel';
+    row.id = `tabpanel-${tabId}`;
+    row.setAttribute('role', 'tabpanel');
+    row.setAttribute('aria-labelledby', `tab-${tabId}`);
+    row.setAttribute('aria-hidden', true);
+    row.tabIndex = 0;
+    if (content) {
+      content.className = 'tabs-panel-content';
+    }
+
+    // build tab button
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'tabs-tab';
+    button.id = `tab-${tabId}`;
+    button.dataset.tabId = tabId;
+    button.setAttribute('role', 'tab');
+    button.setAttribute('aria-controls', row.id);
+    button.setAttribute('aria-selected', false);
+    button.tabIndex = -1;
+
+    // keep the tab name editable in the Universal Editor
+    const text = label?.querySelector('p') ?? label;
+    const span = document.createElement('span');
+    if (text) {
+      span.append(...text.childNodes);
+      moveInstrumentation(text, span);
+    }
+    button.append(span);
+    label?.remove();
+
+    button.addEventListener('click', () => showTab(block, button, { updateHash: true }));
+    tablist.append(button);
+  });
+
+  tablist.addEventListener('keydown', (event) => handleKeydown(block, event));
+  block.prepend(tablist);
+
+  const initialTab = getTabFromHash(block) ?? tablist.firstElementChild;
+  if (initialTab) showTab(block, initialTab);
+
+  window.addEventListener('hashchange', () => {
+    const tab = getTabFromHash(block);
+    if (tab) showTab(block, tab);
+  });
+}
@@ -0,0 +1,279 @@
+/*
+ * Video Block
+ * Show a self-hosted (MP4, HLS) or AEM Assets video, or a YouTube/Vimeo embed.
+ * The cell holds the video link, an optional poster image and optional links
+ * to WebVTT caption files (the link text is used as the track label).
+ * The "autoplay" variant plays the video muted and looped, as a background.
+ */
+
+import { loadScript, sampleRUM } from '../../scripts/aem.js';
+
+// pinned, with the Subresource Integrity hash of that exact file
+const HLS_SCRIPT = 'https://cdn.jsdelivr.net/npm/hls.js@1.7.3/dist/hls.min.js';
+const HLS_INTEGRITY = 'sha384-cciJ0zi8d1uMKC2zJd7jvPY4HQt7W4ByUI/FlMkltvBi31aW61rcpVBhpmW8/NwX';
+
+const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+/**
+ * Finds out how a video URL has to be played.
+ * @param {URL} url The video URL
+ * @returns {'youtube'|'vimeo'|'hls'|'file'|'embed'} The video type
+ */
+function getVideoType(url) {
+  if (['youtube.com', 'www.youtube.com', 'youtu.be', 'www.youtube-nocookie.com'].includes(url.hostname)) return 'youtube';
+  if (['vimeo.com', 'player.vimeo.com'].includes(url.hostname)) return 'vimeo';
+  if (url.pathname.endsWith('.m3u8')) return 'hls';
+  // AEM Assets delivery player
+  if (url.pathname.startsWith('/adobe/assets/') && url.pathname.endsWith('/play')) return 'embed';
+  return 'file';
+}
+
+function trackPlay(block, source) {
+  if (block.dataset.played) return;
+  block.dataset.played = true;
+  sampleRUM('video:play', { source: 'video', target: source });
+}
+
+function trackComplete(source) {
+  sampleRUM('video:complete', { source: 'video', target: source });
+}
+
+function getYoutubeId(url) {
+  if (url.hostname === 'youtu.be') return url.pathname.slice(1);
+  if (url.pathname.startsWith('/embed/') || url.pathname.startsWith('/shorts/')) {
+    return url.pathname.split('/')[2];
+  }
+  return url.searchParams.get('v');
+}
+
+function createIframe(src, title) {
+  const iframe = document.createElement('iframe');
+  iframe.src = src;
+  iframe.title = title;
+  iframe.allow = 'autoplay; fullscreen; picture-in-picture; encrypted-media; accelerometer; gyroscope';
+  iframe.allowFullscreen = true;
+  iframe.loading = 'lazy';
+  return iframe;
+}
+
+function embedYoutube(block, url, { autoplay, background }) {
+  const id = getYoutubeId(url);
+  const params = new URLSearchParams({
+    rel: 0,
+    playsinline: 1,
+    enablejsapi: 1,
+    origin: window.location.origin,
+  });
+  if (autoplay) params.set('autoplay', 1);
+  if (background) {
+    params.set('mute', 1);
+    params.set('controls', 0);
+    params.set('loop', 1);
+    params.set('playlist', id);
+  }
+
+  const iframe = createIframe(`https://www.youtube-nocookie.com/embed/${id}?${params}`, 'Content from YouTube');
+
+  // the player reports its state once we start listening
+  iframe.addEventListener('load', () => {
+    iframe.contentWindow.postMessage(JSON.stringify({ event: 'listening' }), '*');
+  });
+  window.addEventListener('message', (event) => {
+    if (event.source !== iframe.contentWindow) return;
+    try {
+      const { info } = JSON.parse(event.data);
+      if (info?.playerState === 1) trackPlay(block, url.href);
+      if (info?.playerState === 0) trackComplete(url.href);
+    } catch (e) {
+      // not a player message
+    }
+  });
+
+  return iframe;
+}
+
+function embedVimeo(block, url, { autoplay, background }) {
+  const [, id, hash] = url.pathname.match(/(?:\/video)?\/(\d+)(?:\/(\w+))?/) ?? [];
+  const params = new URLSearchParams({ dnt: 1 });
+  if (hash) params.set('h', hash);
+  if (autoplay) params.set('autoplay', 1);
+  if (background) params.set('background', 1);
+
+  const iframe = createIframe(`https://player.vimeo.com/video/${id}?${params}`, 'Content from Vimeo');
+
+  iframe.addEventListener('load', () => {
+    ['play', 'ended'].forEach((value) => {
+      iframe.contentWindow.postMessage({ method: 'addEventListener', value }, 'https://player.vimeo.com');
+    });
+  });
+  window.addEventListener('message', (event) => {
+    if (event.source !== iframe.contentWindow) return;
+    try {
+      const data = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
+      if (data?.event === 'play') trackPlay(block, url.href);
+      if (data?.event === 'ended') trackComplete(url.href);
+    } catch (e) {
+      // not a player message
+    }
+  });
+
+  return iframe;
+}
+
+async function attachHls(video, src) {
+  if (video.canPlayType('application/vnd.apple.mpegurl')) {
+    video.src = src;
+    return;
+  }
+  await loadScript(HLS_SCRIPT, { integrity: HLS_INTEGRITY, crossorigin: 'anonymous' });
+  if (!window.Hls?.isSupported()) {
+    video.src = src;
+    return;
+  }
+  const hls = new window.Hls();
+  hls.loadSource(src);
+  hls.attachMedia(video);
+}
+
+function createVideo(block, url, type, {
+  autoplay,
+  background,
+  poster,
+  captions,
+}) {
+  const video = document.createElement('video');
+  video.playsInline = true;
+  video.preload = autoplay ? 'auto' : 'metadata';
+  if (poster) video.poster = poster;
+
+  if (background) {
+    video.muted = true;
+    video.loop = true;
+    video.setAttribute('aria-hidden', true);
+    prefersReducedMotion.addEventListener('change', ({ matches }) => {
+      if (matches) video.pause();
+      else video.play().catch(() => {});
+    });
+  } else {
+    video.controls = true;
+  }
+
+  captions.forEach(({ src, label, srclang }, i) => {
+    const track = document.createElement('track');
+    track.kind = 'captions';
+    track.src = src;
+    track.label = label;
+    track.srclang = srclang;
+    track.default = i === 0;
+    video.append(track);
+  });
+
+  if (type === 'hls') {
+    attachHls(video, url.href).catch((error) => console.error('Could not load the video', error));
+  } else {
+    const source = document.createElement('source');
+    source.src = url.href;
+    source.type = `video/${url.pathname.split('.').pop() === 'webm' ? 'webm' : 'mp4'}`;
+    video.append(source);
+  }
+
+  video.addEventListener('play', () => trackPlay(block, url.href));
+  video.addEventListener('ended', () => trackComplete(url.href));
+
+  if (autoplay) {
+    video.muted = true;
+    video.autoplay = true;
+    video.play().catch(() => {
+      // autoplay is blocked, let the shopper start the video
+      video.controls = true;
+    });
+  }
+
+  return video;
+}
+
+/**
+ * Loads the video player in place of the placeholder.
+ * @param {Element} block The video block
+ * @param {Object} options
+ */
+function loadVideo(block, options) {
+  if (block.dataset.videoLoaded === 'true') return;
+  block.dataset.videoLoaded = true;
+
+  const { url } = options;
+  const type = getVideoType(url);
+
+  let player;
+  if (type === 'youtube') player = embedYoutube(block, url, options);
+  else if (type === 'vimeo') player = embedVimeo(block, url, options);
+  else if (type === 'embed') player = createIframe(url.href, 'Video');
+  else player = createVideo(block, url, type, options);
+
+  const wrapper = document.createElement('div');
+  wrapper.className = `video-player video-player-${type}`;
+  wrapper.append(player);
+  block.querySelector('.video-placeholder')?.remove();
+  block.append(wrapper);
+}
+
+function getCaptions(block) {
+  return [...block.querySelectorAll('a[href$=".vtt"]')].map((link) => {
+    // file names like "campaign.fr.vtt" give the track language
+    const [, lang] = link.pathname.match(/\.([a-z]{2}(?:-[a-z]{2})?)\.vtt$/i) ?? [];
+    return {
+      src: link.href,
+      label: link.textContent.trim(),
+      srclang: lang || document.documentElement.lang || 'en',
+    };
+  });
+}
+
+export default function decorate(block) {
+  const link = [...block.querySelectorAll('a')].find((a) => !a.pathname.endsWith('.vtt'));
+  if (!link) return;
+
+  const picture = block.querySelector('picture');
+  const background = block.classList.contains('autoplay');
+  const options = {
+    url: new URL(link.href),
+    background,
+    poster: picture?.querySelector('img')?.src,
+    captions: getCaptions(block),
+  };
+
+  block.textContent = '';
+  block.dataset.videoLoaded = false;
+
+  // poster image, shown until the video is loaded
+  const placeholder = document.createElement('div');
+  placeholder.className = 'video-placeholder';
+  if (picture) placeholder.append(picture);
+  block.append(placeholder);
+
+  const showPlayButton = () => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'video-placeholder-play';
+    button.setAttribute('aria-label', 'Play video');
+    placeholder.append(button);
+    placeholder.addEventListener('click', () => {
+      loadVideo(block, { ...options, autoplay: true, background: false });
+    }, { once: true });
+  };
+
+  // background videos do not move for shoppers who prefer reduced motion
+  if (background && !prefersReducedMotion.matches) {
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        observer.disconnect();
+        loadVideo(block, { ...options, autoplay: true });
+      }
+    });
+    observer.observe(block);
+    return;
+  }
+
+  // embeds are only loaded on interaction, the poster keeps LCP fast
+  showPlayButton();
+}
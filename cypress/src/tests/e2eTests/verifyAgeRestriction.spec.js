@@ -0,0 +1,111 @@
+import { products } from "../../fixtures/index";
+
+// The overridden config key, and the product attribute flagging the age restricted products.
+const AGE_RESTRICTION_KEY = 'public.default.age-restriction';
+const AGE_RESTRICTION_ATTRIBUTE = 'cypress_age_restricted';
+const AGE_VERIFICATION_KEY = 'age-verification';
+
+/**
+ * Flags every product returned by Catalog Service as restricted to 21 and over.
+ */
+const interceptAgeRestrictedProducts = () => {
+  cy.intercept({ url: /graphql/ }, (req) => {
+    req.continue((res) => {
+      const productsData = res.body?.data?.products;
+      if (!Array.isArray(productsData)) return;
+
+      productsData.filter(Boolean).forEach((product) => {
+        product.attributes = [
+          ...(product.attributes ?? []),
+          { name: AGE_RESTRICTION_ATTRIBUTE, label: 'Age restricted', value: '1' },
+        ];
+      });
+    });
+  });
+};
+
+const assertAgeGateVisible = () => {
+  cy.get('.age-gate-overlay').should('be.visible');
+  cy.get('.age-gate-modal').contains('Are you over 21?').should('be.visible');
+};
+
+describe("Verify age restricted products", () => {
+  beforeEach(() => {
+    cy.interceptConfig((config) => {
+      Cypress._.set(config, AGE_RESTRICTION_KEY, {
+        attribute: AGE_RESTRICTION_ATTRIBUTE,
+        'min-age': 21,
+        mode: 'yes-no',
+      });
+      return config;
+    });
+    interceptAgeRestrictedProducts();
+  });
+
+  it("Verify the age gate blocks add to cart on the PDP until the age is verified", () => {
+    cy.visit(products.simple.urlPath);
+    cy.get(".minicart-panel").should("be.empty");
+
+    // denied: the product is not added
+    cy.contains("Add to Cart").click();
+    assertAgeGateVisible();
+    cy.get('.age-gate-modal').contains('button', 'No').click();
+    cy.get('.age-gate-overlay').should('not.exist');
+    cy.get(".minicart-panel").should("be.empty");
+
+    // verified: the product is added
+    cy.contains("Add to Cart").click();
+    assertAgeGateVisible();
+    cy.get('.age-gate-modal').contains('button', 'Yes').click();
+    cy.get('.age-gate-overlay').should('not.exist');
+    cy.get(".minicart-wrapper").click();
+    cy.get(".minicart-panel[data-loaded='true']").should('exist');
+    cy.get(".minicart-panel").should("not.be.empty");
+
+    // remembered: no gate the next time
+    cy.window().its('localStorage').invoke('getItem', AGE_VERIFICATION_KEY).should('not.be.null');
+  });
+
+  it("Verify the age gate blocks add to cart on the product list page", () => {
+    cy.visit(`/search?q=${encodeURIComponent('Youth tee')}`);
+    cy.get(".minicart-panel").should("be.empty");
+
+    cy.get('.product-discovery-product-actions__add-to-cart button').first().click();
+    assertAgeGateVisible();
+    cy.get('.age-gate-close').click();
+    cy.get('.age-gate-overlay').should('not.exist');
+    cy.get(".minicart-panel").should("be.empty");
+
+    cy.get('.product-discovery-product-actions__add-to-cart button').first().click();
+    assertAgeGateVisible();
+    cy.get('.age-gate-modal').contains('button', 'Yes').click();
+    cy.get(".minicart-wrapper").click();
+    cy.get(".minicart-panel[data-loaded='true']").should('exist');
+    cy.get(".minicart-panel").should("not.be.empty");
+  });
+
+  it("Verify the checkout requires the age verification of the cart products", () => {
+    cy.visit(products.simple.urlPath);
+    cy.contains("Add to Cart").click();
+    cy.get('.age-gate-modal').contains('button', 'Yes').click();
+    cy.get(".minicart-wrapper").click();
+    cy.get(".minicart-panel[data-loaded='true']").should('exist');
+
+    // the verification expired meanwhile
+    cy.window().its('localStorage').invoke('removeItem', AGE_VERIFICATION_KEY);
+
+    cy.visit("/checkout");
+    cy.get('.checkout__age-restriction')
+      .contains('Age verification required')
+      .should('be.visible');
+    cy.get('.checkout__age-restriction')
+      .contains('Your cart contains products that require you to be at least 21 years old.')
+      .should('be.visible');
+
+    cy.get('.checkout__age-restriction').contains('Verify age').click();
+    assertAgeGateVisible();
+    cy.get('.age-gate-modal').contains('button', 'Yes').click();
+    cy.get('.age-gate-overlay').should('not.exist');
+    cy.get('.checkout__age-restriction').should('be.empty');
+  });
+});
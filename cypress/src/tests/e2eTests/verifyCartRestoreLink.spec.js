@@ -0,0 +1,108 @@
+import { products } from "../../fixtures/index";
+
+// The overridden config key, and the stubbed cart sharing endpoint.
+const CART_SHARING_KEY = 'public.default.cart-sharing';
+const CART_SHARING_ENDPOINT = 'https://cart-sharing.example.com/';
+const VALID_SIGNATURE = 'cypress-signature';
+
+const toBase64Url = (value) => btoa(value).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const getRestorePath = (signature) => {
+  const payload = toBase64Url(JSON.stringify({
+    items: [{
+      sku: products.simple.sku,
+      name: 'Youth tee',
+      quantity: 2,
+      optionsUIDs: [],
+    }],
+  }));
+  return `/cart?restore=${payload}.${signature}`;
+};
+
+/**
+ * Enables the cart sharing option of the cart block, which is opt-in.
+ */
+const interceptCartPage = () => {
+  cy.intercept({ method: 'GET', pathname: '/cart' }, (req) => {
+    req.continue((res) => {
+      if (typeof res.body !== 'string') return;
+      res.body = res.body.replace(
+        /(<div class="commerce-cart[^"]*">)/,
+        '$1<div><div>Enable Cart Sharing</div><div>true</div></div>',
+      );
+    });
+  });
+};
+
+describe("Verify cart restore links", () => {
+  beforeEach(() => {
+    cy.interceptConfig((config) => {
+      Cypress._.set(config, CART_SHARING_KEY, { endpoint: CART_SHARING_ENDPOINT });
+      return config;
+    });
+    cy.intercept('POST', CART_SHARING_ENDPOINT, (req) => {
+      const { action, signature } = req.body;
+      if (action === 'verify') {
+        req.reply({ valid: signature === VALID_SIGNATURE });
+      } else {
+        req.reply(403, {});
+      }
+    }).as('cartSharing');
+    interceptCartPage();
+  });
+
+  it("Verify the shared cart is only restored once the shopper confirms it", () => {
+    cy.visit(getRestorePath(VALID_SIGNATURE));
+    cy.wait('@cartSharing');
+
+    // the link is not restored twice
+    cy.location('search').should('not.contain', 'restore=');
+
+    cy.get('.cart__notification')
+      .contains('Add 1 shared product to your cart?')
+      .should('be.visible');
+    cy.get('.cart__notification').contains('Youth tee (2)').should('be.visible');
+    cy.get(".minicart-panel").should("be.empty");
+
+    cy.get('.cart__notification .dropin-in-line-alert__additional-action')
+      .contains('Add to cart')
+      .click();
+    cy.get('.cart__notification')
+      .contains('1 product was added to your cart.')
+      .should('be.visible');
+    cy.get('.commerce-cart-wrapper').contains('Youth tee').should('be.visible');
+  });
+
+  it("Verify nothing is added when the shopper dismisses the shared cart", () => {
+    cy.visit(getRestorePath(VALID_SIGNATURE));
+    cy.get('.cart__notification')
+      .contains('Add 1 shared product to your cart?')
+      .should('be.visible');
+
+    cy.get('.cart__notification .dropin-in-line-alert__dismiss-button').click();
+    cy.get('.cart__notification').should('not.contain', 'Add 1 shared product to your cart?');
+    cy.get(".minicart-panel").should("be.empty");
+  });
+
+  it("Verify a forged cart link is rejected", () => {
+    cy.visit(getRestorePath('forged'));
+    cy.wait('@cartSharing');
+
+    cy.get('.cart__notification')
+      .contains('This cart link is invalid.')
+      .should('be.visible');
+    cy.get('.cart__notification').should('not.contain', 'Add to cart');
+    cy.get(".minicart-panel").should("be.empty");
+  });
+
+  it("Verify guests cannot share their cart", () => {
+    cy.visit(products.simple.urlPath);
+    cy.contains("Add to Cart").click();
+    cy.get(".minicart-wrapper").click();
+    cy.get(".minicart-panel[data-loaded='true']").should('exist');
+
+    cy.visit('/cart');
+    cy.get('.commerce-cart-wrapper').contains('Youth tee').should('be.visible');
+    cy.get('.cart__sharing').should('be.empty');
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Loads scripts/i18n.js in the storefront page, with the import map of the page.
+ */
+const loadI18n = () => cy.window().then((win) => new win.Function("return import('/scripts/i18n.js')")());
+
+describe("Verify the ICU message formatting of placeholders", () => {
+  beforeEach(() => {
+    cy.visit("/");
+  });
+
+  it("Verify the arguments are replaced with their values", () => {
+    loadI18n().then(({ formatMessage }) => {
+      expect(formatMessage('{product} was added to your cart.', { product: 'Youth tee' }, 'en'))
+        .to.equal('Youth tee was added to your cart.');
+      // unknown arguments are kept as authored
+      expect(formatMessage('{product} was added to your cart.', {}, 'en'))
+        .to.equal('{product} was added to your cart.');
+    });
+  });
+
+  it("Verify the plural forms and the # of plural arguments", () => {
+    const message = '{count, plural, =0 {No products} one {# product} other {# products}}';
+
+    loadI18n().then(({ formatMessage }) => {
+      expect(formatMessage(message, { count: 0 }, 'en')).to.equal('No products');
+      expect(formatMessage(message, { count: 1 }, 'en')).to.equal('1 product');
+      expect(formatMessage(message, { count: 2 }, 'en')).to.equal('2 products');
+      expect(formatMessage(message, { count: 1234 }, 'en')).to.equal('1,234 products');
+
+      // the plural rules and number format of the locale apply
+      const frMessage = '{count, plural, one {# produit} other {# produits}}';
+      expect(formatMessage(frMessage, { count: 1 }, 'fr')).to.equal('1 produit');
+      expect(formatMessage(frMessage, { count: 1234 }, 'fr'))
+        .to.equal(`${new Intl.NumberFormat('fr').format(1234)} produits`);
+    });
+  });
+
+  it("Verify the select options and the nested arguments", () => {
+    const message = '{type, select, simple {{product} was added} other {The product was added}}';
+
+    loadI18n().then(({ formatMessage }) => {
+      expect(formatMessage(message, { type: 'simple', product: 'Youth tee' }, 'en'))
+        .to.equal('Youth tee was added');
+      expect(formatMessage(message, { type: 'configurable', product: 'Youth tee' }, 'en'))
+        .to.equal('The product was added');
+
+      expect(formatMessage(
+        '{count, plural, one {{product} was added} other {# products were added}} to your cart.',
+        { count: 3, product: 'Youth tee' },
+        'en',
+      )).to.equal('3 products were added to your cart.');
+    });
+  });
+});
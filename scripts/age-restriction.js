@@ -0,0 +1,144 @@
+import { getConfigValue, getHeaders } from '@dropins/tools/lib/aem/configs.js';
+import * as pdpApi from '@dropins/storefront-pdp/api.js';
+import { commerceEndpointWithQueryParams } from './commerce.js';
+import {
+  DEFAULT_MIN_AGE,
+  isAgeVerified,
+  requestAgeVerification,
+} from './age-verification.js';
+
+/**
+ * Product-level age restrictions.
+ *
+ * Enabled by the `age-restriction` entry of config.json, e.g.
+ * { "attribute": "age_restricted", "min-age": 21, "mode": "dob" }
+ *
+ * The product attribute either flags the product ("1", "true", "yes"), in which
+ * case the configured minimum age applies, or holds the minimum age itself ("21").
+ */
+
+const TRUTHY_VALUES = ['1', 'true', 'yes'];
+
+// Minimum age by SKU (0 when the product is not restricted)
+const minAgeCache = new Map();
+
+const PRODUCTS_ATTRIBUTES_QUERY = `
+  query GET_PRODUCTS_ATTRIBUTES($skus: [String]) {
+    products(skus: $skus) {
+      sku
+      attributes(roles: []) {
+        name
+        value
+      }
+    }
+  }
+`;
+
+/**
+ * Returns the age restriction configuration, or null if it is not enabled.
+ * @returns {{ attribute: string, minAge: number, mode?: string }|null} The configuration
+ */
+export function getAgeRestrictionConfig() {
+  let config;
+  try {
+    config = getConfigValue('age-restriction');
+  } catch (e) {
+    // config not initialized yet
+  }
+  if (!config?.attribute) return null;
+
+  return {
+    attribute: config.attribute,
+    minAge: parseInt(config['min-age'], 10) || DEFAULT_MIN_AGE,
+    mode: config.mode,
+  };
+}
+
+/**
+ * Reads the minimum age required to buy a product from its attributes.
+ * @param {Object} product - Catalog Service product with `attributes { name value }`
+ * @returns {number} The minimum age, or 0 if the product is not restricted
+ */
+export function getProductMinAge(product) {
+  const config = getAgeRestrictionConfig();
+  if (!config || !product) return 0;
+
+  const attribute = product.attributes?.find(({ name }) => name === config.attribute);
+  const value = `${attribute?.value ?? ''}`.trim().toLowerCase();
+
+  if (TRUTHY_VALUES.includes(value)) return config.minAge;
+
+  const age = parseInt(value, 10);
+  return age > 1 ? age : 0;
+}
+
+/**
+ * Remembers the age restriction of an already fetched product, so that
+ * add-to-cart does not need to query it again.
+ * @param {Object} product - Catalog Service product with `attributes { name value }`
+ */
+export function registerProduct(product) {
+  if (!product?.sku || !getAgeRestrictionConfig()) return;
+  minAgeCache.set(product.sku, getProductMinAge(product));
+}
+
+/**
+ * Returns the highest minimum age required by the given products. Products whose
+ * restriction could not be fetched require the configured minimum age.
+ * @param {string[]} skus - The product SKUs
+ * @returns {Promise<number>} The minimum age, or 0 if no product is restricted
+ */
+export async function fetchProductsMinAge(skus) {
+  const config = getAgeRestrictionConfig();
+  if (!config) return 0;
+
+  const missing = [...new Set(skus)].filter((sku) => sku && !minAgeCache.has(sku));
+
+  if (missing.length) {
+    try {
+      pdpApi.setEndpoint(await commerceEndpointWithQueryParams());
+      pdpApi.setFetchGraphQlHeaders((prev) => ({ ...prev, ...getHeaders('cs') }));
+
+      const { data, errors } = await pdpApi.fetchGraphQl(PRODUCTS_ATTRIBUTES_QUERY, {
+        method: 'GET',
+        variables: { skus: missing },
+      });
+
+      if (errors?.length) {
+        console.error('Could not fetch product age restrictions', errors);
+      }
+
+      data?.products?.forEach((product) => registerProduct(product));
+    } catch (error) {
+      console.error('Could not fetch product age restrictions', error);
+    }
+  }
+
+  // unknown products are not cached, so that they are fetched again next time
+  return Math.max(0, ...skus.map((sku) => minAgeCache.get(sku) ?? config.minAge));
+}
+
+/**
+ * Returns the minimum age the shopper still has to prove to buy the given products.
+ * @param {string[]} skus - The product SKUs
+ * @returns {Promise<number>} The minimum age, or 0 if no verification is needed
+ */
+export async function getPendingAgeRestriction(skus) {
+  const minAge = await fetchProductsMinAge(skus);
+  return minAge && !isAgeVerified(minAge) ? minAge : 0;
+}
+
+/**
+ * Asks the shopper to verify their age if any of the given products requires it.
+ * Call before adding products to the cart.
+ * @param {string[]} skus - The product SKUs
+ * @returns {Promise<boolean>} True if the products can be added to the cart
+ */
+export async function ensureAgeVerified(skus) {
+  const minAge = await getPendingAgeRestriction(skus);
+  if (!minAge) return true;
+
+  const { mode } = getAgeRestrictionConfig();
+
+  return requestAgeVerification({ minAge, mode });
+}
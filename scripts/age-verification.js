@@ -0,0 +1,130 @@
+import { events } from '@dropins/tools/event-bus.js';
+
+/**
+ * Age verification state shared by the age-gate block and any block that needs
+ * to check a shopper's age (e.g. add-to-cart for restricted products).
+ *
+ * A single localStorage entry stores the outcome of the last verification:
+ * { age: 21, country: 'US', expires: 1767225600000 }
+ * where `age` is the minimum age the shopper has proven.
+ */
+
+export const AGE_VERIFICATION_KEY = 'age-verification';
+
+export const AGE_VERIFICATION_EVENT = 'age-verification/updated';
+
+export const DEFAULT_MIN_AGE = 18;
+
+export const DEFAULT_STORAGE_DURATION = 30;
+
+// Storage used by the former age-gate and age-verification blocks
+const LEGACY_KEYS = ['age_gate_decision', 'age-verified'];
+
+const CRAWLER_PATTERN = /bot|crawl|spider|slurp|mediapartners|lighthouse|headlesschrome/i;
+
+/**
+ * Migrates decisions stored by the former blocks to the current storage model.
+ */
+function migrateLegacyStorage() {
+  const legacyKey = LEGACY_KEYS.find((key) => window.localStorage.getItem(key) === 'true');
+  LEGACY_KEYS.forEach((key) => window.localStorage.removeItem(key));
+  document.cookie = 'age_gate_decision=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/';
+
+  if (legacyKey) {
+    setAgeVerification({ age: DEFAULT_MIN_AGE });
+  }
+}
+
+/**
+ * Returns the stored age verification, if any and not expired.
+ * @returns {{ age: number, country?: string, expires: number }|null} The verification
+ */
+export function getAgeVerification() {
+  try {
+    if (!window.localStorage.getItem(AGE_VERIFICATION_KEY)) {
+      migrateLegacyStorage();
+    }
+
+    const verification = JSON.parse(window.localStorage.getItem(AGE_VERIFICATION_KEY));
+    if (!verification) return null;
+
+    if (!verification.expires || verification.expires < Date.now()) {
+      window.localStorage.removeItem(AGE_VERIFICATION_KEY);
+      return null;
+    }
+    return verification;
+  } catch (e) {
+    window.localStorage.removeItem(AGE_VERIFICATION_KEY);
+    return null;
+  }
+}
+
+/**
+ * Checks if the shopper has proven to be at least the given age.
+ * @param {number} [minAge] - The minimum age required
+ * @returns {boolean} True if the shopper is verified for that age
+ */
+export function isAgeVerified(minAge = DEFAULT_MIN_AGE) {
+  const verification = getAgeVerification();
+  return !!verification && verification.age >= minAge;
+}
+
+/**
+ * Stores a successful age verification and emits `age-verification/updated`.
+ * @param {Object} verification
+ * @param {number} verification.age - The minimum age the shopper has proven
+ * @param {string} [verification.country] - The country the age was checked for
+ * @param {number} [verification.storageDuration] - Days until the shopper is asked again
+ */
+export function setAgeVerification({
+  age,
+  country,
+  storageDuration = DEFAULT_STORAGE_DURATION,
+}) {
+  const verification = {
+    age,
+    country,
+    expires: Date.now() + (storageDuration * 24 * 60 * 60 * 1000),
+  };
+  window.localStorage.setItem(AGE_VERIFICATION_KEY, JSON.stringify(verification));
+  events.emit(AGE_VERIFICATION_EVENT, verification);
+}
+
+/**
+ * Removes the stored age verification.
+ */
+export function clearAgeVerification() {
+  window.localStorage.removeItem(AGE_VERIFICATION_KEY);
+  events.emit(AGE_VERIFICATION_EVENT, null);
+}
+
+/**
+ * Calculates the age in full years for a date of birth.
+ * @param {Date} dob - The date of birth
+ * @returns {number} The age
+ */
+export function calculateAge(dob) {
+  const diff = Date.now() - dob.getTime();
+  const ageDate = new Date(diff);
+  return Math.abs(ageDate.getUTCFullYear() - 1970);
+}
+
+/**
+ * Detects search engine crawlers and audit tools, which must see the page content.
+ * @returns {boolean} True if the current user agent is a crawler
+ */
+export function isCrawler() {
+  return CRAWLER_PATTERN.test(navigator.userAgent);
+}
+
+/**
+ * Asks the shopper to verify their age, unless already verified.
+ * @param {Object} [config] - Age gate configuration, see blocks/age-gate
+ * @returns {Promise<boolean>} True if the shopper is verified
+ */
+export async function requestAgeVerification(config = {}) {
+  if (isAgeVerified(config.minAge)) return true;
+
+  const { openAgeGate } = await import('../blocks/age-gate/age-gate.js');
+  return openAgeGate({ dismissible: true, ...config });
+}
@@ -0,0 +1,83 @@
+import { fetchGraphQl } from '@dropins/tools/fetch-graphql.js';
+import { rootLink } from './commerce.js';
+
+/**
+ * Category helpers, used for breadcrumbs and the BreadcrumbList JSON-LD.
+ *
+ * The categories of a product are fetched from the core endpoint configured for the
+ * drop-ins, as Catalog Service does not return them.
+ */
+
+const GET_PRODUCT_CATEGORIES = `
+  query GET_PRODUCT_CATEGORIES($sku: String!) {
+    products(filter: { sku: { eq: $sku } }) {
+      items {
+        categories {
+          name
+          url_path
+          level
+        }
+      }
+    }
+  }
+`;
+
+const productCategories = new Map();
+
+/**
+ * Returns the URL of a category page.
+ * @param {string} urlPath - The URL path of the category, e.g. "men/tops"
+ * @returns {string} The URL
+ */
+export function getCategoryUrl(urlPath) {
+  return rootLink(`/${urlPath}`);
+}
+
+/**
+ * Fetches the categories of a product.
+ * @param {string} sku - The product SKU
+ * @returns {Promise<Object[]>} The categories ({ name, urlPath, level })
+ */
+export function fetchProductCategories(sku) {
+  if (!productCategories.has(sku)) {
+    const promise = fetchGraphQl(GET_PRODUCT_CATEGORIES, {
+      method: 'GET',
+      variables: { sku },
+    }).then(({ data, errors }) => {
+      if (errors?.length) {
+        throw new Error(errors.map(({ message }) => message).join(', '));
+      }
+      return (data?.products?.items?.[0]?.categories ?? []).map((category) => ({
+        name: category.name,
+        urlPath: category.url_path,
+        level: category.level,
+      }));
+    });
+
+    productCategories.set(sku, promise);
+    // allow a retry if the categories failed to load
+    promise.catch(() => productCategories.delete(sku));
+  }
+  return productCategories.get(sku);
+}
+
+/**
+ * Returns the deepest category path of a product, from the top category.
+ * e.g. for "men", "men/tops" and "men/tops/jackets": Men > Tops > Jackets
+ * @param {Object[]} categories - The categories ({ name, urlPath, level })
+ * @returns {Object[]} The categories of the path, from the top category
+ */
+export function getCategoryTrail(categories) {
+  const byPath = new Map(categories
+    .filter(({ urlPath }) => urlPath)
+    .map((category) => [category.urlPath, category]));
+
+  const deepest = [...byPath.values()]
+    .sort((a, b) => b.urlPath.split('/').length - a.urlPath.split('/').length)[0];
+  if (!deepest) return [];
+
+  const segments = deepest.urlPath.split('/');
+  return segments
+    .map((_, i) => byPath.get(segments.slice(0, i + 1).join('/')))
+    .filter(Boolean);
+}
@@ -8,6 +8,9 @@ import {
 } from '@dropins/tools/lib/aem/configs.js';
 import { events } from '@dropins/tools/event-bus.js';
 import { getMetadata } from './aem.js';
+import { getLocale, getLocaleRootPaths } from './i18n.js';
+import { getConsent, CONSENT_TOPICS, CONSENT_UPDATED_EVENT } from './consent.js';
+import { getCompareItems } from './compare.js';
 import initializeDropins from './initializers/index.js';
 
 /**
@@ -17,6 +20,7 @@ import initializeDropins from './initializers/index.js';
 // PATHS
 export const SUPPORT_PATH = '/support';
 export const PRIVACY_POLICY_PATH = '/privacy-policy';
+export const COMPARE_PATH = '/compare';
 
 // GUEST PATHS
 export const ORDER_STATUS_PATH = '/order-status';
@@ -161,6 +165,8 @@ function initializeAdobeDataLayer(pageType) {
 
 /**
  * Fetches and merges index data from multiple sources with intelligent caching.
+ * Each call loads the next page until the index is complete, use
+ * `loadIndex()` from `scripts/query-index.js` to load the whole index.
  * @param {string} indexFile - The index file to fetch
  * @param {number} pageSize - The page size for pagination
  * @returns {Promise<Object>} A promise that resolves the index object
@@ -168,13 +174,17 @@ function initializeAdobeDataLayer(pageType) {
 export async function fetchIndex(indexFile, pageSize = 500) {
   const handleIndex = async (offset) => {
     const resp = await fetch(`/${indexFile}.json?limit=${pageSize}&offset=${offset}`);
+    if (!resp.ok) {
+      throw new Error(`Failed to fetch index ${indexFile}: ${resp.status}`);
+    }
     const json = await resp.json();
 
     const newIndex = {
-      complete: (json.limit + json.offset) === json.total,
-      offset: json.offset + pageSize,
+      complete: !json.data.length || (json.offset + json.data.length) >= json.total,
+      offset: json.offset + json.data.length,
       promise: null,
       data: [...window.index[indexFile].data, ...json.data],
+      lastModified: window.index[indexFile].lastModified ?? resp.headers.get('last-modified'),
     };
 
     return newIndex;
@@ -199,10 +209,14 @@ export async function fetchIndex(indexFile, pageSize = 500) {
   }
 
   window.index[indexFile].promise = handleIndex(window.index[indexFile].offset);
-  const newIndex = await (window.index[indexFile].promise);
-  window.index[indexFile] = newIndex;
+  try {
+    window.index[indexFile] = await (window.index[indexFile].promise);
+  } finally {
+    // allow a retry if the page failed to load
+    window.index[indexFile].promise = null;
+  }
 
-  return newIndex;
+  return window.index[indexFile];
 }
 
 /**
@@ -274,6 +288,11 @@ export async function loadCommerceLazy() {
 
   // Track history
   trackHistory();
+
+  // Compare tray, while products are compared
+  if (getCompareItems().length) {
+    import('../blocks/product-compare/compare-tray.js').then(({ loadCompareTray }) => loadCompareTray());
+  }
 }
 
 /**
@@ -334,8 +353,11 @@ export function applyTemplates(doc) {
  * Fetches and merges placeholder data from multiple sources with intelligent caching.
  *
  * This function retrieves placeholder data from a path-specific file and optional fallback file,
- * then merges them together. It implements request deduplication to prevent multiple simultaneous
- * requests for the same resources and caches results for optimal performance.
+ * then merges them together. The path-specific file is taken from the first locale of the
+ * fallback chain (e.g. /fr-ca/, /fr/ then /) that has it, so a locale without its own file
+ * uses the one of its language, or the default one.
+ * It implements request deduplication to prevent multiple simultaneous requests for the same
+ * resources and caches results for optimal performance.
  *
  * @param {string} [path] - Optional path to a specific placeholders file to include in the merge.
  *                         If provided, this file's data will be merged with fallback data.
@@ -352,7 +374,7 @@ export function applyTemplates(doc) {
  * const updatedPlaceholders = await fetchPlaceholders();
  */
 export async function fetchPlaceholders(path) {
-  const rootPath = getRootPath();
+  const rootPaths = getLocaleRootPaths();
   const fallback = getMetadata('placeholders');
   window.placeholders = window.placeholders || {};
 
@@ -368,7 +390,7 @@ export async function fetchPlaceholders(path) {
   }
 
   // Create cache key for this specific combination
-  const cacheKey = [path, fallback].filter(Boolean).join('|');
+  const cacheKey = [getLocale(), path, fallback].filter(Boolean).join('|');
 
   // Prevent empty cache keys
   if (!cacheKey) {
@@ -385,7 +407,7 @@ export async function fetchPlaceholders(path) {
     const promises = [];
 
     // Helper function to get or create fetch promise for a single resource
-    const getOrCreateFetch = (url, resourceCacheKey) => {
+    const getOrCreateFetch = (url, resourceCacheKey, optional = false) => {
       // Check if already cached
       if (window.placeholders[resourceCacheKey]) {
         return Promise.resolve(window.placeholders[resourceCacheKey]);
@@ -404,7 +426,9 @@ export async function fetchPlaceholders(path) {
           window.placeholders[resourceCacheKey] = data;
           return data;
         }
-        console.warn(`Failed to fetch placeholders from ${url}: HTTP ${response.status} ${response.statusText}`);
+        if (!optional) {
+          console.warn(`Failed to fetch placeholders from ${url}: HTTP ${response.status} ${response.statusText}`);
+        }
         return {};
       }).catch((error) => {
         console.error(`Error fetching placeholders from ${url}:`, error);
@@ -419,10 +443,17 @@ export async function fetchPlaceholders(path) {
       return resourceFetchPromise;
     };
 
-    // path
+    // path, of the most specific locale of the fallback chain (e.g. fr-CA, fr, en)
+    // that has the file: the next locale is only fetched when the file is missing
+    const getOrCreateLocalizedFetch = (i = 0) => {
+      const pathUrl = rootPaths[i].replace(/\/$/, `/${path}`);
+      const last = i === rootPaths.length - 1;
+      return getOrCreateFetch(pathUrl, pathUrl, !last)
+        .then((json) => (json.data || last ? json : getOrCreateLocalizedFetch(i + 1)));
+    };
+
     if (path) {
-      const pathUrl = rootPath.replace(/\/$/, `/${path}`);
-      promises.push(getOrCreateFetch(pathUrl, path));
+      promises.push(getOrCreateLocalizedFetch());
     }
 
     // fallback - only if it exists from overrides
@@ -595,37 +626,76 @@ export function getOptionsUIDsFromUrl() {
   return new URLSearchParams(window.location.search).get('optionsUIDs')?.split(',');
 }
 
+/**
+ * Returns the localStorage key of the product view history of the current store view.
+ * @returns {string} The key
+ */
+function getViewHistoryKey() {
+  const storeViewCode = getConfigValue('headers.cs.Magento-Store-View-Code');
+  return `${storeViewCode}:productViewHistory`;
+}
+
+/**
+ * Returns the SKUs of the last viewed products, most recent first.
+ * The history is only kept with consent for the recommendations topic.
+ * @returns {string[]} The SKUs
+ */
+export function getViewHistory() {
+  try {
+    const viewHistory = JSON.parse(window.localStorage.getItem(getViewHistoryKey()) || '[]');
+    return viewHistory.map(({ sku }) => sku).filter(Boolean).reverse();
+  } catch (e) {
+    window.localStorage.removeItem(getViewHistoryKey());
+    console.error('Error parsing product view history', e);
+    return [];
+  }
+}
+
+/**
+ * Clears the product view history of the current store view.
+ */
+export function clearViewHistory() {
+  window.localStorage.removeItem(getViewHistoryKey());
+}
+
 /**
  * Tracks user browsing and purchase history for recommendations.
- * Stores product view history and purchase history in localStorage.
+ * Stores product view history and purchase history in localStorage,
+ * as long as consent is given for the recommendations topic.
  */
 function trackHistory() {
-  if (!getConsent('commerce-recommendations')) {
-    return;
-  }
-  // Store product view history in session storage
   const storeViewCode = getConfigValue('headers.cs.Magento-Store-View-Code');
+  const viewHistoryKey = getViewHistoryKey();
+  const purchaseHistoryKey = `${storeViewCode}:purchaseHistory`;
+  const hasConsent = () => getConsent(CONSENT_TOPICS.RECOMMENDATIONS);
+
+  // Clear stored history when consent is withdrawn
+  events.on(CONSENT_UPDATED_EVENT, ({ revoked }) => {
+    if (revoked.includes(CONSENT_TOPICS.RECOMMENDATIONS)) {
+      window.localStorage.removeItem(viewHistoryKey);
+      window.localStorage.removeItem(purchaseHistoryKey);
+    }
+  });
+
   window.adobeDataLayer.push((dl) => {
     dl.addEventListener('adobeDataLayer:change', (event) => {
-      if (!event.productContext) {
+      if (!event.productContext || !hasConsent()) {
         return;
       }
-      const key = `${storeViewCode}:productViewHistory`;
-      let viewHistory = JSON.parse(window.localStorage.getItem(key) || '[]');
+      let viewHistory = JSON.parse(window.localStorage.getItem(viewHistoryKey) || '[]');
       viewHistory = viewHistory.filter((item) => item.sku !== event.productContext.sku);
       viewHistory.push({ date: new Date().toISOString(), sku: event.productContext.sku });
-      window.localStorage.setItem(key, JSON.stringify(viewHistory.slice(-10)));
+      window.localStorage.setItem(viewHistoryKey, JSON.stringify(viewHistory.slice(-10)));
     }, { path: 'productContext' });
     dl.addEventListener('place-order', () => {
       const shoppingCartContext = dl.getState('shoppingCartContext');
-      if (!shoppingCartContext) {
+      if (!shoppingCartContext || !hasConsent()) {
         return;
       }
-      const key = `${storeViewCode}:purchaseHistory`;
       const purchasedProducts = shoppingCartContext.items.map((item) => item.product.sku);
-      const purchaseHistory = JSON.parse(window.localStorage.getItem(key) || '[]');
+      const purchaseHistory = JSON.parse(window.localStorage.getItem(purchaseHistoryKey) || '[]');
       purchaseHistory.push({ date: new Date().toISOString(), items: purchasedProducts });
-      window.localStorage.setItem(key, JSON.stringify(purchaseHistory.slice(-5)));
+      window.localStorage.setItem(purchaseHistoryKey, JSON.stringify(purchaseHistory.slice(-5)));
     });
   });
 }
@@ -707,13 +777,9 @@ export function checkIsAuthenticated() {
 
 /**
  * Check if consent was given for a specific topic.
- * @param {*} topic Topic identifier
- * @returns {boolean} True if consent was given
+ * See scripts/consent.js for the consent manager.
  */
-export function getConsent(_topic) {
-  console.warn('getConsent not implemented');
-  return true;
-}
+export { getConsent };
 
 /**
  * Automatically links modal functionality to elements
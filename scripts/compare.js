@@ -0,0 +1,136 @@
+import { events } from '@dropins/tools/event-bus.js';
+import { fetchGraphQl } from '@dropins/tools/fetch-graphql.js';
+import { getConfigValue } from '@dropins/tools/lib/aem/configs.js';
+
+/**
+ * Product comparison state, shared by the compare toggles, the compare tray and the
+ * product-compare block.
+ *
+ * The compared products are stored in localStorage per store view, like the product
+ * view history: [{ sku, name, urlKey, image, attributeSetId }]
+ * Only products of the same attribute set can be compared side by side, so the
+ * `max-items` limit of the `compare` config applies to each attribute set.
+ */
+
+export const COMPARE_EVENT = 'compare/updated';
+
+export const DEFAULT_MAX_ITEMS = 4;
+
+// the attribute set is only available from the core endpoint
+const GET_COMPARE_PRODUCT = `
+  query GET_COMPARE_PRODUCT($sku: String!) {
+    products(filter: { sku: { eq: $sku } }) {
+      items {
+        sku
+        name
+        url_key
+        attribute_set_id
+        small_image {
+          url
+        }
+      }
+    }
+  }
+`;
+
+function getStorageKey() {
+  const storeViewCode = getConfigValue('headers.cs.Magento-Store-View-Code');
+  return `${storeViewCode}:productCompare`;
+}
+
+/**
+ * Returns the maximum number of compared products of an attribute set.
+ * @returns {number} The limit
+ */
+export function getCompareMaxItems() {
+  let config;
+  try {
+    config = getConfigValue('compare');
+  } catch (e) {
+    // config not initialized yet
+  }
+  return parseInt(config?.['max-items'], 10) || DEFAULT_MAX_ITEMS;
+}
+
+/**
+ * Returns the compared products, in the order they were added.
+ * @returns {Object[]} The products ({ sku, name, urlKey, image, attributeSetId })
+ */
+export function getCompareItems() {
+  try {
+    return JSON.parse(window.localStorage.getItem(getStorageKey()) || '[]');
+  } catch (e) {
+    window.localStorage.removeItem(getStorageKey());
+    return [];
+  }
+}
+
+function setCompareItems(items) {
+  if (items.length) {
+    window.localStorage.setItem(getStorageKey(), JSON.stringify(items));
+  } else {
+    window.localStorage.removeItem(getStorageKey());
+  }
+  events.emit(COMPARE_EVENT, { items });
+}
+
+/**
+ * Checks if a product is compared.
+ * @param {string} sku - The product SKU
+ * @returns {boolean} True if the product is in the compare list
+ */
+export function isInCompare(sku) {
+  return getCompareItems().some((item) => item.sku === sku);
+}
+
+/**
+ * Adds a product to the compare list and emits `compare/updated`.
+ * @param {string} sku - The product SKU
+ * @returns {Promise<{ added: boolean, max: number }>} Whether the product was added,
+ * which is not the case when the limit of its attribute set is reached
+ */
+export async function addToCompare(sku) {
+  const max = getCompareMaxItems();
+  if (isInCompare(sku)) return { added: true, max };
+
+  const { data, errors } = await fetchGraphQl(GET_COMPARE_PRODUCT, {
+    method: 'GET',
+    variables: { sku },
+  });
+  if (errors?.length) {
+    throw new Error(errors.map(({ message }) => message).join(', '));
+  }
+
+  const product = data?.products?.items?.[0];
+  if (!product) {
+    throw new Error(`Product ${sku} not found`);
+  }
+
+  const items = getCompareItems();
+  const sameSet = items.filter((item) => item.attributeSetId === product.attribute_set_id);
+  if (sameSet.length >= max) return { added: false, max };
+
+  setCompareItems([...items, {
+    sku,
+    name: product.name,
+    urlKey: product.url_key,
+    image: product.small_image?.url,
+    attributeSetId: product.attribute_set_id,
+  }]);
+  return { added: true, max };
+}
+
+/**
+ * Removes a product from the compare list and emits `compare/updated`.
+ * @param {string} sku - The product SKU
+ */
+export function removeFromCompare(sku) {
+  setCompareItems(getCompareItems().filter((item) => item.sku !== sku));
+}
+
+/**
+ * Removes all products from the compare list and emits `compare/updated`.
+ */
+export function clearCompare() {
+  setCompareItems([]);
+}
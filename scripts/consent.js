@@ -0,0 +1,134 @@
+import { events } from '@dropins/tools/event-bus.js';
+import { getConfigValue } from '@dropins/tools/lib/aem/configs.js';
+
+/**
+ * Consent management.
+ *
+ * Stores the shopper's decision per topic in localStorage and notifies the
+ * rest of the storefront through the `consent/updated` event on the dropins
+ * event bus. Behavior is driven by the optional `consent` entry of config.json:
+ *
+ * {
+ *   "consent": {
+ *     "required": true,  // topics are denied until the shopper decides (e.g. EU)
+ *     "version": "2"     // bump to invalidate previously stored decisions
+ *   }
+ * }
+ *
+ * When `required` is not set, undecided topics are considered granted.
+ */
+
+export const CONSENT_STORAGE_KEY = 'consent';
+
+export const CONSENT_UPDATED_EVENT = 'consent/updated';
+
+/**
+ * Known consent topics.
+ */
+export const CONSENT_TOPICS = {
+  COLLECTION: 'commerce-collection',
+  RECOMMENDATIONS: 'commerce-recommendations',
+};
+
+/**
+ * Reads the consent configuration from config.json.
+ * @returns {{ required: boolean, version: string }} The consent configuration
+ */
+function getConsentConfig() {
+  let config;
+  try {
+    config = getConfigValue('consent');
+  } catch (e) {
+    // config not initialized yet
+  }
+  return {
+    required: config?.required === true || config?.required === 'true',
+    version: `${config?.version ?? '1'}`,
+  };
+}
+
+/**
+ * Reads the stored consent decision.
+ * @returns {Object|null} The stored decision, or null if missing, invalid or outdated
+ */
+function readDecision() {
+  try {
+    const decision = JSON.parse(window.localStorage.getItem(CONSENT_STORAGE_KEY));
+    if (!decision?.topics || decision.version !== getConsentConfig().version) {
+      return null;
+    }
+    return decision;
+  } catch (e) {
+    window.localStorage.removeItem(CONSENT_STORAGE_KEY);
+    return null;
+  }
+}
+
+/**
+ * Checks if the shopper has already made a consent decision.
+ * @returns {boolean} True if a (current) decision is stored
+ */
+export function hasConsentDecision() {
+  return !!readDecision();
+}
+
+/**
+ * Check if consent was given for a specific topic.
+ * @param {string} topic Topic identifier
+ * @returns {boolean} True if consent was given
+ */
+export function getConsent(topic) {
+  const decision = readDecision();
+  if (decision && topic in decision.topics) {
+    return decision.topics[topic] === true;
+  }
+  return !getConsentConfig().required;
+}
+
+/**
+ * Returns the effective consent state of all known topics.
+ * @returns {Object<string, boolean>} Map of topic to consent
+ */
+export function getConsentState() {
+  return Object.fromEntries(
+    Object.values(CONSENT_TOPICS).map((topic) => [topic, getConsent(topic)]),
+  );
+}
+
+/**
+ * Stores the shopper's consent decision and emits `consent/updated`.
+ * Topics that are not provided keep their current state.
+ * @param {Object<string, boolean>} topics Map of topic to consent
+ * @returns {Object} The event payload: `{ topics, granted, revoked }`
+ */
+export function setConsent(topics) {
+  const previous = getConsentState();
+  const next = { ...previous, ...topics };
+
+  window.localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify({
+    version: getConsentConfig().version,
+    date: new Date().toISOString(),
+    topics: next,
+  }));
+
+  const payload = {
+    topics: next,
+    granted: Object.keys(next).filter((topic) => next[topic] && !previous[topic]),
+    revoked: Object.keys(next).filter((topic) => !next[topic] && previous[topic]),
+  };
+
+  events.emit(CONSENT_UPDATED_EVENT, payload);
+
+  return payload;
+}
+
+/**
+ * Grants or denies all known topics at once.
+ * @param {boolean} value Whether consent is given
+ * @returns {Object} The event payload: `{ topics, granted, revoked }`
+ */
+export function setConsentForAll(value) {
+  return setConsent(Object.fromEntries(
+    Object.values(CONSENT_TOPICS).map((topic) => [topic, value]),
+  ));
+}
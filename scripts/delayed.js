@@ -1,14 +1,21 @@
 import { getConfigValue } from '@dropins/tools/lib/aem/configs.js';
+import { events } from '@dropins/tools/event-bus.js';
 import { getUserTokenCookie } from './initializers/index.js';
 import { getConsent } from './commerce.js';
+import { CONSENT_TOPICS, CONSENT_UPDATED_EVENT } from './consent.js';
+
+let analyticsInitialized = false;
 
 async function initAnalytics() {
+  if (analyticsInitialized) return;
+
   try {
     // Load Commerce events SDK and collector
     // only if "analytics" has been added to the config.
     const analyticsConfig = getConfigValue('analytics');
 
-    if (analyticsConfig && getConsent('commerce-collection')) {
+    if (analyticsConfig && getConsent(CONSENT_TOPICS.COLLECTION)) {
+      analyticsInitialized = true;
       window.adobeDataLayer.push(
         {
           storefrontInstanceContext: {
@@ -46,6 +53,24 @@ async function initAnalytics() {
   }
 }
 
+/**
+ * Starts or stops event forwarding when the collection consent changes.
+ * The collector drops events while `eventForwardingContext.commerce` is false.
+ */
+events.on(CONSENT_UPDATED_EVENT, ({ granted, revoked }) => {
+  if (revoked.includes(CONSENT_TOPICS.COLLECTION) && analyticsInitialized) {
+    window.adobeDataLayer.push({ eventForwardingContext: { commerce: false, aep: false } });
+  }
+
+  if (granted.includes(CONSENT_TOPICS.COLLECTION)) {
+    if (analyticsInitialized) {
+      window.adobeDataLayer.push({ eventForwardingContext: { commerce: true, aep: false } });
+    } else {
+      initAnalytics();
+    }
+  }
+});
+
 if (document.prerendering) {
   document.addEventListener('prerenderingchange', initAnalytics, { once: true });
 } else {
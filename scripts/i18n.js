@@ -0,0 +1,175 @@
+import { getConfigValue, getRootPath } from '@dropins/tools/lib/aem/configs.js';
+
+/**
+ * Locale helpers for multi-locale storefronts.
+ *
+ * The locale comes from the `locale` config value of the store, or from the
+ * first segment of its root path (e.g. "/fr-ca/" → "fr-CA"), or of the page
+ * path until the config is loaded.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+const LOCALE_PATTERN = /^([a-z]{2,3})(?:[-_]([a-z]{2}))?$/i;
+
+// locales in page paths, e.g. "/fr-ca/products/…", stricter not to take "/faq/" for a language
+const PATH_LOCALE_PATTERN = /^[a-z]{2}(?:[-_][a-z]{2})?$/i;
+
+const RTL_LANGUAGES = ['ar', 'dv', 'fa', 'he', 'ps', 'ur', 'yi'];
+
+/**
+ * Normalizes a locale, e.g. "fr_ca" → "fr-CA".
+ * @param {string} locale - The locale
+ * @returns {string|null} The normalized locale, or null if it is not a locale
+ */
+function normalizeLocale(locale) {
+  const match = `${locale ?? ''}`.trim().match(LOCALE_PATTERN);
+  if (!match) return null;
+  const [, language, region] = match;
+  return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+}
+
+/**
+ * Returns the locale of the current store.
+ * @returns {string} The locale, e.g. "fr-CA"
+ */
+export function getLocale() {
+  try {
+    const configured = normalizeLocale(getConfigValue('locale'));
+    if (configured) return configured;
+
+    const [segment] = getRootPath().split('/').filter(Boolean);
+    return normalizeLocale(segment) ?? DEFAULT_LOCALE;
+  } catch (e) {
+    // config not initialized yet
+    const [segment] = window.location.pathname.split('/').filter(Boolean);
+    return PATH_LOCALE_PATTERN.test(segment) ? normalizeLocale(segment) : DEFAULT_LOCALE;
+  }
+}
+
+/**
+ * Returns the locales to look up translations in, most specific first.
+ * @param {string} [locale] - The locale, defaults to the store locale
+ * @returns {string[]} The locales, e.g. ["fr-CA", "fr", "en"]
+ */
+export function getLocaleFallbackChain(locale = getLocale()) {
+  const [language] = locale.split('-');
+  return [...new Set([locale, language, DEFAULT_LOCALE])];
+}
+
+/**
+ * Returns the root paths holding the content of each locale of the fallback chain,
+ * most specific first, e.g. ["/fr-ca/", "/fr/", "/"].
+ * @returns {string[]} The root paths
+ */
+export function getLocaleRootPaths() {
+  const rootPath = getRootPath();
+  const [segment] = rootPath.split('/').filter(Boolean);
+  const [locale, ...fallbacks] = getLocaleFallbackChain();
+
+  // the locale is not part of the root path, only the default content can be used
+  if (normalizeLocale(segment) !== locale) return [...new Set([rootPath, '/'])];
+
+  return [...new Set([
+    rootPath,
+    ...fallbacks.map((fallback) => (fallback === DEFAULT_LOCALE
+      ? '/'
+      : rootPath.replace(`/${segment}/`, `/${fallback.toLowerCase()}/`))),
+  ])];
+}
+
+/**
+ * Returns the text direction of a locale.
+ * @param {string} [locale] - The locale, defaults to the store locale
+ * @returns {'ltr'|'rtl'} The text direction
+ */
+export function getTextDirection(locale = getLocale()) {
+  const [language] = locale.split('-');
+  return RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Finds the index of the brace closing the one at the given position.
+ * @returns {number} The index, or -1 if the brace is not closed
+ */
+function findClosingBrace(message, start) {
+  let depth = 0;
+  for (let i = start; i < message.length; i += 1) {
+    if (message[i] === '{') depth += 1;
+    if (message[i] === '}') {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parses the options of a plural or select argument, e.g. "one {# item} other {# items}".
+ * @returns {Object} The option texts, by key
+ */
+function parseOptions(text) {
+  const options = {};
+  let i = 0;
+  while (i < text.length) {
+    const open = text.indexOf('{', i);
+    if (open === -1) break;
+    const close = findClosingBrace(text, open);
+    if (close === -1) break;
+    options[text.slice(i, open).trim()] = text.slice(open + 1, close);
+    i = close + 1;
+  }
+  return options;
+}
+
+/**
+ * Formats a message with ICU-style arguments:
+ * - `{name}` is replaced with the value
+ * - `{count, plural, =0 {No items} one {# item} other {# items}}` picks the plural form
+ * - `{type, select, simple {...} other {...}}` picks the option matching the value
+ * @param {string} message - The message, e.g. a placeholder
+ * @param {Object} [values] - The argument values
+ * @param {string} [locale] - The locale, defaults to the store locale
+ * @returns {string} The formatted message
+ */
+export function formatMessage(message, values = {}, locale = getLocale()) {
+  if (!message) return message ?? '';
+
+  let result = '';
+  let i = 0;
+  while (i < message.length) {
+    const open = message.indexOf('{', i);
+    const close = open === -1 ? -1 : findClosingBrace(message, open);
+    if (close === -1) {
+      result += message.slice(i);
+      break;
+    }
+    result += message.slice(i, open);
+
+    const argument = message.slice(open + 1, close);
+    const [name, type, ...rest] = argument.split(',');
+    const key = name.trim();
+    const value = values[key];
+
+    if (!type) {
+      result += value ?? `{${argument}}`;
+    } else {
+      const options = parseOptions(rest.join(','));
+      let option;
+      if (type.trim() === 'plural') {
+        const count = Number(value);
+        option = options[`=${count}`]
+          ?? options[new Intl.PluralRules(locale).select(count)]
+          ?? options.other
+          ?? '';
+        option = option.replace(/#/g, new Intl.NumberFormat(locale).format(count));
+      } else {
+        option = options[value] ?? options.other ?? '';
+      }
+      result += formatMessage(option, values, locale);
+    }
+
+    i = close + 1;
+  }
+  return result;
+}
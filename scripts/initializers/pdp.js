@@ -16,6 +16,7 @@ import {
   loadErrorPage,
   preloadFile,
 } from '../commerce.js';
+import { registerProduct } from '../age-restriction.js';
 
 export const IMAGES_SIZES = {
   width: 960,
@@ -61,6 +62,9 @@ await initializeDropin(async () => {
     return loadErrorPage();
   }
 
+  // Keep the age restriction attribute, which may not be visible on the PDP
+  registerProduct(product);
+
   const langDefinitions = {
     default: {
       ...labels,
@@ -3,6 +3,7 @@ import { initializers } from '@dropins/tools/initializer.js';
 import { initialize, setFetchGraphQlHeaders } from '@dropins/storefront-wishlist/api.js';
 import { initializeDropin } from './index.js';
 import { fetchPlaceholders } from '../commerce.js';
+import '../wishlist-merge.js';
 
 await initializeDropin(async () => {
   setFetchGraphQlHeaders(await getHeaders('wishlist'));
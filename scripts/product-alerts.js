@@ -0,0 +1,133 @@
+import { getConfigValue } from '@dropins/tools/lib/aem/configs.js';
+import { checkIsAuthenticated } from './commerce.js';
+
+/**
+ * Back-in-stock and price-drop alerts.
+ *
+ * Adobe Commerce has no storefront API for product alerts, so they are sent to the
+ * webhook of the `product-alerts` entry of config.json, and are only enabled with it:
+ * { "endpoint": "https://example.com/product-alerts" }
+ *
+ * The webhook receives a JSON POST { type, sku, email, subscribe, storeViewCode }
+ * and answers 2xx on success.
+ *
+ * The price-drop alerts of the shopper are remembered per store view in localStorage,
+ * as the webhook does not list them.
+ */
+
+export const ALERT_TYPES = {
+  STOCK: 'stock',
+  PRICE: 'price',
+};
+
+function getStoreViewCode() {
+  return getConfigValue('headers.cs.Magento-Store-View-Code');
+}
+
+function getStorageKey() {
+  return `${getStoreViewCode()}:priceAlerts`;
+}
+
+/**
+ * Returns the product alerts configuration, or null if they are not enabled.
+ * @returns {{ endpoint: string }|null} The configuration
+ */
+export function getProductAlertsConfig() {
+  let config;
+  try {
+    config = getConfigValue('product-alerts');
+  } catch (e) {
+    // config not initialized yet
+  }
+  return config?.endpoint ? config : null;
+}
+
+async function sendWithEndpoint(alert, endpoint) {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...alert, storeViewCode: getStoreViewCode() }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to save the product alert: HTTP ${response.status} ${response.statusText}`);
+  }
+}
+
+/**
+ * Returns the price-drop alerts of the shopper.
+ * @returns {Object[]} The alerts ({ sku, email })
+ */
+export function getPriceAlerts() {
+  try {
+    return JSON.parse(window.localStorage.getItem(getStorageKey()) || '[]');
+  } catch (e) {
+    window.localStorage.removeItem(getStorageKey());
+    return [];
+  }
+}
+
+/**
+ * Returns the price-drop alert of a product, if any.
+ * @param {string} sku - The SKU of the product, or of the variant
+ * @returns {Object|undefined} The alert ({ sku, email })
+ */
+export function getPriceAlert(sku) {
+  return getPriceAlerts().find((alert) => alert.sku === sku);
+}
+
+function storePriceAlert(sku, email, subscribe) {
+  const alerts = getPriceAlerts().filter((alert) => alert.sku !== sku);
+  if (subscribe) alerts.push({ sku, email });
+  window.localStorage.setItem(getStorageKey(), JSON.stringify(alerts));
+}
+
+/**
+ * Subscribes to, or unsubscribes from, an alert of a product.
+ * @param {Object} alert
+ * @param {string} alert.type - One of ALERT_TYPES
+ * @param {string} alert.sku - The SKU of the product, or of the variant
+ * @param {string} alert.email - The email address to notify
+ * @param {boolean} [alert.subscribe] - False to unsubscribe
+ * @returns {Promise<void>}
+ */
+export async function setProductAlert({
+  type,
+  sku,
+  email,
+  subscribe = true,
+}) {
+  const config = getProductAlertsConfig();
+  if (!config) {
+    throw new Error('Product alerts are not enabled');
+  }
+
+  const alert = {
+    type,
+    sku,
+    email,
+    subscribe,
+  };
+  await sendWithEndpoint(alert, config.endpoint);
+
+  if (type === ALERT_TYPES.PRICE) {
+    storePriceAlert(sku, email, subscribe);
+  }
+}
+
+/**
+ * Returns the email address of the signed in customer, to prefill the alert forms.
+ * @returns {Promise<string>} The email address, empty for guests
+ */
+export async function getCustomerEmail() {
+  if (!checkIsAuthenticated()) return '';
+  try {
+    await import('./initializers/account.js');
+    const { getCustomer } = await import('@dropins/storefront-account/api.js');
+    const customer = await getCustomer();
+    return customer?.email ?? '';
+  } catch (error) {
+    console.warn('Could not load the customer email', error);
+    return '';
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * Builds the schema.org JSON-LD of products.
+ *
+ * Shared by the product details block and the tools/pdp-metadata generator, so the
+ * JSON-LD rendered on the page and the one imported as metadata stay consistent.
+ * This module must not depend on the browser or on dropins.
+ *
+ * The optional enrichments are driven by the storefront config:
+ * - `product-schema`: `gtin-attribute`, `mpn-attribute`, `price-valid-days` or
+ *   `price-valid-until`, and `reviews-provider` (used by the product details block)
+ * - `shipping`: `rate`, `currency`, `countries`, `handling-days` and `transit-days` ([min, max])
+ * - `returns`: `enabled`, `days`, `method` (mail, in-store), `fees` (free, customer)
+ *   and `countries`
+ */
+
+const SCHEMA = 'http://schema.org';
+const IN_STOCK = `${SCHEMA}/InStock`;
+const OUT_OF_STOCK = `${SCHEMA}/OutOfStock`;
+
+const RETURN_METHODS = {
+  mail: `${SCHEMA}/ReturnByMail`,
+  'in-store': `${SCHEMA}/ReturnInStore`,
+  kiosk: `${SCHEMA}/ReturnAtKiosk`,
+};
+
+const RETURN_FEES = {
+  free: `${SCHEMA}/FreeReturn`,
+  customer: `${SCHEMA}/ReturnFeesCustomerResponsibility`,
+  restocking: `${SCHEMA}/RestockingFees`,
+};
+
+function getAttributeValue(attributes, name) {
+  if (!name) return undefined;
+  return attributes?.find((attr) => attr.name === name || attr.id === name)?.value || undefined;
+}
+
+/**
+ * Returns the GTIN of a product, with the property matching its length (e.g. gtin13).
+ */
+function getGtin(value) {
+  const gtin = `${value}`.replace(/\s/g, '');
+  const property = [8, 12, 13, 14].includes(gtin.length) ? `gtin${gtin.length}` : 'gtin';
+  return { [property]: gtin };
+}
+
+/**
+ * Returns the date until which the prices are valid, as YYYY-MM-DD.
+ */
+function getPriceValidUntil(config, now) {
+  if (config?.['price-valid-until']) {
+    return config['price-valid-until'];
+  }
+  const days = Number(config?.['price-valid-days']);
+  if (!days) return undefined;
+  const date = new Date(now);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function getDays([min, max] = []) {
+  return {
+    '@type': 'QuantitativeValue',
+    minValue: Number(min),
+    maxValue: Number(max ?? min),
+    unitCode: 'DAY',
+  };
+}
+
+function toArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : `${value}`.split(',').map((item) => item.trim());
+}
+
+/**
+ * Builds the OfferShippingDetails from the shipping config.
+ * @param {Object} [shipping] - The shipping config
+ * @param {string} [currency] - The currency of the offer, if the config has none
+ * @returns {Object|undefined} The OfferShippingDetails
+ */
+export function buildShippingDetails(shipping, currency) {
+  if (!shipping || shipping.rate === undefined) return undefined;
+
+  const details = {
+    '@type': 'OfferShippingDetails',
+    shippingRate: {
+      '@type': 'MonetaryAmount',
+      value: Number(shipping.rate),
+      currency: shipping.currency || currency,
+    },
+    shippingDestination: toArray(shipping.countries).map((country) => ({
+      '@type': 'DefinedRegion',
+      addressCountry: country,
+    })),
+  };
+
+  if (shipping['handling-days'] || shipping['transit-days']) {
+    details.deliveryTime = {
+      '@type': 'ShippingDeliveryTime',
+      ...(shipping['handling-days'] && { handlingTime: getDays(toArray(shipping['handling-days'])) }),
+      ...(shipping['transit-days'] && { transitTime: getDays(toArray(shipping['transit-days'])) }),
+    };
+  }
+
+  return details;
+}
+
+/**
+ * Builds the MerchantReturnPolicy from the returns config.
+ * @param {Object} [returns] - The returns config
+ * @returns {Object|undefined} The MerchantReturnPolicy
+ */
+export function buildReturnPolicy(returns) {
+  if (!returns) return undefined;
+
+  const policy = {
+    '@type': 'MerchantReturnPolicy',
+    applicableCountry: toArray(returns.countries),
+  };
+
+  if (returns.enabled === false || !Number(returns.days)) {
+    return { ...policy, returnPolicyCategory: `${SCHEMA}/MerchantReturnNotPermitted` };
+  }
+
+  return {
+    ...policy,
+    returnPolicyCategory: `${SCHEMA}/MerchantReturnFiniteReturnWindow`,
+    merchantReturnDays: Number(returns.days),
+    returnMethod: RETURN_METHODS[returns.method] ?? RETURN_METHODS.mail,
+    returnFees: RETURN_FEES[returns.fees] ?? RETURN_FEES.free,
+  };
+}
+
+/**
+ * Builds the aggregateRating and review properties from the data of a reviews provider.
+ * @param {Object} [rating] - { ratingValue, reviewCount, bestRating, worstRating, reviews }
+ * @returns {Object} The properties, empty without reviews
+ */
+export function buildRating(rating) {
+  if (!rating?.reviewCount) return {};
+
+  const { bestRating = 5, worstRating = 1 } = rating;
+  return {
+    aggregateRating: {
+      '@type': 'AggregateRating',
+      ratingValue: rating.ratingValue,
+      reviewCount: rating.reviewCount,
+      bestRating,
+      worstRating,
+    },
+    ...(rating.reviews?.length && {
+      review: rating.reviews.map((review) => ({
+        '@type': 'Review',
+        ...(review.name && { name: review.name }),
+        author: { '@type': 'Person', name: review.author },
+        reviewRating: {
+          '@type': 'Rating',
+          ratingValue: review.ratingValue,
+          bestRating,
+          worstRating,
+        },
+        ...(review.reviewBody && { reviewBody: review.reviewBody }),
+        ...(review.datePublished && { datePublished: review.datePublished }),
+      })),
+    }),
+  };
+}
+
+/**
+ * Builds the schema.org Product of a product.
+ * @param {Object} product - The product
+ * @param {string} product.sku - The SKU
+ * @param {string} product.name - The name
+ * @param {string} [product.description] - The description
+ * @param {string} [product.image] - The URL of the main image
+ * @param {string} product.url - The URL of the product page
+ * @param {boolean} [product.inStock] - Whether the product is in stock
+ * @param {Object} [product.price] - The (minimum) final price ({ value, currency })
+ * @param {Object[]} [product.attributes] - The attributes ({ name, value })
+ * @param {Object[]} [product.variants] - The variants ({ sku, name, image, inStock, price })
+ * @param {Object} [options]
+ * @param {Object} [options.config] - The `product-schema` config
+ * @param {Object} [options.shipping] - The `shipping` config
+ * @param {Object} [options.returns] - The `returns` config
+ * @param {Object} [options.rating] - The rating and reviews, see buildRating()
+ * @param {Date} [options.now] - The current date, used for the price validity
+ * @returns {Object} The schema.org Product
+ */
+export function buildProductSchema(product, {
+  config,
+  shipping,
+  returns,
+  rating,
+  now = new Date(),
+} = {}) {
+  const brand = getAttributeValue(product.attributes, 'brand');
+  const gtin = getAttributeValue(product.attributes, config?.['gtin-attribute']);
+  const mpn = getAttributeValue(product.attributes, config?.['mpn-attribute']);
+
+  const schema = {
+    '@context': SCHEMA,
+    '@type': 'Product',
+    name: product.name,
+    description: product.description,
+    image: product.image,
+    offers: [],
+    productID: product.sku,
+    sku: product.sku,
+    url: product.url,
+    '@id': product.url,
+    ...(brand && { brand: { '@type': 'Brand', name: brand } }),
+    ...(gtin && getGtin(gtin)),
+    ...(mpn && { mpn }),
+    ...buildRating(rating),
+  };
+
+  const priceValidUntil = getPriceValidUntil(config, now);
+  const returnPolicy = buildReturnPolicy(returns);
+  const offerDetails = (currency) => {
+    const shippingDetails = buildShippingDetails(shipping, currency);
+    return {
+      ...(priceValidUntil && { priceValidUntil }),
+      ...(shippingDetails && { shippingDetails }),
+      ...(returnPolicy && { hasMerchantReturnPolicy: returnPolicy }),
+    };
+  };
+
+  const variants = product.variants ?? [];
+  if (variants.length > 1) {
+    // complex products
+    schema.offers.push(...variants.map((variant) => ({
+      '@type': 'Offer',
+      name: variant.name,
+      image: variant.image,
+      price: variant.price?.value,
+      priceCurrency: variant.price?.currency,
+      availability: variant.inStock ? IN_STOCK : OUT_OF_STOCK,
+      sku: variant.sku,
+      ...offerDetails(variant.price?.currency),
+    })));
+  } else if (product.price?.value !== undefined) {
+    // simple products
+    schema.offers.push({
+      '@type': 'Offer',
+      price: product.price.value,
+      priceCurrency: product.price.currency,
+      availability: product.inStock ? IN_STOCK : OUT_OF_STOCK,
+      ...offerDetails(product.price.currency),
+    });
+  }
+
+  return schema;
+}
+
+/**
+ * Builds the schema.org BreadcrumbList of a path.
+ * @param {Object[]} items - The crumbs, from the root ({ name, url })
+ * @returns {Object|null} The BreadcrumbList, null without crumbs
+ */
+export function buildBreadcrumbSchema(items) {
+  if (!items?.length) return null;
+
+  return {
+    '@context': SCHEMA,
+    '@type': 'BreadcrumbList',
+    itemListElement: items.map(({ name, url }, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      name,
+      ...(url && { item: url }),
+    })),
+  };
+}
+
+/**
+ * Builds the schema.org ItemList of a list of products, e.g. a category page.
+ * @param {Object[]} items - The products ({ name, url })
+ * @param {number} [offset] - The number of products listed before, e.g. on previous pages
+ * @returns {Object} The ItemList
+ */
+export function buildItemListSchema(items, offset = 0) {
+  return {
+    '@context': SCHEMA,
+    '@type': 'ItemList',
+    numberOfItems: items.length,
+    itemListElement: items.map(({ name, url }, i) => ({
+      '@type': 'ListItem',
+      position: offset + i + 1,
+      name,
+      url,
+    })),
+  };
+}
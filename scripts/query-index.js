@@ -0,0 +1,258 @@
+import { fetchIndex } from './commerce.js';
+
+/**
+ * Query index client, built on `fetchIndex()`.
+ *
+ * Loads all pages of an index, caches the entries in sessionStorage and parses
+ * array-valued columns (e.g. `["SKU-1","SKU-2"]`) so blocks can filter them.
+ *
+ * @example
+ * const fragments = await queryIndex('enrichment/enrichment')
+ *   .where({ products: sku, positions: 'below' })
+ *   .sortBy('title')
+ *   .limit(5)
+ *   .all();
+ */
+
+export const INDEX_CACHE_PREFIX = 'query-index:';
+
+// Cached entries are used without checking the index for changes during this time
+export const INDEX_CACHE_TTL = 5 * 60 * 1000;
+
+// Entries loaded during this page view, by index file
+const loadedIndexes = new Map();
+
+/**
+ * Parses an index value: JSON arrays are turned into arrays, everything else
+ * is left untouched.
+ * @param {*} value - The raw value
+ * @returns {*} The parsed value
+ */
+function parseValue(value) {
+  if (typeof value !== 'string') return value;
+  const trimmed = value.trim();
+  if (!trimmed.startsWith('[') || !trimmed.endsWith(']')) return value;
+  try {
+    const parsed = JSON.parse(trimmed);
+    return Array.isArray(parsed) ? parsed : value;
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Parses all columns of an index entry.
+ * @param {Object} entry - The raw index entry
+ * @returns {Object} The parsed entry
+ */
+export function parseEntry(entry) {
+  return Object.fromEntries(
+    Object.entries(entry).map(([key, value]) => [key, parseValue(value)]),
+  );
+}
+
+function readCache(indexFile) {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(`${INDEX_CACHE_PREFIX}${indexFile}`));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeCache(indexFile, cache) {
+  try {
+    window.sessionStorage.setItem(`${INDEX_CACHE_PREFIX}${indexFile}`, JSON.stringify(cache));
+  } catch (e) {
+    // storage is full or disabled, the index is fetched again next time
+  }
+}
+
+/**
+ * Reads the last modification date of an index, without loading it.
+ * @param {string} indexFile - The index file
+ * @returns {Promise<string|null>} The Last-Modified header
+ */
+async function fetchLastModified(indexFile) {
+  const resp = await fetch(`/${indexFile}.json?limit=1`);
+  return resp.ok ? resp.headers.get('last-modified') : null;
+}
+
+async function fetchAll(indexFile, pageSize) {
+  // start over, the index may have changed since it was loaded
+  if (window.index?.[indexFile]?.complete) delete window.index[indexFile];
+
+  let index = await fetchIndex(indexFile, pageSize);
+  while (!index.complete) {
+    // eslint-disable-next-line no-await-in-loop
+    index = await fetchIndex(indexFile, pageSize);
+  }
+  return index;
+}
+
+/**
+ * Loads all entries of an index, from the session cache when it is still fresh.
+ * @param {string} indexFile - The index file, e.g. "sitemap" or "enrichment/enrichment"
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - Time in ms the cache is used without revalidation
+ * @param {number} [options.pageSize] - The page size used to load the index
+ * @returns {Promise<Object[]>} The parsed entries
+ */
+export function loadIndex(indexFile, { ttl = INDEX_CACHE_TTL, pageSize } = {}) {
+  if (loadedIndexes.has(indexFile)) return loadedIndexes.get(indexFile);
+
+  const promise = (async () => {
+    const cache = readCache(indexFile);
+
+    if (cache) {
+      if (Date.now() - cache.timestamp < ttl) return cache.data;
+
+      // revalidate: keep the cache if the index has not changed
+      const lastModified = await fetchLastModified(indexFile).catch(() => null);
+      if (lastModified && lastModified === cache.lastModified) {
+        writeCache(indexFile, { ...cache, timestamp: Date.now() });
+        return cache.data;
+      }
+    }
+
+    const index = await fetchAll(indexFile, pageSize);
+    const data = index.data.map(parseEntry);
+    writeCache(indexFile, { timestamp: Date.now(), lastModified: index.lastModified, data });
+    return data;
+  })();
+
+  loadedIndexes.set(indexFile, promise);
+  // allow a retry if the index failed to load
+  promise.catch(() => loadedIndexes.delete(indexFile));
+
+  return promise;
+}
+
+/**
+ * Iterates over the entries of an index, loading the pages only as needed.
+ * @param {string} indexFile - The index file
+ * @param {Object} [options]
+ * @param {number} [options.pageSize] - The page size used to load the index
+ * @yields {Object} The parsed entries
+ */
+export async function* iterateIndex(indexFile, { pageSize } = {}) {
+  let position = 0;
+  let index;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    index = await fetchIndex(indexFile, pageSize);
+    while (position < index.data.length) {
+      yield parseEntry(index.data[position]);
+      position += 1;
+    }
+  } while (!index.complete);
+}
+
+/**
+ * Checks if an entry matches a filter value. Array columns match if they
+ * contain the value, an array of values matches any of them.
+ */
+function matches(entryValue, filterValue) {
+  if (typeof filterValue === 'function') return filterValue(entryValue);
+  if (Array.isArray(filterValue)) return filterValue.some((value) => matches(entryValue, value));
+  if (Array.isArray(entryValue)) return entryValue.includes(filterValue);
+  return entryValue === filterValue;
+}
+
+/**
+ * Chainable query over the entries of an index.
+ */
+class IndexQuery {
+  constructor(indexFile, options) {
+    this.indexFile = indexFile;
+    this.options = options;
+    this.filters = [];
+    this.sorters = [];
+    this.offsetValue = 0;
+    this.limitValue = Infinity;
+  }
+
+  /**
+   * Keeps the entries matching a predicate, or all the columns of a filter object.
+   * @param {Function|Object} filter - e.g. `{ products: 'SKU-1', template: ['blog', 'news'] }`
+   * @returns {IndexQuery} The query
+   */
+  where(filter) {
+    if (typeof filter === 'function') {
+      this.filters.push(filter);
+    } else {
+      this.filters.push((entry) => Object.entries(filter)
+        .every(([key, value]) => matches(entry[key], value)));
+    }
+    return this;
+  }
+
+  /**
+   * Sorts the entries by a column, or with a compare function.
+   * @param {string|Function} key - The column, or a compare function
+   * @param {'asc'|'desc'} [direction] - The sort direction
+   * @returns {IndexQuery} The query
+   */
+  sortBy(key, direction = 'asc') {
+    if (typeof key === 'function') {
+      this.sorters.push(key);
+      return this;
+    }
+    const order = direction === 'desc' ? -1 : 1;
+    this.sorters.push((a, b) => {
+      const [valueA, valueB] = [a[key], b[key]];
+      if (valueA === valueB) return 0;
+      if (valueA === undefined || valueA === '') return 1;
+      if (valueB === undefined || valueB === '') return -1;
+      const numeric = !Number.isNaN(Number(valueA)) && !Number.isNaN(Number(valueB));
+      const result = numeric
+        ? Number(valueA) - Number(valueB)
+        : `${valueA}`.localeCompare(`${valueB}`);
+      return result * order;
+    });
+    return this;
+  }
+
+  /**
+   * Limits the number of entries returned.
+   * @param {number} limit - The maximum number of entries
+   * @param {number} [offset] - The number of entries to skip
+   * @returns {IndexQuery} The query
+   */
+  limit(limit, offset = 0) {
+    this.limitValue = limit;
+    this.offsetValue = offset;
+    return this;
+  }
+
+  /**
+   * Runs the query.
+   * @returns {Promise<Object[]>} The matching entries
+   */
+  async all() {
+    const data = await loadIndex(this.indexFile, this.options);
+    const filtered = data.filter((entry) => this.filters.every((filter) => filter(entry)));
+    if (this.sorters.length) {
+      filtered.sort((a, b) => this.sorters.reduce((result, sorter) => result || sorter(a, b), 0));
+    }
+    return filtered.slice(this.offsetValue, this.offsetValue + this.limitValue);
+  }
+
+  /**
+   * Runs the query and returns the first matching entry.
+   * @returns {Promise<Object|undefined>} The entry
+   */
+  async first() {
+    const [entry] = await this.limit(1, this.offsetValue).all();
+    return entry;
+  }
+}
+
+/**
+ * Starts a query over the entries of an index.
+ * @param {string} indexFile - The index file
+ * @param {Object} [options] - Options passed to `loadIndex()`
+ * @returns {IndexQuery} The query
+ */
+export function queryIndex(indexFile, options = {}) {
+  return new IndexQuery(indexFile, options);
+}
@@ -0,0 +1,202 @@
+import { events } from '@dropins/tools/event-bus.js';
+import { getConfigValue } from '@dropins/tools/lib/aem/configs.js';
+import { checkIsAuthenticated } from './commerce.js';
+import { getUserTokenCookie } from './initializers/index.js';
+
+/**
+ * "Save for later" list of the cart, kept apart from the wishlist.
+ *
+ * Guests keep the list per store view in localStorage. Signed in customers keep it on the
+ * server given by the `saved-for-later` entry of config.json:
+ * { "endpoint": "https://example.com/saved-for-later" }
+ * which is called with the customer token as `Authorization: Bearer <token>`, answers
+ * GET with { items } and saves the list of a JSON PUT { items, storeViewCode }; the
+ * items are { sku, quantity, optionsUIDs }.
+ *
+ * Without endpoint, save for later is not available to signed in customers, see
+ * isSavedForLaterAvailable(). The guest list is merged into the customer list on sign in.
+ */
+
+export const SAVED_FOR_LATER_EVENT = 'cart/saved-for-later';
+
+function getStoreViewCode() {
+  return getConfigValue('headers.cs.Magento-Store-View-Code');
+}
+
+function getGuestStorageKey() {
+  return `${getStoreViewCode()}:savedForLater`;
+}
+
+function getSavedForLaterEndpoint() {
+  try {
+    return getConfigValue('saved-for-later')?.endpoint;
+  } catch (e) {
+    // config not initialized yet
+    return undefined;
+  }
+}
+
+function readItems(storage, key) {
+  try {
+    return JSON.parse(storage.getItem(key) || '[]');
+  } catch (e) {
+    storage.removeItem(key);
+    return [];
+  }
+}
+
+function writeItems(storage, key, items) {
+  if (items.length) {
+    storage.setItem(key, JSON.stringify(items));
+  } else {
+    storage.removeItem(key);
+  }
+}
+
+function toItems(items) {
+  return (items ?? []).filter((item) => item?.sku).map((item) => ({
+    sku: item.sku,
+    quantity: Number(item.quantity) || 1,
+    optionsUIDs: item.optionsUIDs ?? [],
+  }));
+}
+
+async function callEndpoint(endpoint, method, body) {
+  const response = await fetch(endpoint, {
+    method,
+    headers: {
+      Authorization: `Bearer ${getUserTokenCookie()}`,
+      ...(body && { 'Content-Type': 'application/json' }),
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  if (!response.ok) {
+    throw new Error(`Saved for later request failed: HTTP ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+async function getCustomerItems() {
+  const endpoint = getSavedForLaterEndpoint();
+  if (!endpoint) return [];
+
+  const url = new URL(endpoint);
+  url.searchParams.set('storeViewCode', getStoreViewCode());
+  const { items } = await callEndpoint(url.toString(), 'GET');
+  return toItems(items);
+}
+
+async function setCustomerItems(items) {
+  const endpoint = getSavedForLaterEndpoint();
+  if (!endpoint) {
+    throw new Error('Saved for later of customers requires the saved-for-later endpoint');
+  }
+
+  const { items: saved } = await callEndpoint(endpoint, 'PUT', {
+    items,
+    storeViewCode: getStoreViewCode(),
+  });
+  return saved ? toItems(saved) : items;
+}
+
+/**
+ * Checks if the shopper can save products for later: guests always can, signed in
+ * customers only with the `saved-for-later` endpoint, which keeps their list.
+ * @returns {boolean} True if save for later is available
+ */
+export function isSavedForLaterAvailable() {
+  return !checkIsAuthenticated() || !!getSavedForLaterEndpoint();
+}
+
+/**
+ * Checks if two saved items are the same product, with the same options.
+ * @param {Object} a - A saved item ({ sku, optionsUIDs })
+ * @param {Object} b - Another saved item
+ * @returns {boolean} True if they are the same
+ */
+export function isSameSavedItem(a, b) {
+  const uids = (item) => JSON.stringify([...(item.optionsUIDs ?? [])].filter(Boolean).sort());
+  return a.sku === b.sku && uids(a) === uids(b);
+}
+
+/**
+ * Returns the saved items.
+ * @returns {Promise<Object[]>} The items ({ sku, quantity, optionsUIDs })
+ */
+export async function getSavedForLater() {
+  if (!checkIsAuthenticated()) return readItems(window.localStorage, getGuestStorageKey());
+  return getCustomerItems();
+}
+
+async function setSavedForLater(items) {
+  let saved = items;
+  if (checkIsAuthenticated()) {
+    saved = await setCustomerItems(items);
+  } else {
+    writeItems(window.localStorage, getGuestStorageKey(), items);
+  }
+
+  events.emit(SAVED_FOR_LATER_EVENT, saved);
+  return saved;
+}
+
+/**
+ * Saves a product for later and emits `cart/saved-for-later`. The quantities of a product
+ * saved twice are added up.
+ * @param {Object} item - The product ({ sku, quantity, optionsUIDs })
+ * @returns {Promise<Object[]>} The saved items
+ */
+export async function saveForLater({ sku, quantity = 1, optionsUIDs = [] }) {
+  const items = await getSavedForLater();
+  const existing = items.find((saved) => isSameSavedItem(saved, { sku, optionsUIDs }));
+  return setSavedForLater(existing
+    ? items.map((saved) => (saved === existing
+      ? { ...saved, quantity: saved.quantity + quantity }
+      : saved))
+    : [{ sku, quantity, optionsUIDs }, ...items]);
+}
+
+/**
+ * Undoes saveForLater(): takes the quantity back, and removes the product once none is left.
+ * Emits `cart/saved-for-later`.
+ * @param {Object} item - The product ({ sku, quantity, optionsUIDs }), as it was saved
+ * @returns {Promise<Object[]>} The saved items
+ */
+export async function undoSaveForLater({ sku, quantity = 1, optionsUIDs = [] }) {
+  const items = await getSavedForLater();
+  return setSavedForLater(items
+    .map((saved) => (isSameSavedItem(saved, { sku, optionsUIDs })
+      ? { ...saved, quantity: saved.quantity - quantity }
+      : saved))
+    .filter((saved) => saved.quantity > 0));
+}
+
+/**
+ * Removes a product from the saved items and emits `cart/saved-for-later`.
+ * @param {Object} item - The saved item ({ sku, optionsUIDs })
+ * @returns {Promise<Object[]>} The saved items
+ */
+export async function removeSavedForLater(item) {
+  const items = await getSavedForLater();
+  return setSavedForLater(items.filter((saved) => !isSameSavedItem(saved, item)));
+}
+
+events.on('authenticated', async (authenticated) => {
+  // merge the list of the guest into the list of the customer
+  if (!authenticated || !getSavedForLaterEndpoint()) return;
+
+  const guestItems = readItems(window.localStorage, getGuestStorageKey());
+  if (!guestItems.length) return;
+
+  try {
+    const items = await getCustomerItems();
+    const merged = guestItems.reduce((list, guestItem) => {
+      const existing = list.find((saved) => isSameSavedItem(saved, guestItem));
+      return existing ? list : [...list, guestItem];
+    }, items);
+    await setSavedForLater(merged);
+    writeItems(window.localStorage, getGuestStorageKey(), []);
+  } catch (error) {
+    console.error('Could not merge the saved for later items', error);
+  }
+}, { eager: true });
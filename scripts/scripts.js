@@ -11,6 +11,7 @@ import {
   loadSection,
   loadSections,
   loadCSS,
+  getMetadata,
 } from './aem.js';
 import {
   loadCommerceEager,
@@ -20,6 +21,7 @@ import {
   decorateLinks,
   loadErrorPage,
 } from './commerce.js';
+import { getLocale, getTextDirection } from './i18n.js';
 
 /**
  * Builds hero block and prepends to main in a new section.
@@ -36,6 +38,21 @@ function buildHeroBlock(main) {
   }
 }
 
+/**
+ * Builds the breadcrumbs block, when enabled by the "breadcrumbs" metadata,
+ * and prepends it to main in a new section. The section is not the LCP section:
+ * it is loaded alongside the first content section, see loadEager().
+ * @param {Element} main The container element
+ */
+function buildBreadcrumbsBlock(main) {
+  if (getMetadata('breadcrumbs').toLowerCase() !== 'true' || main.querySelector('.breadcrumbs')) {
+    return;
+  }
+  const section = document.createElement('div');
+  section.append(buildBlock('breadcrumbs', ''));
+  main.prepend(section);
+}
+
 /**
  * load fonts.css and set a session storage flag
  */
@@ -55,6 +72,7 @@ async function loadFonts() {
 function buildAutoBlocks(main) {
   try {
     buildHeroBlock(main);
+    buildBreadcrumbsBlock(main);
   } catch (error) {
     console.error('Auto Blocking failed', error);
   }
@@ -78,7 +96,6 @@ export function decorateMain(main) {
  * @param {Element} doc The container element
  */
 async function loadEager(doc) {
-  document.documentElement.lang = 'en';
   decorateTemplateAndTheme();
 
   const main = doc.querySelector('main');
@@ -92,8 +109,18 @@ async function loadEager(doc) {
       console.error('Error initializing commerce configuration:', e);
       loadErrorPage(418);
     }
+    // from the config, or from the path if the config could not be loaded
+    document.documentElement.lang = getLocale();
+    document.documentElement.dir = getTextDirection();
     document.body.classList.add('appear');
-    await loadSection(main.querySelector('.section'), waitForFirstImage);
+
+    // the breadcrumbs keep their space while they load, without delaying LCP
+    const breadcrumbs = main.querySelector('.section.breadcrumbs-container');
+    if (breadcrumbs) {
+      breadcrumbs.style.display = null;
+      loadSection(breadcrumbs);
+    }
+    await loadSection(main.querySelector('.section:not(.breadcrumbs-container)'), waitForFirstImage);
   }
 
   try {
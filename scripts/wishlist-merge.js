@@ -0,0 +1,150 @@
+import { events } from '@dropins/tools/event-bus.js';
+import { getConfigValue } from '@dropins/tools/lib/aem/configs.js';
+import * as wishlistApi from '@dropins/storefront-wishlist/api.js';
+
+/**
+ * Merge of the guest wishlist into the customer wishlist on sign in.
+ *
+ * The wishlist dropin silently adds the guest items to the customer wishlist once it is
+ * loaded. Instead, the guest items are taken over when the `authenticated` event fires,
+ * before the dropin reads them, and merged here: the items already in the customer
+ * wishlist (same SKU and options) are skipped, and the outcome of the merge is kept
+ * per store view in localStorage, for the wishlist block to report it and undo it:
+ * { wishlistId, merged: [{ sku, optionsUIDs }], duplicates: [...], failed: [...] }
+ */
+
+export const MERGE_EVENT = 'wishlist/merged';
+
+function getStorageKey() {
+  const storeViewCode = getConfigValue('headers.cs.Magento-Store-View-Code');
+  return `${storeViewCode}:wishlistMerge`;
+}
+
+function toKey(item) {
+  return {
+    sku: item.product?.sku ?? item.sku,
+    optionsUIDs: (item.selectedOptions?.map(({ uid }) => uid) ?? item.optionsUIDs ?? [])
+      .filter(Boolean),
+  };
+}
+
+function isSameItem(a, b) {
+  return a.sku === b.sku
+    && JSON.stringify([...a.optionsUIDs].sort()) === JSON.stringify([...b.optionsUIDs].sort());
+}
+
+/**
+ * Returns the outcome of the last merge, until it is dismissed or undone.
+ * @returns {Object|null} The merge ({ wishlistId, merged, duplicates, failed })
+ */
+export function getLastWishlistMerge() {
+  try {
+    return JSON.parse(window.localStorage.getItem(getStorageKey()));
+  } catch (e) {
+    window.localStorage.removeItem(getStorageKey());
+    return null;
+  }
+}
+
+/**
+ * Forgets the last merge, and emits `wishlist/merged`.
+ */
+export function clearLastWishlistMerge() {
+  window.localStorage.removeItem(getStorageKey());
+  events.emit(MERGE_EVENT, null);
+}
+
+/**
+ * Removes the items added by the last merge from the customer wishlist.
+ * @returns {Promise<void>}
+ */
+export async function undoLastWishlistMerge() {
+  const merge = getLastWishlistMerge();
+  if (!merge) return;
+
+  const wishlist = events.lastPayload('wishlist/data');
+  if (wishlist?.id !== merge.wishlistId) {
+    throw new Error('The merged wishlist is not loaded');
+  }
+
+  const items = (wishlist.items ?? [])
+    .filter((item) => merge.merged.some((merged) => isSameItem(toKey(item), merged)));
+  if (items.length) {
+    await wishlistApi.removeProductsFromWishlist(items);
+  }
+  clearLastWishlistMerge();
+}
+
+/**
+ * Waits for the wishlist of the customer, which has an ID unlike the guest wishlist.
+ * @returns {Promise<Object>} The wishlist
+ */
+function waitForCustomerWishlist() {
+  return new Promise((resolve) => {
+    const listener = events.on('wishlist/data', (wishlist) => {
+      if (!wishlist?.id) return;
+      resolve(wishlist);
+      // deferred, as the last payload is replayed before the listener is returned
+      setTimeout(() => listener.off());
+    }, { eager: true });
+  });
+}
+
+async function mergeGuestWishlist(guestItems) {
+  const wishlist = await waitForCustomerWishlist();
+  const customerKeys = (wishlist.items ?? []).map(toKey);
+
+  const merged = [];
+  const duplicates = [];
+  const seen = [];
+  guestItems.forEach((item) => {
+    const key = toKey(item);
+    if (customerKeys.some((customerKey) => isSameItem(customerKey, key))
+      || seen.some((seenKey) => isSameItem(seenKey, key))) {
+      duplicates.push(key);
+    } else {
+      merged.push({ ...key, quantity: item.quantity || 1, enteredOptions: item.enteredOptions });
+    }
+    seen.push(key);
+  });
+
+  let failed = [];
+  if (merged.length) {
+    try {
+      await wishlistApi.addProductsToWishlist(merged.map(({
+        sku,
+        quantity,
+        optionsUIDs,
+        enteredOptions,
+      }) => ({
+        sku,
+        quantity,
+        optionsUIDs,
+        ...(enteredOptions?.length && { enteredOptions }),
+      })));
+    } catch (error) {
+      console.error('Could not merge the guest wishlist', error);
+      failed = merged.splice(0);
+    }
+  }
+
+  const merge = {
+    wishlistId: wishlist.id,
+    merged: merged.map(toKey),
+    duplicates,
+    failed: failed.map(toKey),
+  };
+  window.localStorage.setItem(getStorageKey(), JSON.stringify(merge));
+  events.emit(MERGE_EVENT, merge);
+}
+
+events.on('authenticated', (authenticated) => {
+  if (!authenticated) return;
+
+  const guestItems = wishlistApi.getPersistedWishlistData(true)?.items ?? [];
+  if (!guestItems.length) return;
+
+  // taken over, so that the dropin does not merge them itself
+  wishlistApi.clearPersistedLocalStorage();
+  mergeGuestWishlist(guestItems).catch(console.error);
+}, { eager: true });
@@ -0,0 +1,347 @@
+import { events } from '@dropins/tools/event-bus.js';
+import { getConfigValue } from '@dropins/tools/lib/aem/configs.js';
+import * as wishlistApi from '@dropins/storefront-wishlist/api.js';
+import { checkIsAuthenticated } from './commerce.js';
+import './initializers/wishlist.js';
+
+/**
+ * Multiple named wishlists of the authenticated customers.
+ *
+ * The wishlist dropin works with a single wishlist, the one whose ID it keeps in the
+ * DROPIN__WISHLIST__WISHLIST-ID cookie, which is the first wishlist of the customer after
+ * it is initialized. When multiple wishlists are enabled on the backend (Adobe Commerce
+ * `enable_multiple_wishlists` store config), these helpers list, create, rename and delete
+ * the wishlists with the multiple wishlists GraphQL, add and move items between them, and
+ * switch the wishlist the dropin works with. The wishlist picked by the shopper is
+ * remembered per store view in localStorage.
+ */
+
+export const WISHLISTS_EVENT = 'wishlists/updated';
+
+const WISHLIST_ID_COOKIE = 'DROPIN__WISHLIST__WISHLIST-ID';
+
+const ITEMS_PAGE_SIZE = 100;
+
+const GET_CUSTOMER_WISHLISTS = `
+  query GET_CUSTOMER_WISHLISTS($pageSize: Int) {
+    customer {
+      wishlists {
+        id
+        name
+        visibility
+        items_count
+        items_v2(pageSize: $pageSize) {
+          items {
+            id
+            quantity
+            product {
+              sku
+            }
+            ... on ConfigurableWishlistItem {
+              configurable_options {
+                configurable_product_option_value_uid
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const CREATE_WISHLIST = `
+  mutation CREATE_WISHLIST($input: CreateWishlistInput!) {
+    createWishlist(input: $input) {
+      wishlist {
+        id
+        name
+      }
+    }
+  }
+`;
+
+const UPDATE_WISHLIST = `
+  mutation UPDATE_WISHLIST($wishlistId: ID!, $name: String) {
+    updateWishlist(wishlistId: $wishlistId, name: $name) {
+      uid
+      name
+    }
+  }
+`;
+
+const DELETE_WISHLIST = `
+  mutation DELETE_WISHLIST($wishlistId: ID!) {
+    deleteWishlist(wishlistId: $wishlistId) {
+      status
+    }
+  }
+`;
+
+const ADD_PRODUCTS_TO_WISHLIST = `
+  mutation ADD_PRODUCTS_TO_NAMED_WISHLIST(
+    $wishlistId: ID!,
+    $wishlistItems: [WishlistItemInput!]!,
+  ) {
+    addProductsToWishlist(wishlistId: $wishlistId, wishlistItems: $wishlistItems) {
+      user_errors {
+        code
+        message
+      }
+    }
+  }
+`;
+
+const REMOVE_PRODUCTS_FROM_WISHLIST = `
+  mutation REMOVE_PRODUCTS_FROM_NAMED_WISHLIST($wishlistId: ID!, $wishlistItemsIds: [ID!]!) {
+    removeProductsFromWishlist(wishlistId: $wishlistId, wishlistItemsIds: $wishlistItemsIds) {
+      user_errors {
+        code
+        message
+      }
+    }
+  }
+`;
+
+const MOVE_PRODUCTS_BETWEEN_WISHLISTS = `
+  mutation MOVE_PRODUCTS_BETWEEN_WISHLISTS(
+    $sourceWishlistUid: ID!,
+    $destinationWishlistUid: ID!,
+    $wishlistItems: [WishlistItemMoveInput!]!,
+  ) {
+    moveProductsBetweenWishlists(
+      sourceWishlistUid: $sourceWishlistUid
+      destinationWishlistUid: $destinationWishlistUid
+      wishlistItems: $wishlistItems
+    ) {
+      user_errors {
+        code
+        message
+      }
+    }
+  }
+`;
+
+function getStorageKey() {
+  const storeViewCode = getConfigValue('headers.cs.Magento-Store-View-Code');
+  return `${storeViewCode}:activeWishlist`;
+}
+
+async function send(query, variables, output) {
+  const { data, errors } = await wishlistApi.fetchGraphQl(query, { method: 'POST', variables });
+  const userErrors = [...(data?.[output]?.user_errors ?? []), ...(errors ?? [])];
+  if (userErrors.length) {
+    throw new Error(userErrors.map(({ message }) => message).join(' '));
+  }
+  return data?.[output];
+}
+
+let multipleWishlistsConfig = null;
+
+/**
+ * Returns whether the signed in customer can have multiple wishlists, and how many.
+ * @returns {Promise<{ enabled: boolean, maxNumber: number }>} The configuration
+ */
+export async function getMultipleWishlistsConfig() {
+  if (!checkIsAuthenticated()) return { enabled: false, maxNumber: 1 };
+
+  multipleWishlistsConfig = multipleWishlistsConfig ?? wishlistApi.getStoreConfig()
+    .then((config) => ({
+      enabled: !!config?.wishlistMultipleListIsEnabled,
+      maxNumber: Number(config?.wishlistMaxNumber) || 1,
+    }))
+    .catch((error) => {
+      console.warn('Could not load the wishlist configuration', error);
+      multipleWishlistsConfig = null;
+      return { enabled: false, maxNumber: 1 };
+    });
+  return multipleWishlistsConfig;
+}
+
+/**
+ * Returns the ID of the wishlist the wishlist dropin works with.
+ * @returns {string|null} The wishlist ID
+ */
+export function getActiveWishlistId() {
+  const cookie = document.cookie.split(';')
+    .map((entry) => entry.trim())
+    .find((entry) => entry.startsWith(`${WISHLIST_ID_COOKIE}=`));
+  return cookie ? cookie.substring(WISHLIST_ID_COOKIE.length + 1) : null;
+}
+
+/**
+ * Returns the wishlists of the signed in customer.
+ * @returns {Promise<Object[]>} The wishlists ({ id, name, visibility, itemsCount, items }),
+ * with their items ({ id, quantity, sku, optionsUIDs })
+ */
+export async function getCustomerWishlists() {
+  const { data, errors } = await wishlistApi.fetchGraphQl(GET_CUSTOMER_WISHLISTS, {
+    method: 'POST',
+    variables: { pageSize: ITEMS_PAGE_SIZE },
+  });
+  if (errors?.length) {
+    throw new Error(errors.map(({ message }) => message).join(' '));
+  }
+
+  return (data?.customer?.wishlists ?? []).map((wishlist) => ({
+    id: wishlist.id,
+    name: wishlist.name,
+    visibility: wishlist.visibility,
+    itemsCount: wishlist.items_count,
+    items: (wishlist.items_v2?.items ?? []).map((item) => ({
+      id: item.id,
+      quantity: item.quantity,
+      sku: item.product?.sku,
+      optionsUIDs: (item.configurable_options ?? [])
+        .map((option) => option.configurable_product_option_value_uid),
+    })),
+  }));
+}
+
+/**
+ * Finds the item of a product in a wishlist, the same way the wishlist dropin does.
+ * @param {Object} wishlist - The wishlist (see getCustomerWishlists())
+ * @param {Object} product - The product ({ sku, optionsUIDs })
+ * @returns {Object|undefined} The item
+ */
+export function findWishlistItem(wishlist, { sku, optionsUIDs = [] }) {
+  const uids = JSON.stringify([...optionsUIDs].filter(Boolean).sort());
+  return wishlist.items.find((item) => item.sku === sku
+    && JSON.stringify([...item.optionsUIDs].filter(Boolean).sort()) === uids);
+}
+
+async function refresh(wishlistId = getActiveWishlistId()) {
+  // reload the wishlist of the dropin, as it may have changed
+  if (wishlistId) await wishlistApi.getWishlistById(wishlistId, 1, ITEMS_PAGE_SIZE);
+  events.emit(WISHLISTS_EVENT, await getCustomerWishlists());
+}
+
+/**
+ * Switches the wishlist the wishlist dropin works with, and emits `wishlist/data`.
+ * @param {string} wishlistId - The wishlist ID
+ * @returns {Promise<void>}
+ */
+export async function setActiveWishlist(wishlistId) {
+  const expires = new Date();
+  expires.setDate(expires.getDate() + 30);
+  document.cookie = `${WISHLIST_ID_COOKIE}=${wishlistId}; expires=${expires.toUTCString()}; path=/`;
+  window.localStorage.setItem(getStorageKey(), wishlistId);
+  await refresh(wishlistId);
+}
+
+/**
+ * Creates a wishlist and emits `wishlists/updated`.
+ * @param {string} name - The name of the wishlist
+ * @returns {Promise<Object>} The wishlist ({ id, name })
+ */
+export async function createWishlist(name) {
+  const result = await send(CREATE_WISHLIST, {
+    input: { name, visibility: 'PRIVATE' },
+  }, 'createWishlist');
+  await refresh();
+  return result.wishlist;
+}
+
+/**
+ * Renames a wishlist and emits `wishlists/updated`.
+ * @param {string} wishlistId - The wishlist ID
+ * @param {string} name - The new name
+ * @returns {Promise<void>}
+ */
+export async function renameWishlist(wishlistId, name) {
+  await send(UPDATE_WISHLIST, { wishlistId, name }, 'updateWishlist');
+  await refresh();
+}
+
+/**
+ * Deletes a wishlist and emits `wishlists/updated`. When the active wishlist is deleted,
+ * the dropin switches to the first remaining one.
+ * @param {string} wishlistId - The wishlist ID
+ * @returns {Promise<void>}
+ */
+export async function deleteWishlist(wishlistId) {
+  const result = await send(DELETE_WISHLIST, { wishlistId }, 'deleteWishlist');
+  if (!result?.status) {
+    throw new Error('The wishlist could not be deleted');
+  }
+
+  if (wishlistId === getActiveWishlistId()) {
+    const [first] = await getCustomerWishlists();
+    if (first) {
+      await setActiveWishlist(first.id);
+      return;
+    }
+  }
+  await refresh();
+}
+
+/**
+ * Adds a product to a wishlist and emits `wishlists/updated`.
+ * @param {string} wishlistId - The wishlist ID
+ * @param {Object} product - The product ({ sku, quantity, optionsUIDs, enteredOptions })
+ * @returns {Promise<void>}
+ */
+export async function addToWishlist(wishlistId, {
+  sku,
+  quantity = 1,
+  optionsUIDs,
+  enteredOptions,
+}) {
+  await send(ADD_PRODUCTS_TO_WISHLIST, {
+    wishlistId,
+    wishlistItems: [{
+      sku,
+      quantity,
+      selected_options: optionsUIDs,
+      entered_options: enteredOptions,
+    }],
+  }, 'addProductsToWishlist');
+  await refresh();
+}
+
+/**
+ * Removes an item from a wishlist and emits `wishlists/updated`.
+ * @param {string} wishlistId - The wishlist ID
+ * @param {string} itemId - The wishlist item ID
+ * @returns {Promise<void>}
+ */
+export async function removeFromWishlist(wishlistId, itemId) {
+  await send(REMOVE_PRODUCTS_FROM_WISHLIST, {
+    wishlistId,
+    wishlistItemsIds: [itemId],
+  }, 'removeProductsFromWishlist');
+  await refresh();
+}
+
+/**
+ * Moves items to another wishlist and emits `wishlists/updated`.
+ * @param {string} sourceWishlistId - The ID of the wishlist of the items
+ * @param {string} destinationWishlistId - The ID of the wishlist to move them to
+ * @param {Object[]} items - The wishlist items ({ id, quantity })
+ * @returns {Promise<void>}
+ */
+export async function moveToWishlist(sourceWishlistId, destinationWishlistId, items) {
+  await send(MOVE_PRODUCTS_BETWEEN_WISHLISTS, {
+    sourceWishlistUid: sourceWishlistId,
+    destinationWishlistUid: destinationWishlistId,
+    wishlistItems: items.map(({ id, quantity }) => ({ wishlist_item_id: id, quantity })),
+  }, 'moveProductsBetweenWishlists');
+  await refresh();
+}
+
+// the dropin starts with the first wishlist of the customer, switch to the one picked last
+events.on('wishlist/initialized', async () => {
+  const wishlistId = window.localStorage.getItem(getStorageKey());
+  if (!wishlistId || wishlistId === getActiveWishlistId()) return;
+  if (!(await getMultipleWishlistsConfig()).enabled) return;
+
+  try {
+    const wishlists = await getCustomerWishlists();
+    if (wishlists.some(({ id }) => id === wishlistId)) {
+      await setActiveWishlist(wishlistId);
+    } else {
+      window.localStorage.removeItem(getStorageKey());
+    }
+  } catch (error) {
+    console.warn('Could not restore the wishlist', error);
+  }
+}, { eager: true });
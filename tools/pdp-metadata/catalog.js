@@ -0,0 +1,235 @@
+import fs from 'fs';
+import he from 'he';
+import productSearchQuery from './queries/products.graphql.js';
+import { variantsFragment } from './queries/variants.graphql.js';
+
+export async function commerceEndpointWithQueryParams(config) {
+  const urlWithQueryParams = new URL(config['commerce-endpoint']);
+  // Set some query parameters for use as a cache-buster. No other purpose.
+  const hash = createHashFromObject(config.headers?.cs ?? {});
+  urlWithQueryParams.searchParams.append('cb', hash);
+  return urlWithQueryParams;
+}
+
+export async function performCatalogServiceQuery(config, query, variables) {
+  const headers = {
+    'Content-Type': 'application/json',
+    ...config.headers?.all,
+    ...config.headers?.cs,
+  };
+
+  const apiCall = await commerceEndpointWithQueryParams(config);
+
+  const response = await fetch(apiCall, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      query: query.replace(/(?:\r\n|\r|\n|\t|[\s]{4})/g, ' ').replace(/\s\s+/g, ' '),
+      variables,
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Catalog Service query failed: HTTP ${response.status} ${response.statusText}`);
+  }
+
+  const queryResponse = await response.json();
+
+  // a partial catalog must not be taken for removed products in incremental runs
+  if (!queryResponse.data) {
+    throw new Error(`Catalog Service query failed: ${JSON.stringify(queryResponse.errors)}`);
+  }
+
+  return queryResponse.data;
+}
+
+/**
+ * Creates a short hash from an object by sorting its entries and hashing them.
+ * @param {Object} obj - The object to hash
+ * @param {number} [length=5] - Length of the resulting hash
+ * @returns {string} A short hash string
+ */
+function createHashFromObject(obj, length = 5) {
+  // Sort entries by key and create a string of key-value pairs
+  const objString = Object.entries(obj)
+    .sort(([keyA], [keyB]) => keyA.localeCompare(keyB))
+    .map(([key, value]) => `${key}:${value}`)
+    .join('|');
+
+  // Create a short hash using a simple string manipulation
+  return objString
+    .split('')
+    .reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % 2147483647, 0)
+    .toString(36)
+    .slice(0, length);
+}
+
+/**
+ * Maps a product of the product search to the fields of the metadata sheet.
+ * @param {Object} productView - The product
+ * @param {string} rootPath - The root path of the store view, e.g. / or /fr/
+ */
+export function toProduct(productView, rootPath) {
+  const {
+    urlKey,
+    sku,
+    metaDescription,
+    name,
+    metaKeyword,
+    metaTitle,
+    description,
+    shortDescription,
+    lastModifiedAt,
+  } = productView;
+  const { url: imageUrl } = productView.images?.[0] ?? { url: '' };
+
+  let baseImageUrl = imageUrl;
+  if (baseImageUrl.startsWith('//')) {
+    baseImageUrl = `https:${baseImageUrl}`;
+  }
+
+  let finalDescription = '';
+  if (metaDescription) {
+    finalDescription = metaDescription;
+  } else if (shortDescription) {
+    finalDescription = shortDescription;
+  } else if (description) {
+    finalDescription = description;
+  }
+  finalDescription = he.decode(finalDescription.replace(/(<([^>]+)>)/ig, '')).trim();
+  if (finalDescription.length > 200) {
+    finalDescription = `${finalDescription.substring(0, 197)}...`;
+  }
+
+  return {
+    productView: {
+      ...productView,
+      image: baseImageUrl,
+      path: `${rootPath.replace(/\/$/, '')}/products/${urlKey}/${sku}`,
+      meta_keyword: (metaKeyword !== null) ? metaKeyword : '',
+      meta_title: he.decode(metaTitle || name),
+      meta_description: finalDescription,
+      'og:image': baseImageUrl,
+      'og:image:secure_url': baseImageUrl,
+      'last-modified': lastModifiedAt,
+    },
+  };
+}
+
+/**
+ * Get products by page number
+ * @param {Object} config - The config of the store view
+ * @param {INT} pageNumber - pass the pagenumber to retrieved paginated results
+ * @returns {Promise<{products: Object[], currentPage: number, totalPages: number}>}
+ */
+export async function getProductsPage(config, pageNumber) {
+  const response = await performCatalogServiceQuery(
+    config,
+    productSearchQuery,
+    { currentPage: pageNumber },
+  );
+
+  const { items, page_info: pageInfo } = response.productSearch;
+  return {
+    products: items.map((item) => item.productView),
+    currentPage: pageInfo.current_page,
+    totalPages: pageInfo.total_pages,
+  };
+}
+
+export async function addVariantsToProducts(products, config) {
+  // simple products do not have variants
+  products
+    .filter((product) => product.productView.__typename !== 'ComplexProductView')
+    .forEach((product) => {
+      product.variants = { variants: [] };
+    });
+
+  const complexProducts = products.filter((product) => !product.variants);
+  if (!complexProducts.length) {
+    return;
+  }
+
+  const query = `
+  query Q {
+      ${complexProducts.map((product, i) => {
+        return `
+        item_${i}: variants(sku: "${product.productView.sku}") {
+          ...ProductVariant
+        }
+        `
+      }).join('\n')}
+    }${variantsFragment}`;
+
+  const response = await performCatalogServiceQuery(config, query, null);
+
+  complexProducts.forEach((product, i) => {
+    product.variants = response[`item_${i}`] ?? { variants: [] };
+  });
+}
+
+function deepMerge(target, source) {
+  const result = { ...target };
+  Object.entries(source ?? {}).forEach(([key, value]) => {
+    result[key] = value && typeof value === 'object' && !Array.isArray(value)
+      ? deepMerge(target?.[key], value)
+      : value;
+  });
+  return result;
+}
+
+export async function loadConfig(location) {
+  if (/^https?:\/\//.test(location)) {
+    const response = await fetch(location);
+    if (!response.ok) {
+      throw new Error(`Could not fetch ${location}: HTTP ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }
+  return JSON.parse(await fs.promises.readFile(location, 'utf8'));
+}
+
+/**
+ * Resolves the store views to export, like the storefront does: the config of a
+ * root path is merged over the default config.
+ * @param {Object} configJson - The config.json of the storefront
+ * @param {string[]} selected - The selected root paths, "default" or "all"
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] - Overrides the commerce-endpoint, e.g. with a mock server
+ * @returns {Object[]} The store views ({ name, rootPath, config })
+ */
+export function getStoreViews(configJson, selected, { endpoint } = {}) {
+  const configs = configJson.public ?? {};
+  const rootPaths = selected.includes('all')
+    ? Object.keys(configs)
+    : selected.map((value) => (value === 'default' ? value : `/${value.replace(/^\/|\/$/g, '')}/`));
+
+  return rootPaths.map((key) => {
+    if (!configs[key]) {
+      throw new Error(`No store view found for ${key} in the config, available: ${Object.keys(configs).join(', ')}`);
+    }
+    const rootPath = key === 'default' ? '/' : key;
+    const config = key === 'default' ? configs.default : deepMerge(configs.default, configs[key]);
+    return {
+      name: key === 'default' ? 'default' : key.split('/').filter(Boolean).join('-'),
+      rootPath,
+      config: endpoint ? { ...config, 'commerce-endpoint': endpoint } : config,
+    };
+  });
+}
+
+/**
+ * Resolves the URL of the storefront, used for the absolute product links.
+ * @param {string} configLocation - The URL or path of the config.json
+ * @param {string} [baseUrl] - The URL given as option
+ * @returns {string} The URL, without trailing slash
+ */
+export function getBaseUrl(configLocation, baseUrl) {
+  if (baseUrl) {
+    return baseUrl.replace(/\/$/, '');
+  }
+  if (!/^https?:\/\//.test(configLocation)) {
+    throw new Error('--base-url is required when the config is a local file');
+  }
+  return new URL(configLocation).origin;
+}
@@ -0,0 +1,273 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import {
+  addVariantsToProducts,
+  getBaseUrl,
+  getProductsPage,
+  getStoreViews,
+  loadConfig,
+  toProduct,
+} from './catalog.js';
+import { getProductSchema } from './json-ld.js';
+
+const FORMATS = ['xml', 'tsv'];
+
+const FIELDS = [
+  'id',
+  'title',
+  'description',
+  'link',
+  'image_link',
+  'price',
+  'availability',
+  'brand',
+  'item_group_id',
+];
+
+const REQUIRED_FIELDS = ['id', 'title', 'description', 'link', 'image_link', 'price', 'availability'];
+
+// https://support.google.com/merchants/answer/7052112
+const MAX_TITLE_LENGTH = 150;
+
+const USAGE = `Usage: node feed.js --config <url|file> [options]
+
+Generates a Google Merchant Center product feed from the catalog.
+
+Options:
+  -c, --config <url|file>   config.json of the storefront (required)
+  -s, --store-view <path>   root path of a store view in the config, e.g. /fr/,
+                            can be repeated, "all" for every store view (default: default)
+      --base-url <url>      URL of the storefront, used for the product links
+                            (default: origin of the config URL)
+      --endpoint <url>      overrides the commerce-endpoint of the config, e.g. a mock server
+  -f, --format <formats>    comma-separated output formats: ${FORMATS.join(', ')} (default: xml)
+  -o, --output <dir>        output directory (default: .)
+      --file-name <name>    output file name, without extension (default: feed)
+      --report <file>       writes the rejected products as JSON
+  -h, --help                shows this help
+`;
+
+function formatPrice(value, currency) {
+  return value != null && currency ? `${Number(value).toFixed(2)} ${currency}` : '';
+}
+
+function formatAvailability(availability) {
+  if (!availability) return '';
+  return availability.endsWith('InStock') ? 'in_stock' : 'out_of_stock';
+}
+
+/**
+ * Maps a product to feed items, from its schema.org data so the feed and the JSON-LD of
+ * the product page never disagree. Products with variants get an item per variant,
+ * grouped by the sku of the product.
+ * @param {Object} product - The product, see toProduct()
+ * @param {string} baseUrl - The URL of the storefront
+ * @param {Object} config - The config of the store view
+ * @returns {Object[]} The feed items
+ */
+function getFeedItems({ productView, variants }, baseUrl, config) {
+  const schema = getProductSchema(productView, variants, { baseUrl, config });
+  const item = {
+    id: schema.sku,
+    title: schema.name,
+    description: schema.description,
+    link: schema.url,
+    image_link: schema.image,
+    brand: schema.brand?.name ?? '',
+    item_group_id: '',
+  };
+
+  if (variants.variants.length <= 1) {
+    const [offer] = schema.offers;
+    return [{
+      ...item,
+      // the price and availability of a single variant are its own, and so is the id
+      id: variants.variants[0]?.product?.sku ?? item.id,
+      price: formatPrice(offer?.price, offer?.priceCurrency),
+      availability: formatAvailability(offer?.availability),
+    }];
+  }
+
+  return schema.offers.map((offer) => ({
+    ...item,
+    id: offer.sku,
+    title: offer.name || item.title,
+    image_link: offer.image || item.image_link,
+    price: formatPrice(offer.price, offer.priceCurrency),
+    availability: formatAvailability(offer.availability),
+    item_group_id: schema.sku,
+  }));
+}
+
+/**
+ * Checks the required fields of a feed item.
+ * @param {Object} item - The feed item
+ * @returns {string[]} The errors, empty for a valid item
+ */
+function validateItem(item) {
+  const errors = REQUIRED_FIELDS
+    .filter((field) => !item[field])
+    .map((field) => `missing ${field}`);
+
+  if (item.title?.length > MAX_TITLE_LENGTH) {
+    errors.push(`title longer than ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (item.image_link && !/^https?:\/\//.test(item.image_link)) {
+    errors.push('image_link is not an absolute URL');
+  }
+
+  return errors;
+}
+
+function escapeXml(value) {
+  return `${value ?? ''}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toXml(items, { title, link }) {
+  const entries = items.map((item) => {
+    const fields = FIELDS
+      .filter((field) => item[field])
+      .map((field) => `      <g:${field}>${escapeXml(item[field])}</g:${field}>`);
+    return `    <item>\n${fields.join('\n')}\n    </item>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(link)}</link>
+    <description>${escapeXml(title)}</description>
+${entries.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function toTsv(items) {
+  const clean = (value) => `${value ?? ''}`.replace(/[\t\r\n]+/g, ' ');
+  return `${[FIELDS, ...items.map((item) => FIELDS.map((field) => item[field]))]
+    .map((row) => row.map(clean).join('\t'))
+    .join('\n')}\n`;
+}
+
+/**
+ * Generates the feed items of a store view.
+ * @returns {Promise<{items: Object[], rejected: Object[]}>}
+ */
+async function exportStoreView({ name, rootPath, config }, { baseUrl }) {
+  const items = [];
+  const rejected = [];
+
+  let page = { currentPage: 0, totalPages: 1 };
+  while (page.currentPage < page.totalPages) {
+    // eslint-disable-next-line no-await-in-loop
+    page = await getProductsPage(config, page.currentPage + 1);
+    console.log(`[${name}] Retrieved page ${page.currentPage} of ${page.totalPages} pages`);
+
+    const products = page.products.map((productView) => toProduct(productView, rootPath));
+    // eslint-disable-next-line no-await-in-loop
+    await addVariantsToProducts(products, config);
+
+    products.flatMap((product) => getFeedItems(product, baseUrl, config)).forEach((item) => {
+      const errors = validateItem(item);
+      if (errors.length) {
+        rejected.push({ id: item.id, item_group_id: item.item_group_id || undefined, errors });
+      } else {
+        items.push(item);
+      }
+    });
+  }
+
+  return { items, rejected };
+}
+
+function getOptions() {
+  const { values } = parseArgs({
+    options: {
+      config: { type: 'string', short: 'c' },
+      'store-view': { type: 'string', short: 's', multiple: true },
+      'base-url': { type: 'string' },
+      endpoint: { type: 'string' },
+      format: { type: 'string', short: 'f', multiple: true },
+      output: { type: 'string', short: 'o', default: '.' },
+      'file-name': { type: 'string', default: 'feed' },
+      report: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  if (!values.config) {
+    throw new Error(`Missing --config\n\n${USAGE}`);
+  }
+
+  const formats = (values.format ?? ['xml']).flatMap((value) => value.split(',')).map((value) => value.trim());
+  const unknownFormats = formats.filter((format) => !FORMATS.includes(format));
+  if (unknownFormats.length) {
+    throw new Error(`Unknown format ${unknownFormats.join(', ')}, supported: ${FORMATS.join(', ')}`);
+  }
+
+  return {
+    config: values.config,
+    storeViews: values['store-view'] ?? ['default'],
+    baseUrl: getBaseUrl(values.config, values['base-url']),
+    endpoint: values.endpoint,
+    formats: [...new Set(formats)],
+    outputDir: values.output,
+    fileName: values['file-name'],
+    reportFile: values.report,
+  };
+}
+
+async function main() {
+  const options = getOptions();
+  const configJson = await loadConfig(options.config);
+  const storeViews = getStoreViews(configJson, options.storeViews, options);
+  const report = {};
+  const files = [];
+
+  await fs.promises.mkdir(options.outputDir, { recursive: true });
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const storeView of storeViews) {
+    // eslint-disable-next-line no-await-in-loop
+    const { items, rejected } = await exportStoreView(storeView, options);
+    report[storeView.name] = { accepted: items.length, rejected };
+
+    console.log(`[${storeView.name}] ${items.length} accepted, ${rejected.length} rejected`);
+    rejected.forEach(({ id, errors }) => console.log(`  ! ${id}: ${errors.join(', ')}`));
+
+    const fileName = storeViews.length > 1 ? `${options.fileName}-${storeView.name}` : options.fileName;
+    const link = `${options.baseUrl}${storeView.rootPath}`;
+    // eslint-disable-next-line no-restricted-syntax
+    for (const format of options.formats) {
+      const file = path.join(options.outputDir, `${fileName}.${format}`);
+      const content = format === 'xml'
+        ? toXml(items, { title: `Products - ${storeView.name}`, link })
+        : toTsv(items);
+      // eslint-disable-next-line no-await-in-loop
+      await fs.promises.writeFile(file, content);
+      files.push(file);
+    }
+  }
+
+  if (options.reportFile) {
+    await fs.promises.writeFile(options.reportFile, `${JSON.stringify(report, null, 2)}\n`);
+  }
+
+  console.log(`Wrote ${files.join(', ')}`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,46 @@
+import { buildProductSchema } from '../../scripts/product-schema.js';
+
+function toHttps(url) {
+  return url?.startsWith('//') ? `https:${url}` : url;
+}
+
+/**
+ * Maps a product to its schema.org Product data, with the builder used by the product
+ * details block so the JSON-LD of the metadata sheet, the product feeds and the
+ * product pages never disagree.
+ * @param {Object} product - The product, see toProduct()
+ * @param {Object} variants - The variants of the product ({ variants: [] })
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - The URL of the storefront
+ * @param {Object} [options.config] - The config of the store view
+ * @returns {Object} The schema.org Product
+ */
+export function getProductSchema(product, { variants }, { baseUrl = '', config = {} } = {}) {
+  const amount = product.priceRange?.minimum?.final?.amount || product.price?.final?.amount;
+
+  return buildProductSchema({
+    sku: product.sku,
+    name: product.name,
+    description: product.meta_description,
+    image: product['og:image'],
+    url: `${baseUrl}${product.path}`,
+    inStock: product.inStock,
+    price: amount,
+    attributes: product.attributes,
+    variants: variants.map((variant) => ({
+      sku: variant.product.sku,
+      name: variant.product.name,
+      image: toHttps(variant.product.images[0]?.url),
+      inStock: variant.product.inStock,
+      price: variant.product.price?.final?.amount,
+    })),
+  }, {
+    config: config['product-schema'],
+    shipping: config.shipping,
+    returns: config.returns,
+  });
+}
+
+export function getJsonLd(product, variants, options) {
+  return JSON.stringify(getProductSchema(product, variants, options));
+}
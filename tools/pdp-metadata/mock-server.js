@@ -0,0 +1,143 @@
+/**
+ * Local mock of the config.json and Catalog Service endpoints used by pdp-metadata.js,
+ * to test the generator without a real catalog.
+ *
+ * Usage: node mock-server.js [--port 4000] [--products 120] [--modified SKU-1,SKU-2]
+ *
+ * The catalog is generated: every third product is a configurable product with variants.
+ * Products listed in --modified get a newer last modification date, to test incremental runs.
+ * The config has a default store view and a /fr/ store view.
+ */
+import http from 'http';
+import { parseArgs } from 'util';
+
+const PAGE_SIZE = 50;
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '4000' },
+    products: { type: 'string', default: '120' },
+    modified: { type: 'string', default: '' },
+  },
+});
+
+const port = Number(values.port);
+const modified = values.modified.split(',').filter(Boolean);
+
+const price = (value) => ({
+  regular: { amount: { currency: 'USD', value } },
+  final: { amount: { currency: 'USD', value } },
+});
+
+const products = Array.from({ length: Number(values.products) }, (_, i) => {
+  const sku = `SKU-${i + 1}`;
+  const complex = i % 3 === 2;
+  return {
+    __typename: complex ? 'ComplexProductView' : 'SimpleProductView',
+    sku,
+    name: `Product ${i + 1}`,
+    urlKey: `product-${i + 1}`,
+    url: null,
+    shortDescription: `<p>Short description of product ${i + 1} &amp; more</p>`,
+    description: '',
+    metaDescription: '',
+    metaKeyword: null,
+    metaTitle: '',
+    lastModifiedAt: modified.includes(sku) ? new Date().toISOString() : '2025-01-01T00:00:00Z',
+    inStock: i % 5 !== 0,
+    images: [{ url: `//example.com/media/${sku}.jpg` }],
+    attributes: [
+      { name: 'brand', value: 'Acme' },
+      { name: 'gtin', value: `${4006381333900 + i}` },
+    ],
+    ...(complex
+      ? { priceRange: { minimum: price(20 + i), maximum: price(30 + i) } }
+      : { price: price(10 + i) }),
+  };
+});
+
+function getVariants(sku) {
+  return {
+    variants: ['S', 'M', 'L'].map((size, i) => ({
+      product: {
+        sku: `${sku}-${size}`,
+        name: `${sku} ${size}`,
+        inStock: true,
+        images: [{ url: `//example.com/media/${sku}-${size}.jpg` }],
+        price: { final: { amount: { currency: 'USD', value: 20 + i } } },
+      },
+    })),
+  };
+}
+
+function resolveQuery({ query, variables }) {
+  if (query.includes('productSearch')) {
+    const currentPage = variables?.currentPage ?? 1;
+    const items = products.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE);
+    return {
+      productSearch: {
+        items: items.map((productView) => ({ productView })),
+        page_info: {
+          current_page: currentPage,
+          page_size: PAGE_SIZE,
+          total_pages: Math.max(1, Math.ceil(products.length / PAGE_SIZE)),
+        },
+        total_count: products.length,
+      },
+    };
+  }
+
+  // aliased variants queries, e.g. item_0: variants(sku: "SKU-3")
+  const data = {};
+  [...query.matchAll(/(\w+):\s*variants\(sku:\s*"([^"]+)"\)/g)].forEach(([, alias, sku]) => {
+    data[alias] = getVariants(sku);
+  });
+  return data;
+}
+
+const config = {
+  public: {
+    default: {
+      'commerce-endpoint': `http://localhost:${port}/cs-graphql`,
+      headers: { cs: { 'Magento-Store-View-Code': 'default' } },
+      'product-schema': { 'gtin-attribute': 'gtin', 'price-valid-days': 30 },
+      shipping: {
+        rate: 0, currency: 'USD', countries: ['US'], 'handling-days': [0, 1], 'transit-days': [2, 5],
+      },
+      returns: {
+        days: 30, method: 'mail', fees: 'free', countries: ['US'],
+      },
+    },
+    '/fr/': {
+      headers: { cs: { 'Magento-Store-View-Code': 'fr' } },
+    },
+  },
+};
+
+http.createServer((req, res) => {
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const { pathname } = new URL(req.url, `http://localhost:${port}`);
+  if (req.method === 'GET' && pathname === '/config.json') {
+    send(200, config);
+    return;
+  }
+  if (req.method === 'POST' && pathname === '/cs-graphql') {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      try {
+        send(200, { data: resolveQuery(JSON.parse(body)) });
+      } catch (err) {
+        send(400, { errors: [{ message: err.message }] });
+      }
+    });
+    return;
+  }
+  send(404, { error: 'Not found' });
+}).listen(port, () => {
+  console.log(`Mock catalog with ${products.length} products on http://localhost:${port}/config.json`);
+});
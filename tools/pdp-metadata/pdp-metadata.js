@@ -1,263 +1,223 @@
-import XLSX from 'xlsx';
 import fs from 'fs';
-import he from 'he';
-import productSearchQuery from './queries/products.graphql.js';
-import { variantsFragment } from './queries/variants.graphql.js';
-const basePath = 'https://www.aemshop.net';
-const configFile = `${basePath}/config.json`;
-
-export async function commerceEndpointWithQueryParams(config) {
-  const urlWithQueryParams = new URL(config['commerce-endpoint']);
-  // Set some query parameters for use as a cache-buster. No other purpose.
-  const hash = createHashFromObject(config.headers?.cs ?? {});
-  urlWithQueryParams.searchParams.append('cb', hash);
-  return urlWithQueryParams;
+import { parseArgs } from 'util';
+import {
+  addVariantsToProducts,
+  getBaseUrl,
+  getProductsPage,
+  getStoreViews,
+  loadConfig,
+  toProduct,
+} from './catalog.js';
+import { getJsonLd } from './json-ld.js';
+import {
+  diffProducts,
+  hashRow,
+  readState,
+  writeState,
+} from './state.js';
+import { FORMATS, writeSheets } from './writers.js';
+
+const HEADERS = [
+  'URL',
+  'title',
+  'description',
+  'keywords',
+  'og:type',
+  'og:title',
+  'og:description',
+  'og:url',
+  'og:image',
+  'og:image:secure_url',
+  'last-modified',
+  'json-ld',
+];
+
+const USAGE = `Usage: node pdp-metadata.js --config <url|file> [options]
+
+Options:
+  -c, --config <url|file>   config.json of the storefront (required)
+  -s, --store-view <path>   root path of a store view in the config, e.g. /fr/,
+                            can be repeated, "all" for every store view (default: default)
+      --base-url <url>      URL of the storefront, used for og:url
+                            (default: origin of the config URL)
+      --endpoint <url>      overrides the commerce-endpoint of the config, e.g. a mock server
+  -f, --format <formats>    comma-separated output formats: ${FORMATS.join(', ')} (default: xlsx)
+  -o, --output <dir>        output directory (default: .)
+      --file-name <name>    output file name, without extension (default: metadata)
+  -i, --incremental         only emit products changed since the last run
+      --state <file>        state file of the last run (default: .pdp-metadata-state.json)
+      --dry-run             only report added, changed and removed products, writes nothing
+      --report <file>       writes the report as JSON
+  -h, --help                shows this help
+`;
+
+function getMetadataRow({ productView: metaData, variants }, baseUrl, config) {
+  return [
+    metaData.path, // URL
+    metaData.meta_title, // title
+    metaData.meta_description, // description
+    metaData.meta_keyword, // keywords
+    'product', // og:type
+    metaData.meta_title, // og:title
+    metaData.meta_description, // og:description
+    `${baseUrl}${metaData.path}`, // og:url
+    metaData['og:image'], // og:image
+    metaData['og:image:secure_url'], // og:image:secure_url
+    metaData['last-modified'], // last-modified header
+    getJsonLd(metaData, variants, { baseUrl, config }), // json-ld
+  ];
 }
 
-async function performCatalogServiceQuery(config, query, variables) {
-  const headers = {
-    'Content-Type': 'application/json',
-    ...config.headers?.all,
-    ...config.headers?.cs,
-  };
-
-  const apiCall = await commerceEndpointWithQueryParams(config);
-
-  const response = await fetch(apiCall, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({
-      query: query.replace(/(?:\r\n|\r|\n|\t|[\s]{4})/g, ' ').replace(/\s\s+/g, ' '),
-      variables,
-    }),
-  });
+/**
+ * Exports the products of a store view.
+ * In incremental runs, products with the same last modification date as in the last run are
+ * not processed again, and only the added or changed products are emitted.
+ * @returns {Promise<{rows: Array[], products: Object, diff: Object}>}
+ */
+async function exportStoreView({ name, rootPath, config }, { baseUrl, incremental, previous }) {
+  const rows = [];
+  const products = {};
+
+  let page = { currentPage: 0, totalPages: 1 };
+  while (page.currentPage < page.totalPages) {
+    // eslint-disable-next-line no-await-in-loop
+    page = await getProductsPage(config, page.currentPage + 1);
+    console.log(`[${name}] Retrieved page ${page.currentPage} of ${page.totalPages} pages`);
+
+    const modified = page.products
+      .filter(({ sku, lastModifiedAt }) => !incremental
+        || !lastModifiedAt
+        || previous[sku]?.lastModifiedAt !== lastModifiedAt)
+      .map((productView) => toProduct(productView, rootPath));
+
+    // eslint-disable-next-line no-await-in-loop
+    await addVariantsToProducts(modified, config);
+
+    modified.forEach((product) => {
+      const { sku, lastModifiedAt } = product.productView;
+      const row = getMetadataRow(product, baseUrl, config);
+      products[sku] = { lastModifiedAt, hash: hashRow(row) };
+      rows.push({ sku, row });
+    });
 
-  if (!response.ok) {
-    return null;
+    // unmodified products keep the state of the last run
+    page.products
+      .filter(({ sku }) => !products[sku])
+      .forEach(({ sku }) => {
+        products[sku] = previous[sku];
+      });
   }
 
-  const queryResponse = await response.json();
+  const diff = diffProducts(previous, products);
+  const unchanged = new Set(diff.unchanged);
+  const emitted = incremental
+    ? rows.filter(({ sku }) => !unchanged.has(sku))
+    : rows;
 
-  return queryResponse.data;
+  return { rows: emitted.map(({ row }) => row), products, diff };
 }
 
-/**
- * Creates a short hash from an object by sorting its entries and hashing them.
- * @param {Object} obj - The object to hash
- * @param {number} [length=5] - Length of the resulting hash
- * @returns {string} A short hash string
- */
-function createHashFromObject(obj, length = 5) {
-  // Sort entries by key and create a string of key-value pairs
-  const objString = Object.entries(obj)
-    .sort(([keyA], [keyB]) => keyA.localeCompare(keyB))
-    .map(([key, value]) => `${key}:${value}`)
-    .join('|');
-
-  // Create a short hash using a simple string manipulation
-  return objString
-    .split('')
-    .reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % 2147483647, 0)
-    .toString(36)
-    .slice(0, length);
+function printReport(report, { verbose }) {
+  Object.entries(report).forEach(([name, diff]) => {
+    console.log(`[${name}] ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed, ${diff.unchanged.length} unchanged`);
+    if (verbose) {
+      diff.added.forEach((sku) => console.log(`  + ${sku}`));
+      diff.changed.forEach((sku) => console.log(`  ~ ${sku}`));
+      diff.removed.forEach((sku) => console.log(`  - ${sku}`));
+    }
+  });
 }
 
-function getJsonLd(product, { variants }) {
-  const amount = product.priceRange?.minimum?.final?.amount || product.price?.final?.amount;
-  const brand = product.attributes.find((attr) => attr.name === 'brand');
-
-  const schema = {
-    '@context': 'http://schema.org',
-    '@type': 'Product',
-    name: product.name,
-    description: product.meta_description,
-    image: product['og:image'],
-    offers: [],
-    productID: product.sku,
-    sku: product.sku,
-    url: product.path,
-    '@id': product.path,
-  };
+function getOptions() {
+  const { values } = parseArgs({
+    options: {
+      config: { type: 'string', short: 'c' },
+      'store-view': { type: 'string', short: 's', multiple: true },
+      'base-url': { type: 'string' },
+      endpoint: { type: 'string' },
+      format: { type: 'string', short: 'f', multiple: true },
+      output: { type: 'string', short: 'o', default: '.' },
+      'file-name': { type: 'string', default: 'metadata' },
+      incremental: { type: 'boolean', short: 'i', default: false },
+      state: { type: 'string', default: '.pdp-metadata-state.json' },
+      'dry-run': { type: 'boolean', default: false },
+      report: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
 
-  if (brand?.value) {
-    product.brand = {
-      '@type': 'Brand',
-        name: brand?.value,
-    };
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  if (!values.config) {
+    throw new Error(`Missing --config\n\n${USAGE}`);
   }
 
-  if (variants.length <= 1) {
-    // simple products
-    if (amount?.value && amount?.currency) {
-      schema.offers.push({
-        '@type': 'Offer',
-        price: amount?.value,
-        priceCurrency: amount?.currency,
-        availability: product.inStock ? 'http://schema.org/InStock' : 'http://schema.org/OutOfStock',
-      });
-    }
-  } else {
-    // complex products
-    variants.forEach((variant) => {
-      schema.offers.push({
-        '@type': 'Offer',
-        name: variant.product.name,
-        image: variant.product.images[0]?.url,
-        price: variant.product.price.final.amount.value,
-        priceCurrency: variant.product.price.final.amount.currency,
-        availability: variant.product.inStock ? 'http://schema.org/InStock' : 'http://schema.org/OutOfStock',
-        sku: variant.product.sku
-      });
-    })
+  const formats = (values.format ?? ['xlsx']).flatMap((value) => value.split(',')).map((value) => value.trim());
+  const unknownFormats = formats.filter((format) => !FORMATS.includes(format));
+  if (unknownFormats.length) {
+    throw new Error(`Unknown format ${unknownFormats.join(', ')}, supported: ${FORMATS.join(', ')}`);
   }
 
-  return JSON.stringify(schema);
+  return {
+    config: values.config,
+    storeViews: values['store-view'] ?? ['default'],
+    baseUrl: getBaseUrl(values.config, values['base-url']),
+    endpoint: values.endpoint,
+    formats: [...new Set(formats)],
+    outputDir: values.output,
+    fileName: values['file-name'],
+    incremental: values.incremental,
+    stateFile: values.state,
+    dryRun: values['dry-run'],
+    reportFile: values.report,
+  };
 }
 
-/**
- * Get products by page number
- * @param {INT} pageNumber - pass the pagenumber to retrieved paginated results
- */
-const getProducts = async (config, pageNumber) => {
-  const response = await performCatalogServiceQuery(
-    config,
-    productSearchQuery,
-    { currentPage: pageNumber },
-  );
-
-  if (response && response.productSearch) {
-    const products = await Promise.all(response.productSearch.items.map(async (item) => {
-      const {
-        urlKey,
-        sku,
-        metaDescription,
-        name,
-        metaKeyword,
-        metaTitle,
-        description,
-        shortDescription,
-        lastModifiedAt,
-      } = item.productView;
-      const { url: imageUrl } = item.productView.images?.[0] ?? { url: '' };
-
-      let baseImageUrl = imageUrl;
-      if (baseImageUrl.startsWith('//')) {
-        baseImageUrl = `https:${baseImageUrl}`;
-      }
-
-      let finalDescription = '';
-      if (metaDescription) {
-        finalDescription = metaDescription;
-      } else if (shortDescription) {
-        finalDescription = shortDescription;
-      } else if (description) {
-        finalDescription = description;
-      }
-      finalDescription = he.decode(finalDescription.replace(/(<([^>]+)>)/ig, '')).trim();
-      if (finalDescription.length > 200) {
-        finalDescription = `${finalDescription.substring(0, 197)}...`;
-      }
-
-      return {
-        productView: {
-          ...item.productView,
-          image: baseImageUrl,
-          path: `/products/${urlKey}/${sku}`,
-          meta_keyword: (metaKeyword !== null) ? metaKeyword : '',
-          meta_title: he.decode((metaTitle !== '') ? metaTitle : name),
-          meta_description: finalDescription,
-          'og:image': baseImageUrl,
-          'og:image:secure_url': baseImageUrl,
-          'last-modified': lastModifiedAt,
-        },
-      };
-    }));
-    const totalPages = response.productSearch.page_info.total_pages;
-    const currentPage = response.productSearch.page_info.current_page;
-    console.log(`Retrieved page ${currentPage} of ${totalPages} pages`);
-
-    await addVariantsToProducts(products, config);
-
-    if (currentPage !== totalPages) {
-      return [...products, ...(await getProducts(config, currentPage + 1))];
-    }
-    return products;
+async function main() {
+  const options = getOptions();
+  const configJson = await loadConfig(options.config);
+  const storeViews = getStoreViews(configJson, options.storeViews, options);
+
+  const state = await readState(options.stateFile);
+  const sheets = [];
+  const report = {};
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const storeView of storeViews) {
+    // eslint-disable-next-line no-await-in-loop
+    const { rows, products, diff } = await exportStoreView(storeView, {
+      baseUrl: options.baseUrl,
+      incremental: options.incremental,
+      previous: state.storeViews[storeView.name]?.products ?? {},
+    });
+    sheets.push({ name: storeView.name, rows: [HEADERS, ...rows] });
+    report[storeView.name] = diff;
+    state.storeViews[storeView.name] = { lastRun: new Date().toISOString(), products };
   }
-  return [];
-};
 
-async function addVariantsToProducts(products, config) {
-  const query = `
-  query Q {
-      ${products.map((product, i) => {
-        return `
-        item_${i}: variants(sku: "${product.productView.sku}") {
-          ...ProductVariant
-        }
-        `
-      }).join('\n')}
-    }${variantsFragment}`;
+  printReport(report, { verbose: options.dryRun });
+  if (options.reportFile) {
+    await fs.promises.writeFile(options.reportFile, `${JSON.stringify(report, null, 2)}\n`);
+  }
 
-  const response = await performCatalogServiceQuery(config, query, null);
+  if (options.dryRun) {
+    console.log('Dry run, no files written');
+    return;
+  }
 
-  if (!response) {
-    throw new Error('Could not fetch variants');
+  if (sheets.every(({ rows }) => rows.length <= 1)) {
+    console.log('No products to emit');
+  } else {
+    const files = await writeSheets(sheets, options);
+    console.log(`Wrote ${files.join(', ')}`);
   }
 
-  products.forEach((product, i) => {
-    product.variants = response[`item_${i}`];
-  });
+  await writeState(options.stateFile, state);
 }
 
-(async () => {
-  const config = await fetch(configFile)
-    .then((res) => res.json())
-    .then((data) => data.public.default)
-    .catch((err) => {
-      console.error(err);
-      return {};
-    });
-
-  const products = await getProducts(config, 1);
-
-  const data = [
-    [
-      'URL',
-      'title',
-      'description',
-      'keywords',
-      'og:type',
-      'og:title',
-      'og:description',
-      'og:url',
-      'og:image',
-      'og:image:secure_url',
-      'last-modified',
-      'json-ld',
-    ],
-  ];
-  products.forEach(({ productView: metaData, variants }) => {
-    data.push(
-      [
-        metaData.path, // URL
-        metaData.meta_title, // title
-        metaData.meta_description, // description
-        metaData.meta_keyword, // keywords
-        'product', // og:type
-        metaData.meta_title, // og:title
-        metaData.meta_description, // og:description
-        `${basePath}${metaData.path}`, // og:url
-        metaData['og:image'], // og:image
-        metaData['og:image:secure_url'], // og:image:secure_url
-        metaData['last-modified'], // last-modified header
-        getJsonLd(metaData, variants), // json-ld
-      ],
-    );
-  });
-
-  // Write XLSX file
-  const worksheet = XLSX.utils.aoa_to_sheet(data);
-  const workbook = { Sheets: { Sheet1: worksheet }, SheetNames: ['Sheet1'] };
-  const xlsx = XLSX.write(workbook, { bookType: 'xlsx', type: 'buffer' });
-  await fs.promises.writeFile('metadata.xlsx', xlsx);
-})();
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
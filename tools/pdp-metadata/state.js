@@ -0,0 +1,75 @@
+import fs from 'fs';
+import { createHash } from 'crypto';
+
+const STATE_VERSION = 1;
+
+/**
+ * Creates a stable hash of a metadata row, used to detect changed products.
+ * @param {Array} row - The metadata row
+ * @returns {string} The hash
+ */
+export function hashRow(row) {
+  return createHash('sha1').update(JSON.stringify(row)).digest('hex');
+}
+
+/**
+ * Reads the state of the last run.
+ * @param {string} file - Path of the state file
+ * @returns {Promise<Object>} The state, empty if the file does not exist
+ */
+export async function readState(file) {
+  try {
+    const state = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    if (state.version === STATE_VERSION) {
+      return state;
+    }
+    console.warn(`Ignoring state file ${file} written by another version`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.warn(`Could not read state file ${file}: ${err.message}`);
+    }
+  }
+  return { version: STATE_VERSION, storeViews: {} };
+}
+
+/**
+ * Writes the state of the current run.
+ * @param {string} file - Path of the state file
+ * @param {Object} state - The state
+ */
+export async function writeState(file, state) {
+  await fs.promises.writeFile(file, `${JSON.stringify(state, null, 2)}\n`);
+}
+
+/**
+ * Compares the products of a run with the state of the last run.
+ * @param {Object} previous - The products of the last run, by sku ({ lastModifiedAt, hash })
+ * @param {Object} current - The products of this run, by sku ({ lastModifiedAt, hash })
+ * @returns {{added: string[], changed: string[], removed: string[], unchanged: string[]}}
+ */
+export function diffProducts(previous = {}, current = {}) {
+  const diff = {
+    added: [],
+    changed: [],
+    removed: [],
+    unchanged: [],
+  };
+
+  Object.entries(current).forEach(([sku, { hash }]) => {
+    if (!previous[sku]) {
+      diff.added.push(sku);
+    } else if (previous[sku].hash !== hash) {
+      diff.changed.push(sku);
+    } else {
+      diff.unchanged.push(sku);
+    }
+  });
+
+  Object.keys(previous).forEach((sku) => {
+    if (!current[sku]) {
+      diff.removed.push(sku);
+    }
+  });
+
+  return diff;
+}
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+
+export const FORMATS = ['xlsx', 'csv', 'json'];
+
+function escapeCsvValue(value) {
+  const text = `${value ?? ''}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes one XLSX workbook with a sheet per store view.
+ * @param {string} file - Path of the file
+ * @param {Object[]} sheets - The sheets ({ name, rows }), rows include the header
+ */
+async function writeXlsx(file, sheets) {
+  // only loaded when needed, the other formats do not depend on it
+  const { default: XLSX } = await import('xlsx');
+  const workbook = XLSX.utils.book_new();
+  sheets.forEach(({ name, rows }) => {
+    // sheet names are limited to 31 characters
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name.slice(0, 31));
+  });
+  const xlsx = XLSX.write(workbook, { bookType: 'xlsx', type: 'buffer' });
+  await fs.promises.writeFile(file, xlsx);
+  return [file];
+}
+
+/**
+ * Writes one CSV file per store view, e.g. metadata.csv or metadata-fr.csv.
+ * @param {string} file - Path of the file, suffixed with the sheet name for multiple sheets
+ * @param {Object[]} sheets - The sheets ({ name, rows }), rows include the header
+ */
+async function writeCsv(file, sheets) {
+  const { dir, name: baseName } = path.parse(file);
+  return Promise.all(sheets.map(async ({ name, rows }) => {
+    const sheetFile = path.join(dir, sheets.length > 1 ? `${baseName}-${name}.csv` : `${baseName}.csv`);
+    const csv = rows.map((row) => row.map(escapeCsvValue).join(',')).join('\r\n');
+    await fs.promises.writeFile(sheetFile, `${csv}\r\n`);
+    return sheetFile;
+  }));
+}
+
+/**
+ * Writes the sheets in the JSON format of Edge Delivery spreadsheets
+ * (a multi-sheet object for multiple store views).
+ * @param {string} file - Path of the file
+ * @param {Object[]} sheets - The sheets ({ name, rows }), rows include the header
+ */
+async function writeJson(file, sheets) {
+  const toSheet = ([header, ...rows]) => ({
+    total: rows.length,
+    offset: 0,
+    limit: rows.length,
+    data: rows.map((row) => Object.fromEntries(header.map((key, i) => [key, row[i]]))),
+  });
+
+  const json = sheets.length === 1
+    ? { ...toSheet(sheets[0].rows), ':type': 'sheet' }
+    : {
+      ...Object.fromEntries(sheets.map(({ name, rows }) => [name, toSheet(rows)])),
+      ':version': 3,
+      ':names': sheets.map(({ name }) => name),
+      ':type': 'multi-sheet',
+    };
+
+  await fs.promises.writeFile(file, `${JSON.stringify(json, null, 2)}\n`);
+  return [file];
+}
+
+const writers = {
+  xlsx: writeXlsx,
+  csv: writeCsv,
+  json: writeJson,
+};
+
+/**
+ * Writes the metadata sheets in the given formats.
+ * @param {Object[]} sheets - The sheets ({ name, rows }), rows include the header
+ * @param {Object} options
+ * @param {string[]} options.formats - The output formats, see FORMATS
+ * @param {string} options.outputDir - The output directory
+ * @param {string} options.fileName - The file name, without extension
+ * @returns {Promise<string[]>} The written files
+ */
+export async function writeSheets(sheets, { formats, outputDir, fileName }) {
+  await fs.promises.mkdir(outputDir, { recursive: true });
+  const files = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for (const format of formats) {
+    // eslint-disable-next-line no-await-in-loop
+    files.push(...await writers[format](path.join(outputDir, `${fileName}.${format}`), sheets));
+  }
+  return files;
+}
@@ -11,6 +11,7 @@
  */
 
 import { showSlide } from '../../blocks/carousel/carousel.js';
+import { showTab } from '../../blocks/tabs/tabs.js';
 import { moveInstrumentation } from './ue-utils.js';
 
 const setupObservers = () => {
@@ -239,19 +240,16 @@ const setupUEEventHandlers = () => {
               showSlide(blockEl, index);
             }
             break;
-          case 'tabs':
-            if (element === block) {
+          case 'tabs': {
+            if (element === blockEl) {
               return;
             }
-            blockEl.querySelectorAll('[role=tabpanel]').forEach((panel) => {
-              panel.setAttribute('aria-hidden', true);
-            });
-            element.setAttribute('aria-hidden', false);
-            blockEl.querySelector('.tabs-list').querySelectorAll('button').forEach((btn) => {
-              btn.setAttribute('aria-selected', false);
-            });
-            blockEl.querySelector(`[aria-controls=${element?.id}]`).setAttribute('aria-selected', true);
+            const tab = blockEl.querySelector(`.tabs-list [aria-controls="${element.id}"]`);
+            if (tab) {
+              showTab(blockEl, tab);
+            }
             break;
+          }
           default:
             break;
         }